@@ -0,0 +1,301 @@
+/**
+ * Category Audit
+ * Runs every stored paper (minus the blocklist) through the categorizer with the
+ * current categories.json and reports how each category and keyword performs:
+ * papers per category, papers per keyword, keywords that never match, keywords
+ * that are the only match for many papers, negative keyword suppressions, how
+ * often categories occur together, and the papers no category matches.
+ *
+ * Membership comes from categorizePaper, so the numbers are what npm run
+ * recategorize would store; overrides.json is not applied.
+ *
+ * Usage:
+ *   npm run audit-categories
+ *   npm run audit-categories -- --min-only=10   # keywords that alone categorize at least 10 papers
+ *   npm run audit-categories -- --out=/tmp      # write the report somewhere else
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import DataStore from './utils/data-store.js';
+import { loadBlocklist } from './build-index.js';
+import { categorizePaper } from './categorize-papers.js';
+import { ruleContext } from '../shared/category-rules.js';
+import { scoreCategory, keywordEntries, DEFAULT_THRESHOLD } from '../shared/category-scoring.js';
+import { normalizeArxivId, arxivAbsUrl } from '../shared/arxiv-id.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Outside public/ so the report is neither deployed nor committed with the data (gitignored)
+const REPORTS_DIR = path.join(__dirname, '..', 'reports');
+const REPORT_NAME = 'category-audit';
+const DEFAULT_MIN_ONLY_MATCHES = 5;
+const UNCATEGORIZED_LINES = 50; // Uncategorized papers listed in the Markdown report
+
+/**
+ * Set up the counters for one category
+ * @param {Object} category - Category definition
+ * @returns {Object} Category row of the report
+ */
+function categoryRow(category) {
+  return {
+    id: category.id,
+    name: category.name,
+    decidedBy: category.rule ? 'rule' : 'keywords',
+    papers: 0,
+    share: 0,
+    meanConfidence: 0,
+    keywords: category.rule ? [] : keywordEntries(category.keywords).map(({ keyword, weight }) => ({
+      keyword,
+      weight,
+      papers: 0,
+      inCategory: 0,
+      onlyMatch: 0
+    })),
+    negativeKeywords: (category.negativeKeywords || []).map(keyword => ({ keyword, suppressed: 0 }))
+  };
+}
+
+/**
+ * Count one paper into the category rows and the co-occurrence matrix
+ * @param {Object} paper - Stored paper
+ * @param {Array} categories - Category definitions
+ * @param {Map} rows - Category rows by ID, updated in place
+ * @param {Array} matrix - Co-occurrence counts in categories order, updated in place
+ * @returns {Array} IDs of the categories the paper is in
+ */
+function auditPaper(paper, categories, rows, matrix) {
+  const matched = categorizePaper(paper, categories, { withScores: true });
+  const ids = matched.map(c => c.id);
+  const context = ruleContext(paper);
+
+  for (const { id, confidence } of matched) {
+    const row = rows.get(id);
+    row.papers++;
+    row.meanConfidence += confidence;
+  }
+
+  categories.forEach((category, i) => {
+    const row = rows.get(category.id);
+    const inCategory = ids.includes(category.id);
+    const { score, keywords, suppressedBy } = scoreCategory(category, context);
+
+    if (inCategory) {
+      categories.forEach((other, j) => {
+        if (ids.includes(other.id)) matrix[i][j]++;
+      });
+    }
+
+    if (suppressedBy && score >= (category.rule ? DEFAULT_THRESHOLD : category.threshold ?? DEFAULT_THRESHOLD)) {
+      row.negativeKeywords.find(n => n.keyword === suppressedBy).suppressed++;
+    }
+
+    for (const keyword of keywords) {
+      const entry = row.keywords.find(k => k.keyword === keyword);
+      entry.papers++;
+      if (inCategory) entry.inCategory++;
+      if (inCategory && keywords.length === 1) entry.onlyMatch++;
+    }
+  });
+
+  return ids;
+}
+
+/**
+ * Audit the categories over the whole corpus
+ * @param {Object} options - {minOnlyMatches: papers a keyword must categorize alone to be
+ *   listed as an only match (default 5)}
+ * @returns {Promise<Object>} The report (see README, Category Audit)
+ */
+export async function buildCategoryAudit(options = {}) {
+  const { minOnlyMatches = DEFAULT_MIN_ONLY_MATCHES } = options;
+  const store = new DataStore();
+  const [categories, blocklist] = await Promise.all([store.getCategories(), loadBlocklist()]);
+
+  const rows = new Map(categories.map(category => [category.id, categoryRow(category)]));
+  const matrix = categories.map(() => categories.map(() => 0));
+  const uncategorized = [];
+  let papers = 0;
+  let blocklisted = 0;
+
+  for (const month of await store.listMonths()) {
+    for (const paper of await store.getMonth(month)) {
+      if (blocklist.has(normalizeArxivId(paper.id))) {
+        blocklisted++;
+        continue;
+      }
+
+      papers++;
+      if (auditPaper(paper, categories, rows, matrix).length === 0) {
+        uncategorized.push({ id: paper.id, title: paper.title, publishedDate: paper.publishedDate });
+      }
+    }
+  }
+
+  const round = value => Math.round(value * 100) / 100;
+  for (const row of rows.values()) {
+    row.meanConfidence = row.papers ? round(row.meanConfidence / row.papers) : 0;
+    row.share = papers ? round(row.papers / papers) : 0;
+  }
+
+  const keywords = [...rows.values()].flatMap(row => row.keywords.map(k => ({ category: row.id, ...k })));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    papers,
+    blocklisted,
+    minOnlyMatches,
+    categories: [...rows.values()],
+    neverMatched: keywords.filter(k => k.papers === 0).map(({ category, keyword }) => ({ category, keyword })),
+    onlyMatches: keywords
+      .filter(k => k.onlyMatch >= minOnlyMatches)
+      .sort((a, b) => b.onlyMatch - a.onlyMatch)
+      .map(({ category, keyword, onlyMatch, inCategory }) => ({ category, keyword, papers: onlyMatch, inCategory })),
+    coOccurrence: { categories: categories.map(c => c.id), matrix },
+    uncategorized
+  };
+}
+
+/**
+ * Render the report as Markdown
+ * @param {Object} report - From buildCategoryAudit
+ * @returns {string} Markdown document
+ */
+export function auditMarkdown(report) {
+  const cell = value => String(value).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+  const table = (header, rows) => [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map((_, i) => (i === 0 ? '---' : '---:')).join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+  const percent = share => `${Math.round(share * 100)}%`;
+
+  const lines = [
+    '# Category audit',
+    '',
+    `Generated ${report.generatedAt} from ${report.papers} papers` +
+      `${report.blocklisted ? ` (${report.blocklisted} blocklisted papers skipped)` : ''}` +
+      ` and ${report.categories.length} categories.`,
+    '',
+    '## Papers per category',
+    '',
+    table(['Category', 'Papers', 'Share', 'Mean confidence'],
+      report.categories.map(c => [`${c.id}${c.decidedBy === 'rule' ? ' (rule)' : ''}`, c.papers, percent(c.share), c.meanConfidence.toFixed(2)])),
+    '',
+    '## Keyword hits',
+    '',
+    '*Papers* is every paper whose title or abstract matches the keyword, *In category* those that also got the ' +
+      'category, *Only match* those where it was the category\'s only matching keyword.',
+    ''
+  ];
+
+  for (const category of report.categories) {
+    lines.push(`### ${category.id}`, '');
+    if (category.decidedBy === 'rule') {
+      lines.push('Decided by a rule, keywords are not scored.', '');
+    } else {
+      lines.push(table(['Keyword', 'Weight', 'Papers', 'In category', 'Only match'],
+        category.keywords.map(k => [k.keyword, k.weight, k.papers, k.inCategory, k.onlyMatch])), '');
+    }
+    if (category.negativeKeywords.length > 0) {
+      lines.push(table(['Negative keyword', 'Papers kept out'],
+        category.negativeKeywords.map(n => [n.keyword, n.suppressed])), '');
+    }
+  }
+
+  lines.push('## Keywords that never match', '');
+  lines.push(report.neverMatched.length === 0
+    ? 'Every keyword matches at least one paper.'
+    : report.neverMatched.map(k => `- ${k.category}: \`${k.keyword}\``).join('\n'), '');
+
+  lines.push('## Keywords that are the only match', '');
+  lines.push(report.onlyMatches.length === 0
+    ? `No keyword is the only match for ${report.minOnlyMatches} or more papers.`
+    : table(['Category', 'Keyword', 'Only match', 'Share of its papers in the category'],
+      report.onlyMatches.map(k => [k.category, k.keyword, k.papers, percent(k.papers / k.inCategory)])), '');
+
+  const { categories, matrix } = report.coOccurrence;
+  lines.push('## Category co-occurrence', '', 'Papers in both categories; the diagonal is the papers in the category.', '');
+  lines.push(table(['', ...categories], categories.map((id, i) => [id, ...matrix[i]])), '');
+
+  lines.push(`## Uncategorized papers (${report.uncategorized.length})`, '');
+  if (report.uncategorized.length === 0) {
+    lines.push('Every paper is in at least one category.');
+  } else {
+    lines.push(...report.uncategorized.slice(0, UNCATEGORIZED_LINES)
+      .map(p => `- [${p.id}](${arxivAbsUrl(p.id)}) ${cell(p.title)} (${p.publishedDate.substring(0, 10)})`));
+    if (report.uncategorized.length > UNCATEGORIZED_LINES) {
+      lines.push(`- ... and ${report.uncategorized.length - UNCATEGORIZED_LINES} more (see ${REPORT_NAME}.json)`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Print a short summary of the report
+ * @param {Object} report - From buildCategoryAudit
+ */
+function logSummary(report) {
+  console.log(chalk.bold(`\n  ${'Category'.padEnd(30)} ${'Papers'.padStart(7)} ${'Share'.padStart(6)}`));
+  for (const category of report.categories) {
+    const color = category.papers ? chalk.cyan : chalk.yellow;
+    console.log(color(`  ${category.id.padEnd(30)} ${String(category.papers).padStart(7)} ${`${Math.round(category.share * 100)}%`.padStart(6)}`));
+  }
+
+  console.log(chalk.gray(`\n  ${report.uncategorized.length} of ${report.papers} papers are uncategorized`));
+  if (report.neverMatched.length > 0) {
+    console.log(chalk.yellow(`  ⚠ ${report.neverMatched.length} keywords never match: ` +
+      report.neverMatched.map(k => `${k.category}/${k.keyword}`).join(', ')));
+  }
+  if (report.onlyMatches.length > 0) {
+    console.log(chalk.yellow(`  ⚠ ${report.onlyMatches.length} keywords are the only match for ${report.minOnlyMatches}+ papers`));
+  }
+}
+
+/**
+ * Build the audit and write it as Markdown and JSON
+ * @param {Object} options - {outDir: directory for category-audit.md and .json (default
+ *   reports/), minOnlyMatches: see buildCategoryAudit}
+ * @returns {Promise<Object>} The report
+ */
+export async function auditCategories(options = {}) {
+  const { outDir = REPORTS_DIR, ...auditOptions } = options;
+
+  console.log(chalk.bold.cyan('\nAuditing categories over the stored papers\n'));
+  const report = await buildCategoryAudit(auditOptions);
+
+  const jsonPath = path.join(outDir, `${REPORT_NAME}.json`);
+  const markdownPath = path.join(outDir, `${REPORT_NAME}.md`);
+  await fs.mkdir(outDir, { recursive: true });
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
+  await fs.writeFile(markdownPath, auditMarkdown(report));
+
+  logSummary(report);
+  console.log(chalk.bold.green(`\n✓ Report saved to ${path.relative(process.cwd(), markdownPath)} and ${path.relative(process.cwd(), jsonPath)}\n`));
+
+  return report;
+}
+
+// If running this script directly
+if (import.meta.url === `file://${process.argv[1]}`.replace(/\\/g, '/')) {
+  const args = process.argv.slice(2);
+  const getArg = (name) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+
+  auditCategories({
+    ...(getArg('out') ? { outDir: path.resolve(getArg('out')) } : {}),
+    ...(getArg('min-only') ? { minOnlyMatches: parseInt(getArg('min-only'), 10) } : {})
+  })
+    .catch(error => {
+      console.error(chalk.red(`\n✗ Category audit failed: ${error.message}\n`));
+      process.exit(1);
+    });
+}
+
+export default auditCategories;
@@ -1,109 +1,261 @@
 /**
  * Build Index
- * Generates lightweight index.json from year-based paper files
+ * Generates lightweight index.json from the monthly paper shards.
+ *
+ * The build is incremental: index.json records the hash of every shard it was
+ * built from (meta.sources), and only shards whose hash changed since are read
+ * again. Entries for unchanged months are carried over from the previous index.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
+import { loadQueries } from './utils/query-registry.js';
+import { normalizeArxivId, arxivAbsUrl } from '../shared/arxiv-id.js';
+import { writeJsonAtomic } from './utils/safe-write.js';
+import { validateIndexFile } from './utils/data-validation.js';
+import { SCHEMA_VERSION } from './utils/migrations.js';
+import DataStore, { hashContent } from './utils/data-store.js';
+import { loadOverrides, overridesById } from './utils/overrides.js';
+import { applyCategoryOverride } from '../shared/categorizer.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const DATA_DIR = path.join(__dirname, '..', 'public', 'data');
-const PAPERS_DIR = path.join(DATA_DIR, 'papers');
 const INDEX_PATH = path.join(DATA_DIR, 'index.json');
 const BLOCKLIST_PATH = path.join(DATA_DIR, 'blocklist.json');
-const CATEGORIES_PATH = path.join(DATA_DIR, 'categories.json');
+const DIFF_LINES = 20; // Papers listed per kind of change in the build log
+const ENTRY_FORMAT = 4; // Bump when toIndexEntry changes so entries from older builds aren't reused
 
 /**
- * Load all paper files from data/papers/ directory
- * @returns {Promise<Array>} Array of all papers
+ * Load the index from the previous build
+ * @returns {Promise<Object|null>} Previous index, or null if there is none or it
+ *   was written in another schema version (then everything is rebuilt)
  */
-async function loadAllPapers() {
+async function loadPreviousIndex() {
   try {
-    const files = await fs.readdir(PAPERS_DIR);
-    const jsonFiles = files.filter(f => f.endsWith('.json'));
+    const data = JSON.parse(await fs.readFile(INDEX_PATH, 'utf-8'));
+    return data.schemaVersion === SCHEMA_VERSION && Array.isArray(data.papers) ? data : null;
+  } catch (error) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Turn a stored paper into its lightweight index entry
+ * @param {Object} paper - Stored paper
+ * @param {Object|null} override - The paper's entry in overrides.json, if any
+ * @returns {Object} Index entry
+ */
+export function toIndexEntry(paper, override = null) {
+  const { categories, categoryScores } = applyCategoryOverride(
+    { categories: paper.categories || [], categoryScores: paper.categoryScores },
+    override
+  );
 
-    console.log(chalk.blue(`\nFound ${jsonFiles.length} year files`));
+  return {
+    id: normalizeArxivId(paper.id),
+    version: paper.version ?? null,
+    title: paper.title,
+    authors: paper.authors.map(a => a.name),
+    abstract: paper.abstract || '',
+    publishedDate: paper.publishedDate,
+    updatedDate: paper.updatedDate || paper.publishedDate,
+    ...(paper.versions?.length ? { versions: paper.versions } : {}),
+    arxivUrl: paper.arxivUrl || arxivAbsUrl(normalizeArxivId(paper.id)),
+    // For category rules evaluated in the browser (comment: and arxiv: terms)
+    ...(paper.comment ? { comment: paper.comment } : {}),
+    ...(paper.arxivCategories?.length ? { arxivCategories: paper.arxivCategories } : {}),
+    categories,
+    ...(categoryScores ? { categoryScores } : {}),
+    // Kept so the site can apply the override again when it recategorizes
+    ...(override ? { categoryOverride: { add: override.add || [], remove: override.remove || [] } } : {}),
+    matchedQueries: paper.matchedQueries || [],
+    year: parseInt(paper.publishedDate.substring(0, 4))
+  };
+}
+
+/**
+ * Collect the index entries for every month, reading only shards that changed
+ * since the previous build
+ * @param {DataStore} store - Paper store
+ * @param {Object|null} previous - Previous index
+ * @param {Set} blocklist - Blocked IDs
+ * @param {Map} overrides - Category overrides by paper ID
+ * @param {Object} sources - Entry format and hashes of this build's inputs {entryFormat, blocklist, overrides, shards: {month: sha256}}
+ * @returns {Promise<Object>} {papers: index entries, reused: months, rebuilt: months}
+ */
+export async function collectIndexPapers(store, previous, blocklist, overrides, sources) {
+  const previousSources = previous?.meta?.sources;
+  const canReuse = previousSources &&
+    previousSources.entryFormat === sources.entryFormat &&
+    previousSources.blocklist === sources.blocklist &&
+    previousSources.overrides === sources.overrides;
 
-    let allPapers = [];
+  const previousByMonth = new Map();
+  if (canReuse) {
+    for (const entry of previous.papers) {
+      const month = entry.publishedDate.substring(0, 7);
+      if (!previousByMonth.has(month)) previousByMonth.set(month, []);
+      previousByMonth.get(month).push(entry);
+    }
+  }
 
-    for (const file of jsonFiles) {
-      const filePath = path.join(PAPERS_DIR, file);
-      const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  let papers = [];
+  const reused = [];
+  const rebuilt = [];
 
-      const papers = data.papers || [];
-      console.log(chalk.gray(`  ${file}: ${papers.length} papers`));
+  for (const month of await store.listMonths()) {
+    const hash = sources.shards[month];
 
-      allPapers = allPapers.concat(papers);
+    if (canReuse && hash && previousSources.shards?.[month] === hash) {
+      papers = papers.concat(previousByMonth.get(month) || []);
+      reused.push(month);
+      continue;
     }
 
-    console.log(chalk.green(`\n✓ Loaded ${allPapers.length} total papers`));
+    const entries = (await store.getMonth(month))
+      .filter(paper => !blocklist.has(normalizeArxivId(paper.id)))
+      .map(paper => toIndexEntry(paper, overrides.get(normalizeArxivId(paper.id))));
+    papers = papers.concat(entries);
+    rebuilt.push(month);
+  }
 
-    return allPapers;
+  return { papers, reused, rebuilt };
+}
 
-  } catch (error) {
-    // Directory might not exist yet
-    if (error.code === 'ENOENT') {
-      console.log(chalk.yellow('⚠ No paper files found'));
-      return [];
+/**
+ * Compare the papers of two index builds
+ * @param {Array} previousPapers - Entries in the previous index
+ * @param {Array} papers - Entries in the new index
+ * @returns {Object} {added, removed, changed: [{paper, fields}]}
+ */
+export function diffIndexPapers(previousPapers, papers) {
+  const previousById = new Map(previousPapers.map(p => [p.id, p]));
+  const ids = new Set(papers.map(p => p.id));
+
+  const added = [];
+  const changed = [];
+
+  for (const paper of papers) {
+    const before = previousById.get(paper.id);
+    if (!before) {
+      added.push(paper);
+      continue;
+    }
+
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(paper)])]
+      .filter(field => JSON.stringify(before[field]) !== JSON.stringify(paper[field]));
+    if (fields.length > 0) {
+      changed.push({ paper, fields });
     }
-    throw error;
   }
+
+  const removed = previousPapers.filter(p => !ids.has(p.id));
+
+  return { added, removed, changed };
+}
+
+/**
+ * Print an index diff, listing up to DIFF_LINES papers per kind of change
+ * @param {Object} diff - Result of diffIndexPapers
+ */
+function logIndexDiff(diff) {
+  const { added, removed, changed } = diff;
+
+  if (added.length + removed.length + changed.length === 0) {
+    console.log(chalk.gray('  No papers added, removed or changed'));
+    return;
+  }
+
+  console.log(chalk.cyan(`  Added: ${added.length}, removed: ${removed.length}, changed: ${changed.length}`));
+
+  const list = (items, format, color) => {
+    items.slice(0, DIFF_LINES).forEach(item => console.log(color(format(item))));
+    if (items.length > DIFF_LINES) {
+      console.log(color(`      ... and ${items.length - DIFF_LINES} more`));
+    }
+  };
+
+  list(added, p => `    + ${p.id} ${p.title}`, chalk.green);
+  list(removed, p => `    - ${p.id} ${p.title}`, chalk.red);
+  list(changed, ({ paper, fields }) => `    ~ ${paper.id} ${paper.title} (${fields.join(', ')})`, chalk.yellow);
 }
 
 /**
  * Load blocklist
- * @returns {Promise<Set>} Set of blocked paper IDs
+ * @returns {Promise<Set>} Set of blocked paper IDs (normalized, without version)
  */
-async function loadBlocklist() {
+export async function loadBlocklist() {
   try {
     const data = JSON.parse(await fs.readFile(BLOCKLIST_PATH, 'utf-8'));
-    return new Set(data.blocked.map(b => b.id));
+    return new Set(data.blocked.map(b => normalizeArxivId(b.id)));
   } catch (error) {
     return new Set();
   }
 }
 
 /**
- * Load categories
- * @returns {Promise<Array>} Array of category IDs
+ * Load the query registry (disabled queries included, so older papers keep their labels)
+ * @returns {Promise<Array>} Query definitions, or an empty array if the registry can't be read
  */
-async function loadCategories() {
+async function loadQueryDefinitions() {
   try {
-    const data = JSON.parse(await fs.readFile(CATEGORIES_PATH, 'utf-8'));
-    return data.categories.map(c => c.id);
+    return await loadQueries({ includeDisabled: true });
   } catch (error) {
+    console.log(chalk.yellow(`⚠ Could not load queries: ${error.message}`));
     return [];
   }
 }
 
 /**
- * Build lightweight index from papers
- * @param {Array} papers - All papers
- * @param {Set} blocklist - Set of blocked IDs
+ * Count the papers each query found, and how many only that query found
+ * @param {Array} indexPapers - Index papers with matchedQueries
+ * @param {Array} queries - Query definitions
+ * @returns {Array} [{id, description, enabled, papers, unique}] in registry order,
+ *   followed by ids that appear on papers but are no longer in the registry
+ */
+function summarizeQueries(indexPapers, queries) {
+  const counts = new Map(queries.map(q => [q.id, {
+    id: q.id,
+    description: q.description,
+    enabled: q.enabled,
+    papers: 0,
+    unique: 0
+  }]));
+
+  for (const paper of indexPapers) {
+    for (const id of paper.matchedQueries) {
+      if (!counts.has(id)) {
+        counts.set(id, { id, description: id, enabled: false, papers: 0, unique: 0 });
+      }
+      counts.get(id).papers++;
+      if (paper.matchedQueries.length === 1) {
+        counts.get(id).unique++;
+      }
+    }
+  }
+
+  return Array.from(counts.values());
+}
+
+/**
+ * Build lightweight index from index entries
+ * @param {Array} indexPapers - Index entries (blocked papers already removed)
+ * @param {Array} queries - Query definitions, for per-query counts
+ * @param {Object} sources - Hashes of the inputs, recorded for the next incremental build
  * @returns {Object} Index object
  */
-function buildIndex(papers, blocklist) {
+function buildIndex(indexPapers, queries = [], sources = undefined) {
   console.log(chalk.blue('\nBuilding index...'));
 
-  const indexPapers = papers
-    .filter(paper => !blocklist.has(paper.id))
-    .map(paper => ({
-      id: paper.id,
-      title: paper.title,
-      authors: paper.authors.map(a => a.name),
-      abstract: paper.abstract || '',
-      publishedDate: paper.publishedDate,
-      arxivUrl: paper.arxivUrl || `https://arxiv.org/abs/${paper.id}`,
-      categories: paper.categories || [],
-      year: parseInt(paper.publishedDate.substring(0, 4))
-    }));
-
-  // Sort by date (newest first)
-  indexPapers.sort((a, b) => new Date(b.publishedDate) - new Date(a.publishedDate));
+  // Sort by date (newest first); ties by ID so incremental and full builds match
+  indexPapers.sort((a, b) => new Date(b.publishedDate) - new Date(a.publishedDate) || a.id.localeCompare(b.id));
 
   // Collect unique years and categories
   const years = [...new Set(indexPapers.map(p => p.year))].sort((a, b) => b - a);
@@ -113,11 +265,14 @@ function buildIndex(papers, blocklist) {
   });
 
   const index = {
+    schemaVersion: SCHEMA_VERSION,
     meta: {
       lastUpdated: new Date().toISOString(),
       totalPapers: indexPapers.length,
       categories: Array.from(categoriesSet).sort(),
-      years: years
+      years: years,
+      queries: summarizeQueries(indexPapers, queries),
+      ...(sources ? { sources } : {})
     },
     papers: indexPapers
   };
@@ -126,35 +281,95 @@ function buildIndex(papers, blocklist) {
   console.log(chalk.gray(`  Years: ${years.join(', ')}`));
   console.log(chalk.gray(`  Categories: ${index.meta.categories.join(', ')}`));
 
+  const untagged = indexPapers.filter(p => p.matchedQueries.length === 0).length;
+  if (index.meta.queries.length > 0 && untagged < indexPapers.length) {
+    console.log(chalk.gray('  Papers per query (found only by that query):'));
+    index.meta.queries.forEach(q => {
+      const line = `    ${q.id.padEnd(22)} ${String(q.papers).padStart(6)} (${q.unique} unique)`;
+      if (q.enabled && q.papers === 0) {
+        console.log(chalk.yellow(`${line} ⚠ no papers`));
+      } else if (q.enabled && q.unique === 0) {
+        console.log(chalk.yellow(`${line} ⚠ adds nothing other queries don't`));
+      } else {
+        console.log(chalk.gray(line));
+      }
+    });
+  }
+  if (untagged > 0) {
+    console.log(chalk.gray(`  ${untagged} papers predate query tracking`));
+  }
+
   return index;
 }
 
 /**
  * Main function to build and save index
+ * @param {Object} options - {maxDropPercent: largest allowed drop in paper count versus the current index,
+ *   full: ignore the previous index and read every shard}
+ * @returns {Promise<Object|null>} {written, diff} whether index.json was rewritten and the
+ *   papers added, removed and changed in it (see diffIndexPapers), or null if there are no papers
  */
-export async function buildAndSaveIndex() {
+export async function buildAndSaveIndex(options = {}) {
   try {
     console.log(chalk.bold.cyan('\n' + '='.repeat(60)));
     console.log(chalk.bold.cyan('Building Index'));
     console.log(chalk.bold.cyan('='.repeat(60)));
 
     // Load all data
-    const [papers, blocklist, categories] = await Promise.all([
-      loadAllPapers(),
+    const store = new DataStore();
+    const [manifest, blocklist, overrideList, queries, previous] = await Promise.all([
+      store.getManifest(),
       loadBlocklist(),
-      loadCategories()
+      loadOverrides(),
+      loadQueryDefinitions(),
+      options.full ? null : loadPreviousIndex()
     ]);
 
-    if (papers.length === 0) {
+    const sources = {
+      entryFormat: ENTRY_FORMAT,
+      blocklist: hashContent(JSON.stringify([...blocklist].sort())),
+      overrides: hashContent(JSON.stringify(overrideList)),
+      shards: Object.fromEntries(manifest.shards.map(shard => [shard.month, shard.sha256]))
+    };
+
+    const { papers, reused, rebuilt } = await collectIndexPapers(store, previous, blocklist, overridesById(overrideList), sources);
+
+    if (reused.length + rebuilt.length === 0) {
       console.log(chalk.yellow('\n⚠ No papers found. Run data collection first.\n'));
-      return;
+      return null;
+    }
+
+    console.log(chalk.blue(`\nRead ${rebuilt.length} changed shards, reused ${reused.length} unchanged`));
+    if (!previous) {
+      console.log(chalk.gray(options.full ? '  Full rebuild requested' : '  No usable previous index, reading everything'));
+    } else if (rebuilt.length > 0 && rebuilt.length <= DIFF_LINES) {
+      console.log(chalk.gray(`  ${rebuilt.join(', ')}`));
     }
 
     // Build index
-    const index = buildIndex(papers, blocklist);
+    const index = buildIndex(papers, queries, sources);
+
+    const diff = diffIndexPapers(previous?.papers || [], index.papers);
+    if (previous) {
+      console.log(chalk.blue('\nChanges since the previous index:'));
+      logIndexDiff(diff);
+    }
+
+    const unchanged = previous &&
+      diff.added.length + diff.removed.length + diff.changed.length === 0 &&
+      JSON.stringify({ ...previous.meta, lastUpdated: null }) === JSON.stringify({ ...index.meta, lastUpdated: null });
+
+    if (unchanged) {
+      console.log(chalk.green('\n✓ Index is up to date, nothing written\n'));
+      return { written: false, diff };
+    }
 
     // Save index
-    await fs.writeFile(INDEX_PATH, JSON.stringify(index, null, 2));
+    await writeJsonAtomic(INDEX_PATH, index, {
+      validate: validateIndexFile,
+      countPapers: data => data.papers?.length || 0,
+      maxDropPercent: options.maxDropPercent
+    });
 
     const sizeKB = (JSON.stringify(index).length / 1024).toFixed(2);
     console.log(chalk.green(`\n✓ Index saved to: ${INDEX_PATH}`));
@@ -164,6 +379,7 @@ export async function buildAndSaveIndex() {
     console.log(chalk.bold.green('✓ Index build complete!'));
     console.log(chalk.bold.green('='.repeat(60) + '\n'));
 
+    return { written: true, diff };
   } catch (error) {
     console.error(chalk.red(`\n✗ Error building index: ${error.message}\n`));
     throw error;
@@ -172,7 +388,13 @@ export async function buildAndSaveIndex() {
 
 // If running this script directly
 if (import.meta.url === `file://${process.argv[1]}`.replace(/\\/g, '/')) {
-  buildAndSaveIndex()
+  const args = process.argv.slice(2);
+  const maxDropArg = args.find(arg => arg.startsWith('--max-drop='));
+
+  buildAndSaveIndex({
+    ...(maxDropArg ? { maxDropPercent: parseFloat(maxDropArg.split('=')[1]) } : {}),
+    full: args.includes('--full')
+  })
     .catch(error => {
       console.error(chalk.red(`Failed: ${error.message}`));
       process.exit(1);
@@ -1,88 +1,60 @@
 /**
  * Paper Categorization
- * Auto-categorizes papers based on keyword matching in title and abstract
+ * Auto-categorizes papers by scoring weighted keyword matches in title and abstract
+ * against each category's threshold, or by the category's rule. The logic itself is
+ * in shared/categorizer.js, which the site uses too.
  */
 
 import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import chalk from 'chalk';
+import DataStore from './utils/data-store.js';
+import { categorizePaper, categoryFields } from '../shared/categorizer.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const CATEGORIES_PATH = path.join(__dirname, '..', 'public', 'data', 'categories.json');
-const MIN_KEYWORD_MATCHES = 1; // Minimum keyword matches to assign a category
+export { categorizePaper };
 
 /**
  * Load category definitions
- * @returns {Promise<Object>} Categories object
+ * @returns {Promise<Array>} Categories
  */
 async function loadCategories() {
   try {
-    const data = await fs.readFile(CATEGORIES_PATH, 'utf-8');
-    return JSON.parse(data);
+    return await new DataStore().getCategories();
   } catch (error) {
     throw new Error(`Failed to load categories: ${error.message}`);
   }
 }
 
-/**
- * Categorize a single paper based on keywords
- * @param {Object} paper - Paper object with title and abstract
- * @param {Array} categories - Array of category definitions
- * @returns {Array} Array of category IDs that match
- */
-export function categorizePaper(paper, categories) {
-  const text = `${paper.title} ${paper.abstract}`.toLowerCase();
-  const matchedCategories = [];
-
-  for (const category of categories) {
-    let matchCount = 0;
-
-    for (const keyword of category.keywords) {
-      const keywordLower = keyword.toLowerCase();
-
-      if (text.includes(keywordLower)) {
-        matchCount++;
-      }
-    }
-
-    if (matchCount >= MIN_KEYWORD_MATCHES) {
-      matchedCategories.push({
-        id: category.id,
-        matches: matchCount
-      });
-    }
-  }
-
-  // Sort by match count (descending) and return category IDs
-  matchedCategories.sort((a, b) => b.matches - a.matches);
-  return matchedCategories.map(c => c.id);
-}
-
 /**
  * Categorize multiple papers
  * @param {Array} papers - Array of paper objects
  * @param {Array} categories - Array of category definitions
+ * @param {Object} options - {verbose: false} skips the statistics output
  * @returns {Array} Papers with categories added
  */
-export function categorizePapers(papers, categories) {
-  console.log(chalk.blue(`\nCategorizing ${papers.length} papers...`));
+export function categorizePapers(papers, categories, options = {}) {
+  const { verbose = true } = options;
+
+  if (verbose) {
+    console.log(chalk.blue(`\nCategorizing ${papers.length} papers...`));
+  }
 
   const categorizedPapers = papers.map(paper => {
-    const categoryIds = categorizePaper(paper, categories);
+    const fields = categoryFields(paper, categories);
 
     return {
       ...paper,
-      categories: categoryIds,
+      ...fields,
       tags: {
-        auto: categoryIds,
+        auto: fields.categories,
         manual: []
       }
     };
   });
 
+  if (!verbose) {
+    return categorizedPapers;
+  }
+
   // Print categorization statistics
   const categoryStats = {};
   categories.forEach(cat => {
@@ -125,7 +97,7 @@ export async function categorizePapersFromFile(inputPath, outputPath) {
     console.log(chalk.bold.cyan(`\nCategorizing papers from: ${inputPath}`));
 
     // Load categories
-    const { categories } = await loadCategories();
+    const categories = await loadCategories();
 
     // Load papers
     const papersData = JSON.parse(await fs.readFile(inputPath, 'utf-8'));
@@ -151,7 +123,7 @@ if (import.meta.url === `file://${process.argv[1]}`.replace(/\\/g, '/')) {
 
   if (args.length < 2) {
     console.log(chalk.yellow('\nUsage: node categorize-papers.js <input-file> <output-file>'));
-    console.log(chalk.gray('Example: node categorize-papers.js data/papers/2024.json data/papers/2024-categorized.json\n'));
+    console.log(chalk.gray('Example: node categorize-papers.js data/papers/2024/2024-01.json 2024-01-categorized.json\n'));
     process.exit(1);
   }
 
@@ -3,152 +3,117 @@
  * Fetches papers from arXiv based on search queries
  */
 
-import fetch from 'node-fetch';
 import chalk from 'chalk';
-import pLimit from 'p-limit';
+import { addDays, endOfMonth, endOfYear, format, parseISO, startOfDay } from 'date-fns';
 import { parseArxivXML } from './utils/xml-parser.js';
 import RateLimiter from './utils/rate-limiter.js';
-
-const ARXIV_API_BASE = 'http://export.arxiv.org/api/query';
+import { withRetry, RetryableError, parseRetryAfter } from './utils/retry.js';
+import { createTransportFromEnv } from './utils/transport.js';
+import { loadQueries } from './utils/query-registry.js';
+import { validateArxivQuery } from './utils/arxiv-query.js';
+import { mergeMatchedQueries } from './utils/deduplicator.js';
+import { normalizeArxivId } from '../shared/arxiv-id.js';
+import DataStore from './utils/data-store.js';
+
+const ARXIV_API_BASE = process.env.ARXIV_API_BASE || 'http://export.arxiv.org/api/query'; // Override to use a mock server
 const MAX_RESULTS_PER_REQUEST = 100; // Conservative to avoid issues
 const rateLimiter = new RateLimiter(3000); // 3 seconds between requests
-
-/**
- * Comprehensive search queries for LLM applications and agents
- * Searches both title and abstract for better coverage
- */
-export const SEARCH_QUERIES = [
-  {
-    query: '(ti:"large language model" OR abs:"large language model") AND (ti:application OR ti:applications OR abs:application OR abs:applications)',
-    description: 'General LLM applications',
-    category: 'applications'
-  },
-  {
-    query: 'ti:"LLM agent" OR ti:"language model agent" OR abs:"LLM agent" OR abs:"language model agent"',
-    description: 'LLM-based agents',
-    category: 'agents'
-  },
-  {
-    query: '(ti:"autonomous agent" OR abs:"autonomous agent") AND (ti:"language model" OR abs:"language model")',
-    description: 'Autonomous LLM agents',
-    category: 'agents'
-  },
-  {
-    query: '(ti:"language model" OR abs:"language model") AND (ti:reasoning OR ti:"chain of thought" OR abs:reasoning OR abs:"chain of thought")',
-    description: 'LLM reasoning capabilities',
-    category: 'reasoning'
-  },
-  {
-    query: '(ti:"large language model" OR abs:"large language model") AND (ti:planning OR abs:planning)',
-    description: 'LLM planning systems',
-    category: 'planning'
-  },
-  {
-    query: '(ti:"language model" OR abs:"language model") AND (ti:"tool use" OR ti:"tool usage" OR ti:"function calling" OR abs:"tool use" OR abs:"tool usage" OR abs:"function calling")',
-    description: 'LLMs using tools',
-    category: 'tool-use'
-  },
-  {
-    query: '(ti:"multi-agent" OR abs:"multi-agent") AND (ti:"language model" OR abs:"language model")',
-    description: 'Multi-agent LLM systems',
-    category: 'multi-agent'
-  },
-  {
-    query: 'ti:"retrieval augmented generation" OR ti:"RAG" OR abs:"retrieval augmented generation" OR abs:"RAG"',
-    description: 'Retrieval-augmented generation',
-    category: 'rag'
-  },
-  {
-    query: 'ti:"prompt engineering" OR ti:"prompt design" OR abs:"prompt engineering" OR abs:"prompt design"',
-    description: 'Prompt engineering techniques',
-    category: 'prompting'
-  },
-  {
-    query: '(ti:"in-context learning" OR ti:"few-shot learning" OR abs:"in-context learning" OR abs:"few-shot learning") AND (ti:"language model" OR abs:"language model")',
-    description: 'In-context learning',
-    category: 'learning'
-  },
-  {
-    query: '(ti:"language model" OR abs:"language model") AND (ti:coding OR ti:"code generation" OR abs:coding OR abs:"code generation")',
-    description: 'LLMs for coding',
-    category: 'code-generation'
-  },
-  {
-    query: '(ti:"language model" OR abs:"language model") AND (ti:robot OR ti:robotics OR abs:robot OR abs:robotics)',
-    description: 'LLMs in robotics',
-    category: 'robotics'
-  },
-  {
-    query: '(ti:"language model" OR abs:"language model") AND (ti:benchmark OR ti:evaluation OR abs:benchmark OR abs:evaluation) AND (ti:agent OR ti:application OR abs:agent OR abs:application)',
-    description: 'LLM application benchmarks',
-    category: 'evaluation'
-  }
-];
+const WINDOW_RESULT_THRESHOLD = 10000; // arXiv stops paging reliably around 10k results
+const WINDOW_GRANULARITIES = ['year', 'month', 'week'];
+const MAX_RETRIES = 4; // Retries per request after the first attempt
+const RETRY_BASE_DELAY_MS = 5000; // Doubled on every retry, plus jitter
+const defaultTransport = createTransportFromEnv(); // ARXIV_TRANSPORT=live|record|replay
+const ESTIMATE_SAMPLE_SIZE = 100; // Papers sampled per month when estimating a query
 
 /**
  * Fetch papers from arXiv for a single query
  * @param {string} searchQuery - arXiv search query
  * @param {Object} options - Options for the search
+ * @param {number} [options.startOffset] - Result offset to start from (defaults to the checkpoint's)
+ * @param {Function} [options.onPage] - Async callback (papers, {start, totalResults}) run after
+ *   each page, where start is the next offset to fetch
+ * @param {FetchCheckpoint} [options.checkpoint] - Checkpoint to resume from and record progress in
+ * @param {string} [options.checkpointKey] - Key for this query in the checkpoint (defaults to the query)
+ * @param {Function} [options.onWindow] - Callback receiving a coverage record for each date window
+ * @param {boolean} [options.backfill=false] - Split the date range into windows small enough to page through
+ * @param {number} [options.windowThreshold] - Result count above which a backfill window is split
+ * @param {number} [options.maxRetries] - Retries per request before the query fails
+ * @param {number} [options.retryBaseDelayMs] - Backoff delay before the first retry
+ * @param {Object} [options.stats] - Counters {requests, retries} incremented in place
+ * @param {Function} [options.transport] - HTTP transport (see utils/transport.js), defaults to
+ *   the one configured by ARXIV_TRANSPORT
  * @returns {Promise<Array>} Array of paper objects
+ * @throws {Error} If a page fails; error.papers holds the papers fetched before the failure
  */
 export async function fetchPapersForQuery(searchQuery, options = {}) {
+  if (options.backfill) {
+    return fetchPapersBackfill(searchQuery, options);
+  }
+
   const {
     maxResults = Infinity,
     startDate = '2020-01-01',
     endDate = null,
     sortBy = 'submittedDate',
-    sortOrder = 'descending'
+    sortOrder = 'descending',
+    startOffset = null,
+    onPage = null,
+    checkpoint = null,
+    checkpointKey = searchQuery,
+    onWindow = null
   } = options;
 
-  let allPapers = [];
-  let start = 0;
-  let hasMore = true;
+  const requestOptions = pickRequestOptions(options);
+  const window = { startDate, endDate };
+  const saved = checkpoint?.getWindow(checkpointKey, window);
 
   console.log(chalk.blue(`\nFetching papers for query: ${searchQuery}`));
   if (startDate || endDate) {
     console.log(chalk.gray(`Date range: ${startDate} to ${endDate || 'now'}`));
   }
 
-  while (hasMore && allPapers.length < maxResults) {
-    await rateLimiter.wait();
+  if (saved?.completed) {
+    console.log(chalk.gray('Already completed in checkpoint, skipping'));
+    onWindow?.(buildCoverageRecord(window, saved.start, saved.totalResults));
+    return [];
+  }
 
-    const resultsToFetch = Math.min(MAX_RESULTS_PER_REQUEST, maxResults - allPapers.length);
+  let allPapers = [];
+  let start = startOffset ?? saved?.start ?? 0;
+  let totalResults = saved?.totalResults ?? null;
+  let hasMore = true;
 
-    let query = searchQuery;
+  if (start > 0) {
+    console.log(chalk.gray(`Resuming from result ${start}`));
+  }
 
-    // Add date filtering if specified
-    if (startDate || endDate) {
-      const startDateFormatted = startDate ? startDate.replace(/-/g, '') + '0000' : '20000101000';
-      const endDateFormatted = endDate ? endDate.replace(/-/g, '') + '2359' : new Date().toISOString().slice(0, 10).replace(/-/g, '') + '2359';
-      query = `(${searchQuery}) AND submittedDate:[${startDateFormatted} TO ${endDateFormatted}]`;
-    }
+  const query = buildDateFilteredQuery(searchQuery, startDate, endDate);
 
+  while (hasMore && allPapers.length < maxResults) {
+    const resultsToFetch = Math.min(MAX_RESULTS_PER_REQUEST, maxResults - allPapers.length);
     const url = buildArxivUrl(query, start, resultsToFetch, sortBy, sortOrder);
 
     try {
       console.log(chalk.gray(`Fetching results ${start} - ${start + resultsToFetch}...`));
 
-      const response = await fetch(url);
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const xmlData = await response.text();
-      const parsed = parseArxivXML(xmlData);
+      const parsed = await requestPage(url, { ...requestOptions, start });
+      totalResults = parsed.totalResults;
 
       console.log(chalk.green(`✓ Retrieved ${parsed.entries.length} papers (${parsed.totalResults} total available)`));
 
-      if (parsed.entries.length === 0) {
+      // Skipped (unparseable) entries still occupy result offsets
+      const pageSize = parsed.entries.length + parsed.skipped.length;
+
+      if (pageSize === 0) {
         hasMore = false;
         break;
       }
 
       allPapers = allPapers.concat(parsed.entries);
-      start += parsed.entries.length;
+      start += pageSize;
 
       // Check if we've retrieved all available results
-      if (start >= parsed.totalResults || parsed.entries.length < resultsToFetch) {
+      if (start >= parsed.totalResults || pageSize < resultsToFetch) {
         hasMore = false;
       }
 
@@ -157,72 +122,519 @@ export async function fetchPapersForQuery(searchQuery, options = {}) {
         hasMore = false;
       }
 
+      if (onPage) {
+        await onPage(parsed.entries, { start, totalResults: parsed.totalResults });
+      }
+      if (checkpoint) {
+        await checkpoint.recordPage(checkpointKey, window, { start, totalResults: parsed.totalResults });
+      }
+
     } catch (error) {
       console.error(chalk.red(`✗ Error fetching results: ${error.message}`));
 
-      // Retry logic with exponential backoff
-      if (start === 0) {
-        // If first request fails, throw error
-        throw error;
-      } else {
-        // If subsequent request fails, break and return what we have
-        console.log(chalk.yellow(`Stopping fetch, returning ${allPapers.length} papers collected so far`));
-        hasMore = false;
+      // Surface the failure so callers know the result set has a gap,
+      // but hand back what was collected before it
+      if (allPapers.length > 0) {
+        console.log(chalk.yellow(`Stopping fetch after ${allPapers.length} papers (next offset: ${start})`));
+      }
+      onWindow?.({ ...buildCoverageRecord(window, start, totalResults), error: error.message });
+      if (checkpoint) {
+        await checkpoint.recordFailure(checkpointKey, window, error.message);
       }
+      error.papers = allPapers;
+      error.nextStart = start;
+      throw error;
     }
   }
 
+  if (checkpoint) {
+    await checkpoint.completeWindow(checkpointKey, window);
+  }
+  onWindow?.(buildCoverageRecord(window, start, totalResults ?? 0));
+
   console.log(chalk.green(`✓ Total papers fetched: ${allPapers.length}\n`));
   return allPapers;
 }
 
+/**
+ * Fetch a query over a long date range by splitting it into windows that stay
+ * under arXiv's paging limit. Windows start at a year; any window whose
+ * totalResults exceeds the threshold is split into months, then weeks.
+ * @param {string} searchQuery - arXiv search query
+ * @param {Object} options - Same options as fetchPapersForQuery
+ * @returns {Promise<Array>} Array of paper objects from every window
+ * @throws {Error} After all windows ran, if any failed; error.papers holds what was fetched
+ */
+async function fetchPapersBackfill(searchQuery, options) {
+  const {
+    startDate = '2020-01-01',
+    endDate = null,
+    windowThreshold = WINDOW_RESULT_THRESHOLD,
+    checkpoint = null,
+    checkpointKey = searchQuery,
+    onWindow = null,
+    backfill,
+    ...windowOptions
+  } = options;
+
+  const range = { startDate, endDate: endDate || format(new Date(), 'yyyy-MM-dd') };
+  let allPapers = [];
+  const failures = [];
+
+  console.log(chalk.blue(`\nBackfilling query: ${searchQuery}`));
+  console.log(chalk.gray(`Date range: ${range.startDate} to ${range.endDate} (split above ${windowThreshold} results)`));
+
+  const fetchWindow = async (window, level) => {
+    const granularity = WINDOW_GRANULARITIES[level];
+    const saved = checkpoint?.getWindow(checkpointKey, window);
+    let totalResults = saved?.split ? saved.totalResults : null;
+    // Windows that failed before they were sized are sized again
+    const sized = saved && (saved.split || saved.totalResults !== null);
+
+    // A window the checkpoint already started is fetched whole, as decided before
+    if (!sized) {
+      try {
+        totalResults = await fetchTotalResults(searchQuery, window, pickRequestOptions(options));
+        console.log(chalk.gray(`  ${granularity} ${window.startDate} to ${window.endDate}: ${totalResults} results`));
+      } catch (error) {
+        console.error(chalk.red(`✗ Error sizing window ${window.startDate} to ${window.endDate}: ${error.message}`));
+        onWindow?.({ ...buildCoverageRecord(window, 0, null), granularity, error: error.message });
+        if (checkpoint) {
+          await checkpoint.recordFailure(checkpointKey, window, error.message);
+        }
+        failures.push({ ...window, error: error.message });
+        return;
+      }
+    }
+
+    const finer = level + 1 < WINDOW_GRANULARITIES.length;
+
+    if (totalResults !== null && totalResults > windowThreshold && finer) {
+      if (checkpoint && !sized) {
+        await checkpoint.recordSplit(checkpointKey, window, totalResults);
+      }
+      for (const child of splitDateWindow(window, WINDOW_GRANULARITIES[level + 1])) {
+        await fetchWindow(child, level + 1);
+      }
+      return;
+    }
+
+    if (totalResults !== null && totalResults > windowThreshold) {
+      console.log(chalk.yellow(`  ⚠ ${totalResults} results in a single ${granularity}; coverage will be capped`));
+    }
+
+    if (totalResults === 0) {
+      if (checkpoint) {
+        await checkpoint.completeWindow(checkpointKey, window);
+      }
+      onWindow?.({ ...buildCoverageRecord(window, 0, 0), granularity });
+      return;
+    }
+
+    try {
+      const papers = await fetchPapersForQuery(searchQuery, {
+        ...windowOptions,
+        startDate: window.startDate,
+        endDate: window.endDate,
+        checkpoint,
+        checkpointKey,
+        onWindow: record => onWindow?.({ ...record, granularity })
+      });
+      allPapers = allPapers.concat(papers);
+    } catch (error) {
+      allPapers = allPapers.concat(error.papers || []);
+      failures.push({ ...window, error: error.message });
+    }
+  };
+
+  for (const window of splitDateWindow(range, WINDOW_GRANULARITIES[0])) {
+    await fetchWindow(window, 0);
+  }
+
+  if (failures.length > 0) {
+    const error = new Error(`${failures.length} date windows failed (first: ${failures[0].startDate} to ${failures[0].endDate}: ${failures[0].error})`);
+    error.papers = allPapers;
+    throw error;
+  }
+
+  console.log(chalk.green(`✓ Backfill fetched ${allPapers.length} papers\n`));
+  return allPapers;
+}
+
+/**
+ * Split a date window into consecutive calendar years, months or 7-day weeks
+ * @param {Object} window - Date window {startDate, endDate} (yyyy-MM-dd, inclusive)
+ * @param {string} granularity - 'year', 'month' or 'week'
+ * @returns {Array} Array of {startDate, endDate} windows covering the input exactly
+ */
+export function splitDateWindow(window, granularity) {
+  const windows = [];
+  const end = parseISO(window.endDate);
+  let cursor = parseISO(window.startDate);
+
+  while (cursor <= end) {
+    let periodEnd;
+    if (granularity === 'year') {
+      periodEnd = endOfYear(cursor);
+    } else if (granularity === 'month') {
+      periodEnd = endOfMonth(cursor);
+    } else {
+      periodEnd = addDays(cursor, 6);
+    }
+
+    if (periodEnd > end) {
+      periodEnd = end;
+    }
+
+    windows.push({
+      startDate: format(cursor, 'yyyy-MM-dd'),
+      endDate: format(periodEnd, 'yyyy-MM-dd')
+    });
+
+    cursor = addDays(startOfDay(periodEnd), 1);
+  }
+
+  return windows;
+}
+
 /**
  * Fetch papers from arXiv using multiple queries
- * @param {Array} queries - Array of query objects {query, description, category}
- * @param {Object} options - Options for the search
- * @returns {Promise<Array>} Array of all papers (with duplicates removed)
+ * @param {Array} queries - Array of query objects {id, query, description, category, startDate?}
+ * @param {Object} options - Options for the search (passed to fetchPapersForQuery)
+ * @param {Function} [options.onPage] - Async callback (papers, queryDef) run after each page,
+ *   before the checkpoint records it
+ * @param {Function} [options.onWindow] - Callback (record, queryDef) for each coverage record
+ * @returns {Promise<Object>} {papers, summary} where papers has duplicates removed (each paper's
+ *   matchedQueries lists the ids of the queries that found it) and summary
+ *   holds one entry per query {description, category, fetched, newPapers, requests, retries, failed, error}
  */
 export async function fetchPapersMultiQuery(queries, options = {}) {
+  const { onPage = null, onWindow = null, ...fetchOptions } = options;
   const allPapers = [];
-  const seenIds = new Set();
+  const seenPapers = new Map();
+  const summary = [];
+
+  // Record the query on each paper; a paper found again keeps every query that matched it
+  const tagPapers = (papers, queryId) => {
+    for (const paper of papers) {
+      paper.matchedQueries = mergeMatchedQueries(paper.matchedQueries, [queryId]);
+    }
+    return papers;
+  };
+
+  const addPapers = (papers) => {
+    let newPapers = 0;
+    for (const paper of papers) {
+      const key = normalizeArxivId(paper.id);
+      const seen = seenPapers.get(key);
+      if (!seen) {
+        seenPapers.set(key, paper);
+        allPapers.push(paper);
+        newPapers++;
+      } else if (seen !== paper) {
+        seen.matchedQueries = mergeMatchedQueries(seen.matchedQueries, paper.matchedQueries);
+      }
+    }
+    return newPapers;
+  };
 
   console.log(chalk.bold.cyan(`\n${'='.repeat(60)}`));
   console.log(chalk.bold.cyan(`Starting multi-query fetch: ${queries.length} queries`));
   console.log(chalk.bold.cyan(`${'='.repeat(60)}\n`));
 
   for (let i = 0; i < queries.length; i++) {
-    const { query, description, category } = queries[i];
+    const { id, query, description, category } = queries[i];
+    const stats = { requests: 0, retries: 0 };
+    const entry = { id, query, description, category, fetched: 0, newPapers: 0, failed: false, error: null };
 
     console.log(chalk.bold.yellow(`\n[Query ${i + 1}/${queries.length}] ${description}`));
     console.log(chalk.gray(`Category: ${category}`));
 
+    // A query's own start date narrows the run's date range
+    const queryStartDate = queries[i].startDate && queries[i].startDate > (fetchOptions.startDate || '')
+      ? queries[i].startDate
+      : fetchOptions.startDate;
+
     try {
-      const papers = await fetchPapersForQuery(query, options);
+      const papers = await fetchPapersForQuery(query, {
+        ...fetchOptions,
+        startDate: queryStartDate,
+        stats,
+        checkpointKey: query,
+        onPage: onPage && (pagePapers => onPage(tagPapers(pagePapers, id), queries[i])),
+        onWindow: onWindow && (record => onWindow(record, queries[i]))
+      });
 
       // Remove duplicates
-      let newPapers = 0;
-      for (const paper of papers) {
-        if (!seenIds.has(paper.id)) {
-          seenIds.add(paper.id);
-          allPapers.push(paper);
-          newPapers++;
-        }
-      }
+      const newPapers = addPapers(tagPapers(papers, id));
+      entry.fetched = papers.length;
+      entry.newPapers = newPapers;
 
       console.log(chalk.cyan(`Added ${newPapers} new papers (${papers.length - newPapers} duplicates skipped)`));
 
     } catch (error) {
       console.error(chalk.red(`✗ Query failed: ${error.message}`));
+
+      entry.failed = true;
+      entry.error = error.message;
+
+      if (error.papers?.length > 0) {
+        const newPapers = addPapers(tagPapers(error.papers, id));
+        entry.fetched = error.papers.length;
+        entry.newPapers = newPapers;
+        console.log(chalk.yellow(`Kept ${newPapers} new papers fetched before the failure`));
+      }
+
       console.log(chalk.yellow(`Continuing with next query...\n`));
     }
+
+    summary.push({ ...entry, ...stats });
   }
 
+  const failed = summary.filter(q => q.failed);
+
   console.log(chalk.bold.green(`\n${'='.repeat(60)}`));
   console.log(chalk.bold.green(`✓ Multi-query fetch complete!`));
   console.log(chalk.bold.green(`Total unique papers: ${allPapers.length}`));
   console.log(chalk.bold.green(`${'='.repeat(60)}\n`));
 
-  return allPapers;
+  console.log(chalk.bold('Per-query summary:'));
+  summary.forEach(q => {
+    const status = q.failed ? chalk.red('✗') : chalk.green('✓');
+    const retries = q.retries > 0 ? chalk.yellow(` ${q.retries} retries`) : '';
+    console.log(`  ${status} ${q.description.padEnd(32)} ${String(q.fetched).padStart(6)} fetched, ${String(q.newPapers).padStart(6)} new${retries}`);
+  });
+
+  if (failed.length > 0) {
+    console.log(chalk.red(`\n✗ ${failed.length} of ${summary.length} queries failed:`));
+    failed.forEach(q => console.log(chalk.red(`  ${q.description}: ${q.error}`)));
+  }
+
+  return { papers: allPapers, summary };
+}
+
+/**
+ * Request one page from the arXiv API (rate limited, retried with backoff)
+ *
+ * HTTP 5xx/429 responses, network errors, unparseable feeds and empty pages
+ * inside a result set are retried; a 503 Retry-After delay is obeyed.
+ * Replayed responses skip the rate limiter.
+ * @param {string} url - Full API URL
+ * @param {Object} options - {start, maxRetries, retryBaseDelayMs, stats, transport}
+ * @returns {Promise<Object>} Parsed feed {totalResults, startIndex, itemsPerPage, entries}
+ */
+async function requestPage(url, options = {}) {
+  const {
+    start = 0,
+    maxRetries = MAX_RETRIES,
+    retryBaseDelayMs = RETRY_BASE_DELAY_MS,
+    stats = null,
+    transport = defaultTransport
+  } = options;
+
+  return withRetry(async () => {
+    if (transport.mode !== 'replay') {
+      await rateLimiter.wait();
+    }
+
+    if (stats) {
+      stats.requests++;
+    }
+
+    const response = await transport(url);
+
+    if (!response.ok) {
+      const message = `HTTP ${response.status}: ${response.statusText}`;
+
+      if (response.status >= 500 || response.status === 429) {
+        throw new RetryableError(message, {
+          retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+        });
+      }
+      throw new Error(message);
+    }
+
+    const xmlData = await response.text();
+
+    let parsed;
+    try {
+      parsed = parseArxivXML(xmlData);
+    } catch (error) {
+      throw new RetryableError(error.message);
+    }
+
+    // arXiv occasionally returns a valid feed with no entries in the middle of
+    // a result set; that is a glitch, not the end of the results
+    if (parsed.entries.length === 0 && parsed.skipped.length === 0 && start < parsed.totalResults) {
+      throw new RetryableError(`Empty page at offset ${start} of ${parsed.totalResults} results`);
+    }
+
+    parsed.skipped.forEach(entry => {
+      console.log(chalk.yellow(`  ⚠ Skipped entry ${entry.id}: ${entry.error}`));
+    });
+
+    return parsed;
+  }, {
+    retries: maxRetries,
+    baseDelayMs: retryBaseDelayMs,
+    onRetry: (error, attempt, delayMs) => {
+      if (stats) {
+        stats.retries++;
+      }
+      console.log(chalk.yellow(`  ↻ ${error.message} - retry ${attempt}/${maxRetries} in ${(delayMs / 1000).toFixed(1)}s`));
+    }
+  });
+}
+
+/**
+ * Pick the request-level options (retries, stats and transport) out of fetch options
+ * @param {Object} options - Fetch options
+ * @returns {Object} {maxRetries, retryBaseDelayMs, stats, transport}
+ */
+function pickRequestOptions(options) {
+  const { maxRetries, retryBaseDelayMs, stats, transport } = options;
+  return { maxRetries, retryBaseDelayMs, stats, transport };
+}
+
+/**
+ * Count the papers arXiv has for a query within a date range (one request)
+ * @param {string} searchQuery - arXiv search query
+ * @param {Object} options - {startDate, endDate} plus request options (maxRetries, transport, ...)
+ * @returns {Promise<number>} opensearch:totalResults
+ */
+export async function countPapersForQuery(searchQuery, options = {}) {
+  const { startDate = '2020-01-01', endDate = format(new Date(), 'yyyy-MM-dd') } = options;
+  return fetchTotalResults(searchQuery, { startDate, endDate }, pickRequestOptions(options));
+}
+
+/**
+ * Estimate what a query would add to the corpus without fetching it in full.
+ * Each month of the range costs one request: its totalResults plus a sample page
+ * of the newest papers, whose overlap with the corpus is extrapolated to the month.
+ * @param {string} searchQuery - arXiv search query
+ * @param {Object} options - Estimate options plus request options (maxRetries, transport, ...)
+ * @param {string} [options.startDate='2020-01-01'] - Start date (yyyy-MM-dd)
+ * @param {string} [options.endDate] - End date (yyyy-MM-dd), defaults to today
+ * @param {number} [options.sampleSize=100] - Papers sampled per month
+ * @param {Set<string>} [options.existingIds] - IDs already in the corpus (loaded from the data store if omitted)
+ * @returns {Promise<Object>} {totalResults, sampled, existing, newIds, estimatedNew, months}
+ *   where months holds the same counts per month plus {month, startDate, endDate, exact}
+ */
+export async function estimateQuery(searchQuery, options = {}) {
+  const {
+    startDate = '2020-01-01',
+    endDate = format(new Date(), 'yyyy-MM-dd'),
+    sampleSize = ESTIMATE_SAMPLE_SIZE
+  } = options;
+
+  const existingIds = options.existingIds || await new DataStore().listIds();
+  const requestOptions = pickRequestOptions(options);
+  const months = [];
+  const newIds = [];
+
+  for (const window of splitDateWindow({ startDate, endDate }, 'month')) {
+    const query = buildDateFilteredQuery(searchQuery, window.startDate, window.endDate);
+    const parsed = await requestPage(
+      buildArxivUrl(query, 0, sampleSize, 'submittedDate', 'descending'),
+      requestOptions
+    );
+
+    const sampleNew = parsed.entries
+      .filter(paper => !existingIds.has(normalizeArxivId(paper.id)))
+      .map(paper => paper.id);
+    const sampled = parsed.entries.length;
+    const exact = sampled >= parsed.totalResults;
+
+    newIds.push(...sampleNew);
+    months.push({
+      month: window.startDate.slice(0, 7),
+      ...window,
+      totalResults: parsed.totalResults,
+      sampled,
+      existing: sampled - sampleNew.length,
+      sampleNew: sampleNew.length,
+      estimatedNew: exact || sampled === 0
+        ? sampleNew.length
+        : Math.round(parsed.totalResults * sampleNew.length / sampled),
+      exact
+    });
+  }
+
+  const sum = field => months.reduce((total, month) => total + month[field], 0);
+
+  return {
+    totalResults: sum('totalResults'),
+    sampled: sum('sampled'),
+    existing: sum('existing'),
+    newIds,
+    estimatedNew: sum('estimatedNew'),
+    months
+  };
+}
+
+/**
+ * Print an estimate as a per-month table
+ * @param {string} label - Query id or description
+ * @param {Object} estimate - Result of estimateQuery
+ */
+function logEstimate(label, estimate) {
+  console.log(chalk.bold(`\n${label}`));
+  console.log(chalk.gray('  month     matches  sampled  have  new (est.)'));
+
+  for (const month of estimate.months) {
+    const estimated = month.exact ? String(month.estimatedNew) : `~${month.estimatedNew}`;
+    console.log(`  ${month.month}  ${String(month.totalResults).padStart(7)}  ${String(month.sampled).padStart(7)}  ${String(month.existing).padStart(4)}  ${estimated.padStart(10)}`);
+  }
+
+  const overlap = estimate.sampled > 0 ? Math.round(estimate.existing / estimate.sampled * 100) : 0;
+  console.log(chalk.cyan(`  ${estimate.totalResults} matches, ${overlap}% of sampled papers already collected, ~${estimate.estimatedNew} new`));
+}
+
+/**
+ * Get the number of results arXiv reports for a query within a date window
+ * @param {string} searchQuery - arXiv search query
+ * @param {Object} window - Date window {startDate, endDate}
+ * @param {Object} requestOptions - Options for requestPage
+ * @returns {Promise<number>} opensearch:totalResults for the window
+ */
+async function fetchTotalResults(searchQuery, window, requestOptions = {}) {
+  const query = buildDateFilteredQuery(searchQuery, window.startDate, window.endDate);
+  const parsed = await requestPage(buildArxivUrl(query, 0, 1, 'submittedDate', 'descending'), requestOptions);
+  return parsed.totalResults;
+}
+
+/**
+ * Add a submittedDate range to a search query
+ * @param {string} searchQuery - arXiv search query
+ * @param {string|null} startDate - Start date (yyyy-MM-dd)
+ * @param {string|null} endDate - End date (yyyy-MM-dd), defaults to today
+ * @returns {string} Query restricted to the date range
+ */
+function buildDateFilteredQuery(searchQuery, startDate, endDate) {
+  if (!startDate && !endDate) {
+    return searchQuery;
+  }
+
+  const startDateFormatted = startDate ? startDate.replace(/-/g, '') + '0000' : '200001010000';
+  const endDateFormatted = endDate ? endDate.replace(/-/g, '') + '2359' : new Date().toISOString().slice(0, 10).replace(/-/g, '') + '2359';
+  return `(${searchQuery}) AND submittedDate:[${startDateFormatted} TO ${endDateFormatted}]`;
+}
+
+/**
+ * Build a coverage record for a fetched date window
+ * @param {Object} window - Date window {startDate, endDate}
+ * @param {number} fetched - Number of results paged through
+ * @param {number|null} totalResults - Results arXiv reported for the window
+ * @returns {Object} Coverage record
+ */
+function buildCoverageRecord(window, fetched, totalResults) {
+  return {
+    startDate: window.startDate,
+    endDate: window.endDate,
+    totalResults,
+    fetched,
+    complete: totalResults !== null && fetched >= totalResults
+  };
 }
 
 /**
@@ -246,25 +658,77 @@ function buildArxivUrl(query, start, maxResults, sortBy, sortOrder) {
   return `${ARXIV_API_BASE}?${params.toString()}`;
 }
 
-// If running this script directly, test with a single query
+// If running this script directly: `estimate` sizes queries, otherwise test with a single query
 if (import.meta.url === `file://${process.argv[1]}`.replace(/\\/g, '/')) {
-  console.log(chalk.bold.cyan('Testing arXiv API client...\n'));
-
-  const testQuery = SEARCH_QUERIES[0];
-
-  fetchPapersForQuery(testQuery.query, {
-    maxResults: 10,
-    startDate: '2024-01-01'
-  })
-    .then(papers => {
-      console.log(chalk.bold.green(`\n✓ Test successful! Retrieved ${papers.length} papers\n`));
-      console.log(chalk.bold('Sample paper:'));
-      console.log(JSON.stringify(papers[0], null, 2));
-    })
-    .catch(error => {
-      console.error(chalk.bold.red(`\n✗ Test failed: ${error.message}\n`));
+  const [command, ...rest] = process.argv.slice(2);
+
+  if (command === 'estimate') {
+    const getArg = (name) => {
+      const arg = rest.find(a => a.startsWith(`--${name}=`));
+      return arg ? arg.slice(name.length + 3) : undefined;
+    };
+    const ids = rest.filter(a => !a.startsWith('--'));
+    const options = {
+      startDate: getArg('start-date') || format(addDays(new Date(), -365), 'yyyy-MM-dd'),
+      endDate: getArg('end-date') || format(new Date(), 'yyyy-MM-dd'),
+      sampleSize: getArg('sample-size') ? parseInt(getArg('sample-size')) : ESTIMATE_SAMPLE_SIZE
+    };
+
+    const run = async () => {
+      let queries;
+      if (getArg('query')) {
+        const syntax = validateArxivQuery(getArg('query'));
+        if (!syntax.valid) {
+          throw new Error(`Invalid query: ${syntax.error}`);
+        }
+        queries = [{ id: 'candidate', query: getArg('query') }];
+      } else {
+        const all = await loadQueries({ includeDisabled: ids.length > 0 });
+        queries = ids.length > 0 ? ids.map(id => {
+          const query = all.find(q => q.id === id);
+          if (!query) throw new Error(`No query with id "${id}"`);
+          return query;
+        }) : all;
+      }
+
+      options.existingIds = await new DataStore().listIds();
+      console.log(chalk.bold.cyan(`\nEstimating ${queries.length} quer${queries.length === 1 ? 'y' : 'ies'} from ${options.startDate} to ${options.endDate}`));
+      console.log(chalk.gray(`Corpus: ${options.existingIds.size} papers`));
+
+      const results = [];
+      for (const q of queries) {
+        const estimate = await estimateQuery(q.query, options);
+        results.push({ id: q.id, query: q.query, ...estimate });
+        logEstimate(q.id, estimate);
+      }
+
+      if (rest.includes('--json')) {
+        console.log(JSON.stringify(results, null, 2));
+      }
+    };
+
+    run().catch(error => {
+      console.error(chalk.bold.red(`\n✗ Estimate failed: ${error.message}\n`));
       process.exit(1);
     });
+  } else {
+    console.log(chalk.bold.cyan('Testing arXiv API client...\n'));
+
+    loadQueries()
+      .then(([testQuery]) => fetchPapersForQuery(testQuery.query, {
+        maxResults: 10,
+        startDate: '2024-01-01'
+      }))
+      .then(papers => {
+        console.log(chalk.bold.green(`\n✓ Test successful! Retrieved ${papers.length} papers\n`));
+        console.log(chalk.bold('Sample paper:'));
+        console.log(JSON.stringify(papers[0], null, 2));
+      })
+      .catch(error => {
+        console.error(chalk.bold.red(`\n✗ Test failed: ${error.message}\n`));
+        process.exit(1);
+      });
+  }
 }
 
 export default fetchPapersForQuery;
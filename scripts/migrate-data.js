@@ -0,0 +1,140 @@
+/**
+ * Migrate Data
+ * Rewrites paper shards, the shard manifest, categories.json and index.json in the
+ * current schema version, applying the migrations in scripts/migrations/ in order.
+ * Year files from before sharding are split into monthly shards first.
+ *
+ * Usage:
+ *   npm run migrate-data              # migrate every out-of-date file
+ *   npm run migrate-data -- --dry-run # list what would be migrated
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import { migrateData, SCHEMA_VERSION } from './utils/migrations.js';
+import { writeJsonAtomic } from './utils/safe-write.js';
+import { validateShardFile, validateManifestFile, validateIndexFile, validateCategoriesFile } from './utils/data-validation.js';
+import DataStore from './utils/data-store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '..', 'public', 'data');
+const PAPERS_DIR = path.join(DATA_DIR, 'papers');
+
+const VALIDATORS = {
+  shard: validateShardFile,
+  manifest: validateManifestFile,
+  index: validateIndexFile,
+  categories: validateCategoriesFile
+};
+
+/**
+ * List the data files to migrate
+ * @returns {Promise<Array>} [{kind, filePath, label}]
+ */
+async function listDataFiles() {
+  const files = [
+    { kind: 'categories', filePath: path.join(DATA_DIR, 'categories.json'), label: 'categories.json' },
+    { kind: 'index', filePath: path.join(DATA_DIR, 'index.json'), label: 'index.json' },
+    { kind: 'manifest', filePath: path.join(PAPERS_DIR, 'manifest.json'), label: 'papers/manifest.json' }
+  ];
+
+  let years = [];
+  try {
+    years = (await fs.readdir(PAPERS_DIR)).filter(f => /^\d{4}$/.test(f)).sort();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  for (const year of years) {
+    const shards = (await fs.readdir(path.join(PAPERS_DIR, year))).filter(f => /^\d{4}-\d{2}\.json$/.test(f)).sort();
+    shards.forEach(file => files.push({ kind: 'shard', filePath: path.join(PAPERS_DIR, year, file), label: `papers/${year}/${file}` }));
+  }
+
+  return files;
+}
+
+/**
+ * Migrate every data file to the current schema version
+ * @param {Object} options - {dryRun: only report}
+ * @returns {Promise<Object>} {migrated, current} file counts
+ * @throws {MigrationError|DataWriteError} If a file is too new or fails validation after migrating
+ */
+export async function migrateAllData(options = {}) {
+  const { dryRun = false } = options;
+  const store = new DataStore({ dataDir: DATA_DIR });
+  let migrated = 0;
+  let current = 0;
+  let shardsMigrated = false;
+
+  console.log(chalk.bold.cyan(`\nMigrating data to schema version ${SCHEMA_VERSION}${dryRun ? ' (dry run)' : ''}\n`));
+
+  // Layout: one file per year → one shard per month
+  const legacyYears = await store.listLegacyYears();
+  if (legacyYears.length > 0) {
+    console.log(chalk.yellow(`Year files to split into monthly shards: ${legacyYears.map(y => `${y}.json`).join(', ')}`));
+    if (!dryRun) {
+      await store.convertLegacyLayout();
+    }
+    migrated += legacyYears.length;
+  }
+
+  for (const { kind, filePath, label } of await listDataFiles()) {
+    let original;
+    try {
+      original = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw new Error(`Could not read ${label}: ${error.message}`);
+    }
+
+    const { data, from, applied } = migrateData(kind, original, { label });
+
+    if (applied.length === 0) {
+      current++;
+      continue;
+    }
+
+    console.log(chalk.yellow(`${label}: v${from} → v${SCHEMA_VERSION}`));
+    applied.forEach(description => console.log(chalk.gray(`  ${description}`)));
+
+    if (!dryRun) {
+      // Migrations never remove papers, so the drop guard is left at its default
+      await writeJsonAtomic(filePath, data, {
+        validate: VALIDATORS[kind],
+        countPapers: kind === 'categories' ? null : file => file.papers?.length ?? file.totalPapers ?? 0
+      });
+    }
+    shardsMigrated = shardsMigrated || kind === 'shard';
+    migrated++;
+  }
+
+  // Migrated shards have new contents, so their hashes change
+  if (shardsMigrated && !dryRun) {
+    await store.rebuildManifest();
+    console.log(chalk.gray('Rebuilt papers/manifest.json'));
+  }
+
+  if (migrated === 0) {
+    console.log(chalk.green(`✓ All ${current} data files are at schema version ${SCHEMA_VERSION}\n`));
+  } else {
+    const verb = dryRun ? 'Would migrate' : 'Migrated';
+    console.log(chalk.bold.green(`\n✓ ${verb} ${migrated} files (${current} already current)\n`));
+  }
+
+  return { migrated, current };
+}
+
+// If running this script directly
+if (import.meta.url === `file://${process.argv[1]}`.replace(/\\/g, '/')) {
+  migrateAllData({ dryRun: process.argv.includes('--dry-run') })
+    .catch(error => {
+      console.error(chalk.red(`\n✗ Migration failed: ${error.message}\n`));
+      process.exit(1);
+    });
+}
+
+export default migrateAllData;
@@ -0,0 +1,30 @@
+/**
+ * Migration 1: introduce schemaVersion
+ * Files written before versioning could store the year as a string, a stale count
+ * and versioned IDs (2401.12345v2). Normalize those so they pass the v1 schemas.
+ */
+
+import { parseArxivId } from '../../shared/arxiv-id.js';
+
+export const version = 1;
+export const description = 'Add schemaVersion; integer year and count, unversioned IDs';
+
+export function year(data) {
+  const papers = (data.papers || []).map(paper => {
+    const parsed = parseArxivId(paper.id);
+    if (!parsed || parsed.id === paper.id) return paper;
+
+    return {
+      ...paper,
+      id: parsed.id,
+      ...(parsed.version && !paper.version ? { version: parsed.version } : {})
+    };
+  });
+
+  return {
+    ...data,
+    year: parseInt(data.year),
+    count: papers.length,
+    papers
+  };
+}
@@ -0,0 +1,16 @@
+/**
+ * Data Migrations, in order
+ * Each module exports `version` (the schema version it migrates to), a
+ * `description`, and a function per file kind it changes (see FILE_KINDS in
+ * utils/migrations.js), e.g. `shard(data)` or `index(data)`. Kinds without a
+ * function are only re-stamped with the new version. Functions return new data
+ * and must not mutate their input.
+ */
+
+import * as schemaVersion from './001-schema-version.js';
+
+export const MIGRATIONS = [
+  schemaVersion
+];
+
+export default MIGRATIONS;
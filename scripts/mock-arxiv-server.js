@@ -0,0 +1,270 @@
+/**
+ * Mock arXiv API Server
+ * Serves the subset of export.arxiv.org/api/query used by the pipeline,
+ * backed by the papers in the data store (public/data/papers)
+ *
+ * Point the scripts at it with:
+ *   ARXIV_API_BASE=http://localhost:8088/api/query npm run fetch:incremental
+ */
+
+import http from 'http';
+import chalk from 'chalk';
+import { parseArxivQuery, matchesArxivQuery, QuerySyntaxError } from './utils/arxiv-query.js';
+import DataStore from './utils/data-store.js';
+
+const MAX_RESULTS_LIMIT = 2000; // arXiv's per-request maximum
+
+/**
+ * Load every stored paper to serve
+ * @returns {Promise<Array>} Array of papers
+ */
+async function loadPapers() {
+  return new DataStore().getAllPapers();
+}
+
+/**
+ * Escape text for XML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a stored paper as an Atom entry
+ * @param {Object} paper - Stored paper
+ * @returns {string} <entry> XML
+ */
+function renderEntry(paper) {
+  const idWithVersion = `${paper.id}v${paper.version || 1}`;
+  const authors = (paper.authors || [])
+    .map(author => `    <author><name>${escapeXml(author.name || author)}</name></author>`)
+    .join('\n');
+  const categories = (paper.arxivCategories || [])
+    .map(term => `    <category term="${escapeXml(term)}" scheme="http://arxiv.org/schemas/atom"/>`)
+    .join('\n');
+
+  return `  <entry>
+    <id>http://arxiv.org/abs/${idWithVersion}</id>
+    <updated>${escapeXml(paper.updatedDate || paper.publishedDate)}</updated>
+    <published>${escapeXml(paper.publishedDate)}</published>
+    <title>${escapeXml(paper.title)}</title>
+    <summary>${escapeXml(paper.abstract)}</summary>
+${authors}
+${paper.comment ? `    <arxiv:comment>${escapeXml(paper.comment)}</arxiv:comment>\n` : ''}${paper.journalRef ? `    <arxiv:journal_ref>${escapeXml(paper.journalRef)}</arxiv:journal_ref>\n` : ''}${paper.doi ? `    <arxiv:doi>${escapeXml(paper.doi)}</arxiv:doi>\n` : ''}    <link href="https://arxiv.org/abs/${idWithVersion}" rel="alternate" type="text/html"/>
+    <link title="pdf" href="https://arxiv.org/pdf/${idWithVersion}" rel="related" type="application/pdf"/>
+    <arxiv:primary_category term="${escapeXml(paper.primaryCategory || paper.arxivCategories?.[0] || 'cs.CL')}" scheme="http://arxiv.org/schemas/atom"/>
+${categories}
+  </entry>`;
+}
+
+/**
+ * Render an Atom feed page
+ * @param {Object} page - {query, totalResults, start, itemsPerPage, papers}
+ * @returns {string} Feed XML
+ */
+function renderFeed(page) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/" xmlns:arxiv="http://arxiv.org/schemas/atom">
+  <link href="http://arxiv.org/api/query?search_query=${escapeXml(encodeURIComponent(page.query))}" rel="self" type="application/atom+xml"/>
+  <title type="html">ArXiv Query: ${escapeXml(page.query)}</title>
+  <id>http://arxiv.org/api/mock</id>
+  <updated>${new Date().toISOString()}</updated>
+  <opensearch:totalResults xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/">${page.totalResults}</opensearch:totalResults>
+  <opensearch:startIndex xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/">${page.start}</opensearch:startIndex>
+  <opensearch:itemsPerPage xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/">${page.itemsPerPage}</opensearch:itemsPerPage>
+${page.papers.map(renderEntry).join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Render an arXiv-style error feed (arXiv reports bad queries as a 400 with an Atom error entry)
+ * @param {string} message - Error message
+ * @returns {string} Feed XML
+ */
+function renderErrorFeed(message) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title type="html">ArXiv Query: error</title>
+  <opensearch:totalResults xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/">1</opensearch:totalResults>
+  <entry>
+    <id>http://arxiv.org/api/errors</id>
+    <title>Error</title>
+    <summary>${escapeXml(message)}</summary>
+  </entry>
+</feed>
+`;
+}
+
+/**
+ * Sort matched papers the way the API would
+ * @param {Array} papers - Matched papers
+ * @param {string} sortBy - 'relevance', 'submittedDate' or 'lastUpdatedDate'
+ * @param {string} sortOrder - 'ascending' or 'descending'
+ * @returns {Array} Sorted copy
+ */
+function sortPapers(papers, sortBy, sortOrder) {
+  if (sortBy === 'relevance') {
+    return [...papers];
+  }
+
+  const field = sortBy === 'lastUpdatedDate' ? 'updatedDate' : 'publishedDate';
+  const direction = sortOrder === 'ascending' ? 1 : -1;
+
+  return [...papers].sort((a, b) =>
+    direction * ((a[field] || a.publishedDate).localeCompare(b[field] || b.publishedDate)) ||
+    a.id.localeCompare(b.id)
+  );
+}
+
+/**
+ * Answer an API query the way export.arxiv.org would
+ * @param {Array} papers - Papers to search
+ * @param {URLSearchParams} params - search_query, start, max_results, sortBy and sortOrder
+ * @param {Object} options - {emptyRate, maxPaging} (see startMockServer)
+ * @returns {Object} {status, body} where body is the Atom feed (an error feed for status 400)
+ */
+export function answerQuery(papers, params, options = {}) {
+  const {
+    emptyRate = 0,
+    maxPaging = Infinity
+  } = options;
+
+  const searchQuery = params.get('search_query') || '';
+  const start = parseInt(params.get('start') || '0');
+  const maxResults = Math.min(parseInt(params.get('max_results') || '10'), MAX_RESULTS_LIMIT);
+  const sortBy = params.get('sortBy') || 'relevance';
+  const sortOrder = params.get('sortOrder') || 'descending';
+
+  if (isNaN(start) || isNaN(maxResults) || start < 0 || maxResults < 0) {
+    return { status: 400, body: renderErrorFeed('start and max_results must be non-negative integers') };
+  }
+
+  let ast;
+  try {
+    ast = parseArxivQuery(searchQuery);
+  } catch (error) {
+    if (error instanceof QuerySyntaxError) {
+      return { status: 400, body: renderErrorFeed(error.message) };
+    }
+    throw error;
+  }
+
+  const matched = sortPapers(papers.filter(paper => matchesArxivQuery(ast, paper)), sortBy, sortOrder);
+  const pageStart = Math.min(start, matched.length);
+  let pagePapers = start >= maxPaging ? [] : matched.slice(pageStart, pageStart + maxResults);
+
+  // Simulate arXiv's occasional empty page in the middle of a result set
+  if (emptyRate > 0 && pagePapers.length > 0 && Math.random() < emptyRate) {
+    pagePapers = [];
+  }
+
+  return {
+    status: 200,
+    body: renderFeed({
+      query: searchQuery,
+      totalResults: matched.length,
+      start,
+      itemsPerPage: maxResults,
+      papers: pagePapers
+    })
+  };
+}
+
+/**
+ * Start the mock server
+ * @param {Object} options - Server options
+ * @param {number} [options.port=8088] - Port to listen on (0 picks a free one)
+ * @param {Array} [options.papers] - Papers to serve (the data store's by default)
+ * @param {number} [options.minIntervalMs=0] - Answer 503 with Retry-After when requests come faster
+ * @param {number} [options.errorRate=0] - Fraction of requests answered with a random 503
+ * @param {number} [options.emptyRate=0] - Fraction of mid-result pages returned empty
+ * @param {number} [options.maxPaging=Infinity] - Offset beyond which pages come back empty, like arXiv
+ * @returns {Promise<http.Server>} Listening server
+ */
+export async function startMockServer(options = {}) {
+  const {
+    port = 8088,
+    minIntervalMs = 0,
+    errorRate = 0,
+    emptyRate = 0,
+    maxPaging = Infinity
+  } = options;
+
+  const papers = options.papers || await loadPapers();
+  let lastRequestTime = 0;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const now = Date.now();
+    const sinceLast = now - lastRequestTime;
+    lastRequestTime = now;
+
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/atom+xml; charset=utf-8', ...headers });
+      res.end(body);
+      console.log(chalk.gray(`${req.method} ${url.pathname}${url.search.slice(0, 100)} -> ${status}`));
+    };
+
+    if (url.pathname !== '/api/query') {
+      return send(404, renderErrorFeed(`Unknown path ${url.pathname}`));
+    }
+
+    if (minIntervalMs > 0 && sinceLast < minIntervalMs) {
+      return send(503, renderErrorFeed('Rate exceeded'), { 'Retry-After': String(Math.ceil(minIntervalMs / 1000)) });
+    }
+
+    if (errorRate > 0 && Math.random() < errorRate) {
+      return send(503, renderErrorFeed('Service temporarily unavailable'), { 'Retry-After': '1' });
+    }
+
+    const { status, body } = answerQuery(papers, url.searchParams, { emptyRate, maxPaging });
+    send(status, body);
+  });
+
+  await new Promise(resolve => server.listen(port, resolve));
+  const { port: listening } = server.address();
+
+  console.log(chalk.bold.cyan(`\nMock arXiv API serving ${papers.length} papers`));
+  console.log(chalk.cyan(`  http://localhost:${listening}/api/query`));
+  console.log(chalk.gray(`  Use with: ARXIV_API_BASE=http://localhost:${listening}/api/query npm run fetch:incremental\n`));
+
+  return server;
+}
+
+// If running this script directly
+if (import.meta.url === `file://${process.argv[1]}`.replace(/\\/g, '/')) {
+  const args = process.argv.slice(2);
+  const getArg = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+  const options = {};
+
+  if (getArg('port') || process.env.PORT) {
+    options.port = parseInt(getArg('port') || process.env.PORT);
+  }
+  if (getArg('min-interval')) {
+    options.minIntervalMs = parseInt(getArg('min-interval'));
+  }
+  if (getArg('error-rate')) {
+    options.errorRate = parseFloat(getArg('error-rate'));
+  }
+  if (getArg('empty-rate')) {
+    options.emptyRate = parseFloat(getArg('empty-rate'));
+  }
+  if (getArg('max-paging')) {
+    options.maxPaging = parseInt(getArg('max-paging'));
+  }
+
+  startMockServer(options)
+    .catch(error => {
+      console.error(chalk.red(`Failed to start mock server: ${error.message}`));
+      process.exit(1);
+    });
+}
+
+export default startMockServer;
@@ -0,0 +1,152 @@
+/**
+ * Category Override CLI
+ * Lists, adds and removes the curators' category overrides in public/data/overrides.json.
+ * Overrides take effect at the next index build.
+ *
+ * Usage:
+ *   npm run overrides -- list
+ *   npm run overrides -- add <paper-id> [--add=<category>,...] [--remove=<category>,...] --note=<text>
+ *   npm run overrides -- remove <paper-id>
+ */
+
+import chalk from 'chalk';
+import DataStore from './utils/data-store.js';
+import { loadOverrides, saveOverrides } from './utils/overrides.js';
+import { normalizeArxivId, parseArxivId } from '../shared/arxiv-id.js';
+
+/**
+ * Print every override
+ */
+async function listOverrides() {
+  const overrides = await loadOverrides();
+
+  console.log(chalk.bold.cyan(`\nCategory overrides (${overrides.length})\n`));
+
+  for (const override of overrides) {
+    const changes = [
+      ...(override.add || []).map(id => chalk.green(`+${id}`)),
+      ...(override.remove || []).map(id => chalk.red(`-${id}`))
+    ];
+    console.log(`${chalk.bold(override.id.padEnd(18))} ${changes.join(' ')}`);
+    console.log(chalk.gray(`                   ${override.note}${override.updatedAt ? ` (${override.updatedAt.substring(0, 10)})` : ''}`));
+  }
+  console.log();
+}
+
+/**
+ * Add or update the override for a paper. Categories accumulate across calls:
+ * adding a category drops it from the removals and the other way round.
+ * @param {string} id - arXiv ID
+ * @param {Object} changes - {add: category IDs, remove: category IDs, note}
+ */
+async function addOverride(id, changes) {
+  const { add, remove, note } = changes;
+  if (!parseArxivId(id)) {
+    throw new Error(`"${id}" is not an arXiv ID`);
+  }
+  if (add.length === 0 && remove.length === 0) {
+    throw new Error('Give the categories to change with --add=<category>,... and/or --remove=<category>,...');
+  }
+  const both = add.filter(c => remove.includes(c));
+  if (both.length > 0) {
+    throw new Error(`Can't both add and remove ${both.join(', ')}`);
+  }
+
+  const store = new DataStore();
+  const paperId = normalizeArxivId(id);
+  const [paper, categories] = await Promise.all([store.getPaper(paperId), store.getCategories()]);
+
+  if (!paper) {
+    throw new Error(`No stored paper with ID ${paperId}`);
+  }
+  const unknown = [...add, ...remove].filter(c => !categories.some(cat => cat.id === c));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown category ${unknown.join(', ')} (see categories.json)`);
+  }
+
+  const overrides = await loadOverrides();
+  const existing = overrides.find(o => o.id === paperId);
+  if (!existing && !note) {
+    throw new Error('Say why with --note=<text>');
+  }
+
+  const merged = {
+    id: paperId,
+    add: [...new Set([...(existing?.add || []).filter(c => !remove.includes(c)), ...add])],
+    remove: [...new Set([...(existing?.remove || []).filter(c => !add.includes(c)), ...remove])],
+    note: note || existing.note,
+    updatedAt: new Date().toISOString()
+  };
+  if (merged.add.length === 0) delete merged.add;
+  if (merged.remove.length === 0) delete merged.remove;
+
+  await saveOverrides([...overrides.filter(o => o.id !== paperId), merged]);
+
+  console.log(chalk.green(`✓ ${existing ? 'Updated' : 'Added'} override for ${paperId}: ${paper.title}`));
+  console.log(chalk.gray(`  Automatic categories: ${(paper.tags?.auto || paper.categories || []).join(', ') || 'none'}`));
+  add.filter(c => (paper.categories || []).includes(c))
+    .forEach(c => console.log(chalk.yellow(`  ⚠ ${c} is already one of its categories`)));
+  remove.filter(c => !(paper.categories || []).includes(c))
+    .forEach(c => console.log(chalk.yellow(`  ⚠ ${c} isn't one of its categories (the override still keeps it out)`)));
+  console.log(chalk.gray('  Run npm run build-index to apply it'));
+}
+
+/**
+ * Delete the override for a paper
+ * @param {string} id - arXiv ID
+ */
+async function removeOverride(id) {
+  const paperId = normalizeArxivId(id);
+  const overrides = await loadOverrides();
+
+  if (!overrides.some(o => o.id === paperId)) {
+    throw new Error(`No override for ${paperId}`);
+  }
+
+  await saveOverrides(overrides.filter(o => o.id !== paperId));
+  console.log(chalk.green(`✓ Removed override for ${paperId}`));
+  console.log(chalk.gray('  Run npm run build-index to apply it'));
+}
+
+// If running this script directly
+if (import.meta.url === `file://${process.argv[1]}`.replace(/\\/g, '/')) {
+  const [command, ...rest] = process.argv.slice(2);
+  const getArg = (name) => {
+    const arg = rest.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+  const getList = (name) => (getArg(name) || '').split(',').map(s => s.trim()).filter(Boolean);
+  const positional = rest.filter(a => !a.startsWith('--'));
+
+  const run = async () => {
+    switch (command) {
+      case 'list':
+        return listOverrides();
+
+      case 'add':
+        if (!positional[0]) {
+          throw new Error('Usage: npm run overrides -- add <paper-id> [--add=<category>,...] [--remove=<category>,...] --note=<text>');
+        }
+        return addOverride(positional[0], {
+          add: getList('add'),
+          remove: getList('remove'),
+          note: getArg('note')?.trim()
+        });
+
+      case 'remove':
+        if (!positional[0]) {
+          throw new Error('Usage: npm run overrides -- remove <paper-id>');
+        }
+        return removeOverride(positional[0]);
+
+      default:
+        console.log('Usage: npm run overrides -- <list|add|remove> [options]');
+        process.exit(command ? 1 : 0);
+    }
+  };
+
+  run().catch(error => {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  });
+}
@@ -0,0 +1,211 @@
+/**
+ * Search Query CLI
+ * Lists, adds, enables/disables, validates and dry-runs the queries in public/data/queries.json
+ *
+ * Usage:
+ *   npm run queries -- list [--all]
+ *   npm run queries -- add --id=<id> --query=<query> --description=<text> --category=<text> [--start-date=yyyy-MM-dd] [--disabled]
+ *   npm run queries -- enable <id>
+ *   npm run queries -- disable <id>
+ *   npm run queries -- validate
+ *   npm run queries -- dry-run [<id>...] [--query=<query>] [--start-date=yyyy-MM-dd] [--end-date=yyyy-MM-dd]
+ */
+
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import { format, subYears } from 'date-fns';
+import { countPapersForQuery } from './fetch-arxiv.js';
+import { validateArxivQuery } from './utils/arxiv-query.js';
+import {
+  loadQueries,
+  saveQueries,
+  validateQueryRegistry,
+  QueryRegistryError,
+  QUERIES_PATH
+} from './utils/query-registry.js';
+
+/**
+ * Print the registry as a table
+ * @param {Object} options - {all: include disabled queries}
+ */
+async function listQueries(options = {}) {
+  const queries = await loadQueries({ includeDisabled: true });
+  const shown = options.all ? queries : queries.filter(q => q.enabled);
+
+  console.log(chalk.bold.cyan(`\nSearch queries (${shown.length} of ${queries.length})\n`));
+
+  for (const q of shown) {
+    const status = q.enabled ? chalk.green('enabled ') : chalk.gray('disabled');
+    const since = q.startDate ? chalk.gray(` since ${q.startDate}`) : '';
+    console.log(`${status} ${chalk.bold(q.id.padEnd(22))} ${q.description} ${chalk.gray(`[${q.category}]`)}${since}`);
+    console.log(chalk.gray(`         ${q.query}`));
+  }
+  console.log();
+}
+
+/**
+ * Add a query to the registry
+ * @param {Object} fields - {id, query, description, category, startDate, enabled}
+ */
+async function addQuery(fields) {
+  const queries = await loadQueries({ includeDisabled: true });
+
+  if (queries.some(q => q.id === fields.id)) {
+    throw new Error(`A query with id "${fields.id}" already exists`);
+  }
+
+  const entry = {
+    id: fields.id,
+    query: fields.query,
+    description: fields.description,
+    category: fields.category,
+    enabled: fields.enabled
+  };
+  if (fields.startDate) {
+    entry.startDate = fields.startDate;
+  }
+
+  await saveQueries([...queries, entry]);
+  console.log(chalk.green(`✓ Added query "${entry.id}"${entry.enabled ? '' : ' (disabled)'}`));
+}
+
+/**
+ * Enable or disable a query
+ * @param {string} id - Query id
+ * @param {boolean} enabled - New state
+ */
+async function setEnabled(id, enabled) {
+  const queries = await loadQueries({ includeDisabled: true });
+  const query = queries.find(q => q.id === id);
+
+  if (!query) {
+    throw new Error(`No query with id "${id}"`);
+  }
+
+  query.enabled = enabled;
+  await saveQueries(queries);
+  console.log(chalk.green(`✓ ${enabled ? 'Enabled' : 'Disabled'} query "${id}"`));
+}
+
+/**
+ * Validate the registry and report every problem
+ * @returns {Promise<boolean>} True if valid
+ */
+async function validateRegistry() {
+  const data = JSON.parse(await fs.readFile(QUERIES_PATH, 'utf-8'));
+  const problems = validateQueryRegistry(data);
+
+  if (problems.length === 0) {
+    console.log(chalk.green(`✓ ${data.queries.length} queries are valid`));
+    return true;
+  }
+
+  console.log(chalk.red(`✗ Found ${problems.length} problem(s) in ${QUERIES_PATH}:`));
+  problems.forEach(problem => console.log(chalk.red(`  - ${problem}`)));
+  return false;
+}
+
+/**
+ * Count how many papers queries would match, without fetching them
+ * @param {Array} queries - Query definitions to check
+ * @param {Object} options - {startDate, endDate}
+ */
+async function dryRun(queries, options) {
+  console.log(chalk.bold.cyan(`\nDry run: ${options.startDate} to ${options.endDate}\n`));
+
+  let total = 0;
+
+  for (const q of queries) {
+    const startDate = q.startDate && q.startDate > options.startDate ? q.startDate : options.startDate;
+
+    try {
+      const count = await countPapersForQuery(q.query, { startDate, endDate: options.endDate });
+      total += count;
+      console.log(`${chalk.bold((q.id || 'candidate').padEnd(22))} ${String(count).padStart(7)} papers`);
+    } catch (error) {
+      console.log(`${chalk.bold((q.id || 'candidate').padEnd(22))} ${chalk.red(`failed: ${error.message}`)}`);
+    }
+  }
+
+  console.log(chalk.gray(`\n${total} matches in total (queries overlap, so unique papers will be fewer)\n`));
+}
+
+// If running this script directly
+if (import.meta.url === `file://${process.argv[1]}`.replace(/\\/g, '/')) {
+  const [command, ...rest] = process.argv.slice(2);
+  const getArg = (name) => {
+    const arg = rest.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+  const positional = rest.filter(a => !a.startsWith('--'));
+
+  const run = async () => {
+    switch (command) {
+      case 'list':
+        return listQueries({ all: rest.includes('--all') });
+
+      case 'add':
+        return addQuery({
+          id: getArg('id'),
+          query: getArg('query'),
+          description: getArg('description'),
+          category: getArg('category'),
+          startDate: getArg('start-date'),
+          enabled: !rest.includes('--disabled')
+        });
+
+      case 'enable':
+      case 'disable':
+        if (!positional[0]) {
+          throw new Error(`Usage: npm run queries -- ${command} <id>`);
+        }
+        return setEnabled(positional[0], command === 'enable');
+
+      case 'validate':
+        if (!(await validateRegistry())) {
+          process.exit(1);
+        }
+        return;
+
+      case 'dry-run': {
+        const options = {
+          startDate: getArg('start-date') || format(subYears(new Date(), 1), 'yyyy-MM-dd'),
+          endDate: getArg('end-date') || format(new Date(), 'yyyy-MM-dd')
+        };
+
+        let queries;
+        if (getArg('query')) {
+          const syntax = validateArxivQuery(getArg('query'));
+          if (!syntax.valid) {
+            throw new Error(`Invalid query: ${syntax.error}`);
+          }
+          queries = [{ query: getArg('query') }];
+        } else if (positional.length > 0) {
+          const all = await loadQueries({ includeDisabled: true });
+          queries = positional.map(id => {
+            const query = all.find(q => q.id === id);
+            if (!query) throw new Error(`No query with id "${id}"`);
+            return query;
+          });
+        } else {
+          queries = await loadQueries();
+        }
+
+        return dryRun(queries, options);
+      }
+
+      default:
+        console.log('Usage: npm run queries -- <list|add|enable|disable|validate|dry-run> [options]');
+        process.exit(command ? 1 : 0);
+    }
+  };
+
+  run().catch(error => {
+    if (error instanceof QueryRegistryError) {
+      console.error(chalk.red(error.message));
+    } else {
+      console.error(chalk.red(`Error: ${error.message}`));
+    }
+    process.exit(1);
+  });
+}
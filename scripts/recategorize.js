@@ -0,0 +1,141 @@
+/**
+ * Recategorize
+ * Runs every stored paper through the categorizer again after categories.json
+ * changes. Papers otherwise keep the categories they were saved with until a newer
+ * arXiv version of them is fetched. Shards are rewritten in place: tags.auto,
+ * categories and categoryScores are replaced, tags.manual is kept (and stays in
+ * categories). index.json is rebuilt afterwards.
+ *
+ * Usage:
+ *   npm run recategorize              # rewrite the shards and rebuild the index
+ *   npm run recategorize -- --dry-run # only print what would change
+ */
+
+import chalk from 'chalk';
+import DataStore from './utils/data-store.js';
+import { categoryFields } from '../shared/categorizer.js';
+import { buildAndSaveIndex } from './build-index.js';
+
+/**
+ * Recategorize one stored paper
+ * @param {Object} paper - Stored paper
+ * @param {Array} categories - Category definitions
+ * @returns {Object} Paper with new categories, categoryScores and tags.auto
+ */
+export function recategorizePaper(paper, categories) {
+  const { categories: auto, categoryScores } = categoryFields(paper, categories);
+  const manual = paper.tags?.manual || [];
+
+  return {
+    ...paper,
+    categories: [...auto, ...manual.filter(id => !auto.includes(id))],
+    categoryScores,
+    tags: { ...paper.tags, auto, manual }
+  };
+}
+
+/**
+ * Count category changes between the stored and the recategorized papers
+ * @param {Array} diff - Accumulated [{id, before, after, gained, lost}], updated in place
+ * @param {Object} before - Stored paper
+ * @param {Object} after - Recategorized paper
+ */
+function countChanges(diff, before, after) {
+  const row = id => {
+    let entry = diff.find(d => d.id === id);
+    if (!entry) {
+      entry = { id, before: 0, after: 0, gained: 0, lost: 0 };
+      diff.push(entry);
+    }
+    return entry;
+  };
+
+  const old = before.categories || [];
+  old.forEach(id => row(id).before++);
+  after.categories.forEach(id => row(id).after++);
+  after.categories.filter(id => !old.includes(id)).forEach(id => row(id).gained++);
+  old.filter(id => !after.categories.includes(id)).forEach(id => row(id).lost++);
+}
+
+/**
+ * Print the before/after paper count of every category
+ * @param {Array} diff - From countChanges
+ * @param {Array} categories - Category definitions, for the order
+ */
+function logDiff(diff, categories) {
+  const order = categories.map(c => c.id);
+  const rank = id => (order.includes(id) ? order.indexOf(id) : order.length);
+
+  console.log(chalk.bold(`\n  ${'Category'.padEnd(30)} ${'Before'.padStart(7)} ${'After'.padStart(7)} ${'+'.padStart(6)} ${'-'.padStart(6)}`));
+  [...diff].sort((a, b) => rank(a.id) - rank(b.id) || a.id.localeCompare(b.id)).forEach(d => {
+    const color = d.gained || d.lost ? chalk.cyan : chalk.gray;
+    const label = order.includes(d.id) ? d.id : `${d.id} (not in categories.json)`;
+    console.log(color(`  ${label.padEnd(30)} ${String(d.before).padStart(7)} ${String(d.after).padStart(7)} ` +
+      `${(d.gained ? `+${d.gained}` : '').padStart(6)} ${(d.lost ? `-${d.lost}` : '').padStart(6)}`));
+  });
+}
+
+/**
+ * Recategorize every stored paper
+ * @param {Object} options - {dryRun: only report}
+ * @returns {Promise<Object>} {papers, changed: papers whose categories or scores changed,
+ *   shards: shards rewritten (or that would be), diff: per-category counts}
+ */
+export async function recategorizeAll(options = {}) {
+  const { dryRun = false } = options;
+  const store = new DataStore();
+  const categories = await store.getCategories();
+
+  console.log(chalk.bold.cyan(`\nRecategorizing stored papers with ${categories.length} categories${dryRun ? ' (dry run)' : ''}\n`));
+
+  const diff = [];
+  let papers = 0;
+  let changed = 0;
+  let shards = 0;
+
+  for (const month of await store.listMonths()) {
+    const stored = await store.getMonth(month);
+    let monthChanged = 0;
+
+    const updated = stored.map(paper => {
+      const result = recategorizePaper(paper, categories);
+      countChanges(diff, paper, result);
+      if (JSON.stringify(result) !== JSON.stringify(paper)) monthChanged++;
+      return result;
+    });
+
+    papers += stored.length;
+    changed += monthChanged;
+
+    if (monthChanged === 0) continue;
+    shards++;
+
+    if (dryRun) {
+      console.log(chalk.gray(`  ${month}.json: ${monthChanged} of ${stored.length} papers would change`));
+    } else {
+      await store.putMonth(month, updated);
+    }
+  }
+
+  logDiff(diff, categories);
+
+  const verb = dryRun ? 'Would update' : 'Updated';
+  console.log(chalk.bold.green(`\n✓ ${verb} ${changed} of ${papers} papers in ${shards} shards\n`));
+
+  if (!dryRun) {
+    await buildAndSaveIndex();
+  }
+
+  return { papers, changed, shards, diff };
+}
+
+// If running this script directly
+if (import.meta.url === `file://${process.argv[1]}`.replace(/\\/g, '/')) {
+  recategorizeAll({ dryRun: process.argv.includes('--dry-run') })
+    .catch(error => {
+      console.error(chalk.red(`\n✗ Recategorization failed: ${error.message}\n`));
+      process.exit(1);
+    });
+}
+
+export default recategorizeAll;
@@ -1,92 +1,92 @@
 /**
  * Full Update Script
  * Fetches all LLM papers from arXiv and organizes them by year
+ *
+ * Writes its metrics to public/data/runs/latest.json. Exits 1 if the run failed,
+ * did not finish or every query failed, and with the partial-failure code (2 by
+ * default) if only some queries failed.
  */
 
-import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
-import { fetchPapersMultiQuery, SEARCH_QUERIES } from './fetch-arxiv.js';
+import { format } from 'date-fns';
+import { fetchPapersMultiQuery } from './fetch-arxiv.js';
+import { loadQueries } from './utils/query-registry.js';
 import { categorizePapers } from './categorize-papers.js';
-import { deduplicatePapers, logDeduplicationStats, mergePapers, logMergeStats } from './utils/deduplicator.js';
+import FetchCheckpoint from './utils/checkpoint.js';
 import { buildAndSaveIndex } from './build-index.js';
+import { DEFAULT_MAX_DROP_PERCENT, writeJsonAtomic } from './utils/safe-write.js';
+import { validateCoverageFile } from './utils/data-validation.js';
+import DataStore from './utils/data-store.js';
+import { recordRunReport, runExitCode, DEFAULT_PARTIAL_FAILURE_EXIT_CODE } from './utils/run-report.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const DATA_DIR = path.join(__dirname, '..', 'public', 'data');
-const PAPERS_DIR = path.join(DATA_DIR, 'papers');
-const CATEGORIES_PATH = path.join(DATA_DIR, 'categories.json');
+const COVERAGE_PATH = path.join(DATA_DIR, 'coverage.json');
+const DEFAULT_CHECKPOINT_PATH = path.join(__dirname, '..', '.cache', 'full-fetch-checkpoint.json');
 
 /**
- * Load category definitions
- * @returns {Promise<Array>} Array of categories
+ * Categorize a page of fetched papers and merge it into the store
+ * @param {DataStore} store - Paper store
+ * @param {Array} papers - Papers from one API page
+ * @param {Array} categories - Category definitions
+ * @param {Object} mergeOptions - Options for store.merge
+ * @returns {Promise<Object>} {added, updated}
  */
-async function loadCategories() {
-  const data = JSON.parse(await fs.readFile(CATEGORIES_PATH, 'utf-8'));
-  return data.categories;
+async function savePage(store, papers, categories, mergeOptions = {}) {
+  const timestamp = new Date().toISOString();
+  const categorizedPapers = categorizePapers(
+    papers.map(paper => ({ ...paper, fetchedAt: timestamp })),
+    categories,
+    { verbose: false }
+  );
+
+  const { added, updated } = await store.merge(categorizedPapers, mergeOptions);
+  return { added, updated };
 }
 
 /**
- * Load existing papers for a specific year
- * @param {number} year - Year to load
- * @returns {Promise<Array>} Array of papers (empty if file doesn't exist)
+ * Write the coverage report listing every date window fetched per query
+ * @param {Object} run - Run parameters {startDate, endDate, backfill, windowThreshold}
+ * @param {Map} coverage - Map of query string to {id, description, windows}
+ * @returns {Promise<Object>} The report
  */
-async function loadYearPapers(year) {
-  const yearPath = path.join(PAPERS_DIR, `${year}.json`);
-
-  try {
-    const data = JSON.parse(await fs.readFile(yearPath, 'utf-8'));
-    return data.papers || [];
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return [];
-    }
-    throw error;
-  }
-}
-
-/**
- * Save papers for a specific year
- * @param {number} year - Year
- * @param {Array} papers - Papers to save
- */
-async function saveYearPapers(year, papers) {
-  const yearPath = path.join(PAPERS_DIR, `${year}.json`);
-
-  await fs.mkdir(PAPERS_DIR, { recursive: true });
+async function saveCoverageReport(run, coverage) {
+  const queries = Array.from(coverage.values()).map(entry => {
+    const windows = [...entry.windows].sort((a, b) => a.startDate.localeCompare(b.startDate));
+    return {
+      ...entry,
+      complete: windows.every(w => w.complete),
+      totalResults: windows.reduce((sum, w) => sum + (w.totalResults || 0), 0),
+      fetched: windows.reduce((sum, w) => sum + w.fetched, 0),
+      windows
+    };
+  });
 
-  const data = {
-    year,
-    count: papers.length,
-    papers
+  const report = {
+    generatedAt: new Date().toISOString(),
+    ...run,
+    complete: queries.every(q => q.complete),
+    queries
   };
 
-  await fs.writeFile(yearPath, JSON.stringify(data, null, 2));
+  await writeJsonAtomic(COVERAGE_PATH, report, { validate: validateCoverageFile });
 
-  console.log(chalk.green(`✓ Saved ${papers.length} papers to ${year}.json`));
-}
-
-/**
- * Organize papers by year
- * @param {Array} papers - All papers
- * @returns {Object} Papers grouped by year {2024: [...], 2023: [...], ...}
- */
-function organizePapersByYear(papers) {
-  const papersByYear = {};
-
-  for (const paper of papers) {
-    const year = parseInt(paper.publishedDate.substring(0, 4));
-
-    if (!papersByYear[year]) {
-      papersByYear[year] = [];
-    }
-
-    papersByYear[year].push(paper);
+  const gaps = queries.flatMap(q => q.windows.filter(w => !w.complete).map(w => ({ ...w, query: q.description })));
+  console.log(chalk.blue(`\n📊 Coverage report saved to ${path.relative(process.cwd(), COVERAGE_PATH)}`));
+  if (gaps.length === 0) {
+    console.log(chalk.green(`✓ All ${queries.reduce((sum, q) => sum + q.windows.length, 0)} windows fully fetched`));
+  } else {
+    console.log(chalk.yellow(`⚠ ${gaps.length} windows not fully fetched:`));
+    gaps.slice(0, 10).forEach(gap => {
+      console.log(chalk.yellow(`  ${gap.query}: ${gap.startDate} to ${gap.endDate} (${gap.fetched}/${gap.totalResults ?? '?'})`));
+    });
   }
 
-  return papersByYear;
+  return report;
 }
 
 /**
@@ -95,11 +95,21 @@ function organizePapersByYear(papers) {
  */
 async function updateFull(options = {}) {
   const {
+    testMode = false,
+    resume = false,
+    checkpointPath = DEFAULT_CHECKPOINT_PATH,
+    maxDropPercent = DEFAULT_MAX_DROP_PERCENT,
+    partialFailureExitCode = DEFAULT_PARTIAL_FAILURE_EXIT_CODE
+  } = options;
+  let {
     startDate = '2020-01-01',
     endDate = null,
-    testMode = false
+    backfill = false,
+    windowThreshold = undefined
   } = options;
 
+  const run = { script: 'update-full', startedAt: new Date().toISOString(), summary: [] };
+
   try {
     console.log(chalk.bold.cyan('\n' + '='.repeat(70)));
     console.log(chalk.bold.cyan('  arXiv LLM Papers - Full Update'));
@@ -109,78 +119,123 @@ async function updateFull(options = {}) {
       console.log(chalk.bold.yellow('\n⚠ TEST MODE: Only fetching first 2 queries with limited results\n'));
     }
 
+    // Load or start checkpoint
+    const checkpoint = new FetchCheckpoint(checkpointPath);
+
+    if (resume && await checkpoint.load()) {
+      // Resume the exact window of the interrupted run unless overridden
+      startDate = options.startDate || checkpoint.state.startDate;
+      endDate = options.endDate || checkpoint.state.endDate;
+      backfill = backfill || checkpoint.state.backfill;
+      windowThreshold = windowThreshold ?? checkpoint.state.windowThreshold ?? undefined;
+      console.log(chalk.blue(`\n↻ Resuming from checkpoint (started ${checkpoint.state.startedAt})`));
+    } else {
+      if (resume) {
+        console.log(chalk.yellow(`\n⚠ No checkpoint found at ${checkpointPath}, starting fresh`));
+      }
+      // Pin "now" so a resumed run queries the same window
+      endDate = endDate || format(new Date(), 'yyyy-MM-dd');
+      checkpoint.reset({ startDate, endDate, backfill, windowThreshold });
+      await checkpoint.save();
+    }
+
+    console.log(chalk.gray(`Checkpoint: ${checkpointPath}`));
+    run.startDate = startDate;
+    run.endDate = endDate;
+
+    if (backfill) {
+      console.log(chalk.bold.yellow('\nBACKFILL MODE: Splitting the date range into windows arXiv can page through'));
+    }
+
     // Load categories
+    const store = new DataStore();
     console.log(chalk.blue('\n📂 Loading categories...'));
-    const categories = await loadCategories();
+    const categories = await store.getCategories();
     console.log(chalk.green(`✓ Loaded ${categories.length} categories`));
 
-    // Fetch papers
-    const queriesToUse = testMode ? SEARCH_QUERIES.slice(0, 2) : SEARCH_QUERIES;
+    // Fetch papers, saving every page as it arrives
+    const queries = await loadQueries();
+    const queriesToUse = testMode ? queries.slice(0, 2) : queries;
+    let totalAdded = 0;
+    let totalUpdated = 0;
+    const coverage = new Map();
+
     const fetchOptions = {
       startDate,
       endDate,
-      maxResults: testMode ? 50 : Infinity
+      maxResults: testMode ? 50 : Infinity,
+      backfill,
+      windowThreshold,
+      checkpoint,
+      onPage: async (pagePapers) => {
+        const result = await savePage(store, pagePapers, categories, { maxDropPercent });
+        totalAdded += result.added;
+        totalUpdated += result.updated;
+        run.added = totalAdded;
+        run.updated = totalUpdated;
+      },
+      onWindow: (record, queryDef) => {
+        if (!coverage.has(queryDef.query)) {
+          coverage.set(queryDef.query, {
+            description: queryDef.description,
+            query: queryDef.query,
+            windows: []
+          });
+        }
+        coverage.get(queryDef.query).windows.push(record);
+      }
     };
 
-    const papers = await fetchPapersMultiQuery(queriesToUse, fetchOptions);
-
-    if (papers.length === 0) {
-      console.log(chalk.yellow('\n⚠ No papers fetched. Exiting.\n'));
-      return;
-    }
-
-    // Add fetchedAt timestamp
-    const timestamp = new Date().toISOString();
-    papers.forEach(paper => {
-      paper.fetchedAt = timestamp;
-    });
-
-    // Categorize papers
-    const categorizedPapers = categorizePapers(papers, categories);
+    const { papers, summary } = await fetchPapersMultiQuery(queriesToUse, fetchOptions);
+    run.summary = summary;
+    run.fetched = papers.length;
 
-    // Deduplicate
-    const dedupResult = deduplicatePapers(categorizedPapers);
-    logDeduplicationStats(dedupResult);
+    await saveCoverageReport({ startDate, endDate, backfill, windowThreshold: windowThreshold ?? null }, coverage);
 
-    // Organize by year
-    console.log(chalk.blue('\n📅 Organizing papers by year...'));
-    const papersByYear = organizePapersByYear(dedupResult.unique);
-    const years = Object.keys(papersByYear).sort((a, b) => b - a);
-
-    console.log(chalk.green(`✓ Papers span ${years.length} years: ${years[years.length - 1]} - ${years[0]}`));
+    // Build index
+    await buildAndSaveIndex({ maxDropPercent });
+
+    const incomplete = checkpoint.getIncomplete();
+    const failedQueries = summary.filter(q => q.failed);
+
+    // Final summary; the checkpoint is kept while anything is left to retry
+    if (incomplete.length === 0 && failedQueries.length === 0) {
+      await checkpoint.remove();
+
+      console.log(chalk.bold.green('\n' + '='.repeat(70)));
+      console.log(chalk.bold.green('✓ Full update complete!'));
+      console.log(chalk.bold.green('='.repeat(70)));
+    } else {
+      console.log(chalk.bold.yellow('\n' + '='.repeat(70)));
+      console.log(chalk.bold.yellow(`⚠ Full update incomplete: ${incomplete.length} windows did not finish, ${failedQueries.length} queries failed`));
+      console.log(chalk.bold.yellow('='.repeat(70)));
+
+      incomplete.forEach(entry => {
+        console.log(chalk.yellow(`  ${entry.queryKey.substring(0, 60)}... stopped at offset ${entry.start}${entry.error ? ` (${entry.error})` : ''}`));
+      });
+    }
 
-    // Merge with existing data and save
-    console.log(chalk.blue('\n💾 Merging with existing data and saving...'));
+    console.log(chalk.cyan('\nSummary:'));
+    console.log(chalk.gray(`  Papers fetched this run: ${papers.length}`));
+    console.log(chalk.gray(`  New papers added: ${totalAdded}`));
+    console.log(chalk.gray(`  Papers updated: ${totalUpdated}`));
+    console.log(chalk.gray(`  Request retries: ${summary.reduce((sum, q) => sum + q.retries, 0)}`));
+    console.log(chalk.gray(`  Failed queries: ${summary.filter(q => q.failed).length}`));
+    console.log(chalk.gray(`  Date range: ${startDate} to ${endDate}`));
 
-    for (const year of years) {
-      const newPapers = papersByYear[year];
-      const existingPapers = await loadYearPapers(year);
+    const report = await recordRunReport(run);
 
-      if (existingPapers.length > 0) {
-        console.log(chalk.gray(`\n  ${year}: Merging with ${existingPapers.length} existing papers...`));
-        const mergeResult = mergePapers(existingPapers, newPapers);
-        await saveYearPapers(year, mergeResult.merged);
-        console.log(chalk.cyan(`    Added: ${mergeResult.added}, Updated: ${mergeResult.updated}`));
-      } else {
-        console.log(chalk.gray(`\n  ${year}: New year file`));
-        await saveYearPapers(year, newPapers);
-      }
+    if (incomplete.length > 0 || failedQueries.length > 0) {
+      console.log(chalk.yellow('\nRe-run with --resume to continue where this run stopped.\n'));
     }
 
-    // Build index
-    await buildAndSaveIndex();
-
-    // Final summary
-    console.log(chalk.bold.green('\n' + '='.repeat(70)));
-    console.log(chalk.bold.green('✓ Full update complete!'));
-    console.log(chalk.bold.green('='.repeat(70)));
-
-    console.log(chalk.cyan('\nSummary:'));
-    console.log(chalk.gray(`  Total papers fetched: ${papers.length}`));
-    console.log(chalk.gray(`  Unique papers: ${dedupResult.unique.length}`));
-    console.log(chalk.gray(`  Duplicates removed: ${dedupResult.duplicates.length}`));
-    console.log(chalk.gray(`  Years: ${years.join(', ')}`));
-    console.log(chalk.gray(`  Date range: ${startDate} to ${endDate || 'now'}`));
+    // Failed queries exit with the run status's code; unfinished windows alone still fail the run
+    const exitCode = failedQueries.length === 0 && incomplete.length > 0
+      ? 1
+      : runExitCode(report.status, { partialFailureExitCode });
+    if (exitCode !== 0) {
+      process.exit(exitCode);
+    }
 
     console.log(chalk.green('\n✓ Data ready for GitHub Pages deployment!\n'));
 
@@ -188,6 +243,10 @@ async function updateFull(options = {}) {
     console.error(chalk.bold.red('\n✗ Update failed:'));
     console.error(chalk.red(error.message));
     console.error(chalk.gray(error.stack));
+    await recordRunReport({ ...run, error }).catch(reportError => {
+      console.error(chalk.red(`Could not write the run report: ${reportError.message}`));
+    });
+    console.error(chalk.yellow('Finished pages are saved; re-run with --resume to continue.'));
     process.exit(1);
   }
 }
@@ -201,6 +260,26 @@ if (args.includes('--test')) {
   options.testMode = true;
 }
 
+// Backfill mode splits the date range into year/month/week windows
+if (args.includes('--backfill')) {
+  options.backfill = true;
+}
+
+const thresholdArg = args.find(arg => arg.startsWith('--window-threshold='));
+if (thresholdArg) {
+  options.windowThreshold = parseInt(thresholdArg.split('=')[1]);
+}
+
+// Resume an interrupted run from its checkpoint
+if (args.includes('--resume')) {
+  options.resume = true;
+}
+
+const checkpointArg = args.find(arg => arg.startsWith('--checkpoint='));
+if (checkpointArg) {
+  options.checkpointPath = path.resolve(checkpointArg.split('=')[1]);
+}
+
 // Check for date range
 const startDateArg = args.find(arg => arg.startsWith('--start-date='));
 if (startDateArg) {
@@ -212,6 +291,18 @@ if (endDateArg) {
   options.endDate = endDateArg.split('=')[1];
 }
 
+// Largest allowed drop in a file's paper count before a save is refused
+const maxDropArg = args.find(arg => arg.startsWith('--max-drop='));
+if (maxDropArg) {
+  options.maxDropPercent = parseFloat(maxDropArg.split('=')[1]);
+}
+
+// Exit code when only some queries failed (0 treats partial runs as success)
+const partialExitArg = args.find(arg => arg.startsWith('--partial-failure-exit-code='));
+if (partialExitArg) {
+  options.partialFailureExitCode = parseInt(partialExitArg.split('=')[1]);
+}
+
 // If running this script directly
 const scriptPath = import.meta.url;
 const argPath = `file:///${process.argv[1].replace(/\\/g, '/')}`;
@@ -1,93 +1,40 @@
 /**
  * Incremental Update Script
- * Fetches recent papers from arXiv (last N days) for daily updates
+ * Fetches recent papers from arXiv (last N days) for daily updates, and records
+ * what each run changed in public/data/changelog/ and its metrics in public/data/runs/
+ *
+ * Exits 1 if the run failed or every query failed, and with the partial-failure
+ * code (2 by default) if only some queries failed.
  */
 
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import chalk from 'chalk';
-import { format, subDays } from 'date-fns';
-import { fetchPapersMultiQuery, SEARCH_QUERIES } from './fetch-arxiv.js';
+import { format, parseISO, subDays } from 'date-fns';
+import { fetchPapersMultiQuery } from './fetch-arxiv.js';
+import { loadQueries } from './utils/query-registry.js';
 import { categorizePapers } from './categorize-papers.js';
-import { deduplicatePapers, logDeduplicationStats, mergePapers, logMergeStats } from './utils/deduplicator.js';
+import { deduplicatePapers, logDeduplicationStats } from './utils/deduplicator.js';
 import { buildAndSaveIndex } from './build-index.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const DATA_DIR = path.join(__dirname, '..', 'public', 'data');
-const PAPERS_DIR = path.join(DATA_DIR, 'papers');
-const CATEGORIES_PATH = path.join(DATA_DIR, 'categories.json');
-
-/**
- * Load category definitions
- * @returns {Promise<Array>} Array of categories
- */
-async function loadCategories() {
-  const data = JSON.parse(await fs.readFile(CATEGORIES_PATH, 'utf-8'));
-  return data.categories;
-}
-
-/**
- * Load existing papers for a specific year
- * @param {number} year - Year to load
- * @returns {Promise<Array>} Array of papers (empty if file doesn't exist)
- */
-async function loadYearPapers(year) {
-  const yearPath = path.join(PAPERS_DIR, `${year}.json`);
-
-  try {
-    const data = JSON.parse(await fs.readFile(yearPath, 'utf-8'));
-    return data.papers || [];
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return [];
-    }
-    throw error;
-  }
-}
+import { DEFAULT_MAX_DROP_PERCENT } from './utils/safe-write.js';
+import DataStore, { groupPapersByMonth } from './utils/data-store.js';
+import { recordRun } from './utils/changelog.js';
+import { recordRunReport, runExitCode, DEFAULT_PARTIAL_FAILURE_EXIT_CODE } from './utils/run-report.js';
 
 /**
- * Save papers for a specific year
- * @param {number} year - Year
- * @param {Array} papers - Papers to save
+ * Record a finished run in the changelog for its end date
+ * @param {Object} run - {startedAt, parameters, added, updated, removed}
+ * @returns {Promise<void>}
  */
-async function saveYearPapers(year, papers) {
-  const yearPath = path.join(PAPERS_DIR, `${year}.json`);
-
-  await fs.mkdir(PAPERS_DIR, { recursive: true });
-
-  const data = {
-    year,
-    count: papers.length,
-    papers
-  };
-
-  await fs.writeFile(yearPath, JSON.stringify(data, null, 2));
-
-  console.log(chalk.green(`✓ Saved ${papers.length} papers to ${year}.json`));
-}
-
-/**
- * Organize papers by year
- * @param {Array} papers - All papers
- * @returns {Object} Papers grouped by year {2024: [...], 2023: [...], ...}
- */
-function organizePapersByYear(papers) {
-  const papersByYear = {};
-
-  for (const paper of papers) {
-    const year = parseInt(paper.publishedDate.substring(0, 4));
-
-    if (!papersByYear[year]) {
-      papersByYear[year] = [];
-    }
-
-    papersByYear[year].push(paper);
-  }
-
-  return papersByYear;
+async function saveChangelog(run) {
+  const filePath = await recordRun(run.parameters.endDate, {
+    script: 'update-incremental',
+    startedAt: run.startedAt,
+    finishedAt: new Date().toISOString(),
+    parameters: run.parameters,
+    added: run.added,
+    updated: run.updated,
+    removed: run.removed
+  });
+  console.log(chalk.gray(`  Changelog: ${filePath}`));
 }
 
 /**
@@ -96,27 +43,37 @@ function organizePapersByYear(papers) {
  */
 async function updateIncremental(options = {}) {
   const {
-    lookbackDays = 7
+    lookbackDays = 7,
+    endDate: endDateOption = null,
+    maxDropPercent = DEFAULT_MAX_DROP_PERCENT,
+    partialFailureExitCode = DEFAULT_PARTIAL_FAILURE_EXIT_CODE
   } = options;
 
+  const startedAt = new Date().toISOString();
+  const run = { script: 'update-incremental', startedAt, summary: [] };
+
   try {
     console.log(chalk.bold.cyan('\n' + '='.repeat(70)));
     console.log(chalk.bold.cyan('  arXiv LLM Papers - Incremental Update'));
     console.log(chalk.bold.cyan('='.repeat(70)));
 
-    const endDate = new Date();
+    // A fixed end date makes a run reproducible (e.g. replaying recorded responses)
+    const endDate = endDateOption ? parseISO(endDateOption) : new Date();
     const startDate = subDays(endDate, lookbackDays);
 
     const startDateStr = format(startDate, 'yyyy-MM-dd');
     const endDateStr = format(endDate, 'yyyy-MM-dd');
+    run.startDate = startDateStr;
+    run.endDate = endDateStr;
 
     console.log(chalk.blue(`\nFetching papers from last ${lookbackDays} days:`));
     console.log(chalk.gray(`  Start: ${startDateStr}`));
     console.log(chalk.gray(`  End:   ${endDateStr}`));
 
     // Load categories
+    const store = new DataStore();
     console.log(chalk.blue('\n📂 Loading categories...'));
-    const categories = await loadCategories();
+    const categories = await store.getCategories();
     console.log(chalk.green(`✓ Loaded ${categories.length} categories`));
 
     // Fetch papers
@@ -125,11 +82,25 @@ async function updateIncremental(options = {}) {
       endDate: endDateStr
     };
 
-    const papers = await fetchPapersMultiQuery(SEARCH_QUERIES, fetchOptions);
+    const queries = await loadQueries();
+    const { papers, summary } = await fetchPapersMultiQuery(queries, fetchOptions);
+    run.summary = summary;
+    run.fetched = papers.length;
+
+    const parameters = {
+      lookbackDays,
+      startDate: startDateStr,
+      endDate: endDateStr,
+      queries: queries.map(q => q.id)
+    };
 
     if (papers.length === 0) {
       console.log(chalk.yellow('\n⚠ No new papers found in the specified date range.'));
-      console.log(chalk.gray('This is normal - it means the collection is up to date!\n'));
+      if (summary.every(q => !q.failed)) {
+        console.log(chalk.gray('This is normal - it means the collection is up to date!\n'));
+      }
+      await saveChangelog({ startedAt, parameters, added: [], updated: [], removed: [] });
+      await finishRun(run, partialFailureExitCode);
       return;
     }
 
@@ -146,36 +117,40 @@ async function updateIncremental(options = {}) {
     const dedupResult = deduplicatePapers(categorizedPapers);
     logDeduplicationStats(dedupResult);
 
-    // Organize by year
-    console.log(chalk.blue('\n📅 Organizing papers by year...'));
-    const papersByYear = organizePapersByYear(dedupResult.unique);
-    const years = Object.keys(papersByYear).sort((a, b) => b - a);
+    // Organize by month
+    console.log(chalk.blue('\n📅 Organizing papers by month...'));
+    const months = [...groupPapersByMonth(dedupResult.unique).keys()].sort().reverse();
 
-    console.log(chalk.green(`✓ New papers span ${years.length} year(s): ${years.join(', ')}`));
+    console.log(chalk.green(`✓ New papers span ${months.length} month(s): ${months.join(', ')}`));
 
     // Merge with existing data and save
     console.log(chalk.blue('\n💾 Merging with existing data...'));
 
-    let totalAdded = 0;
-    let totalUpdated = 0;
+    const mergeResult = await store.merge(dedupResult.unique, { maxDropPercent });
 
-    for (const year of years) {
-      const newPapers = papersByYear[year];
-      const existingPapers = await loadYearPapers(year);
-
-      console.log(chalk.gray(`\n  ${year}: Merging ${newPapers.length} new with ${existingPapers.length} existing...`));
-
-      const mergeResult = mergePapers(existingPapers, newPapers);
-      await saveYearPapers(year, mergeResult.merged);
-
-      console.log(chalk.cyan(`    Added: ${mergeResult.added}, Updated: ${mergeResult.updated}`));
+    mergeResult.months.forEach(result => {
+      console.log(chalk.cyan(
+        `  ${result.month}: merged ${result.incoming} fetched into ${result.existing} existing ` +
+        `(added: ${result.added}, updated: ${result.updated}${result.written ? '' : ', unchanged'})`
+      ));
+    });
 
-      totalAdded += mergeResult.added;
-      totalUpdated += mergeResult.updated;
-    }
+    const totalAdded = mergeResult.added;
+    const totalUpdated = mergeResult.updated;
+    run.added = totalAdded;
+    run.updated = totalUpdated;
 
     // Build index
-    await buildAndSaveIndex();
+    const indexResult = await buildAndSaveIndex({ maxDropPercent });
+
+    // Removals only show up in the index (e.g. papers newly on the blocklist)
+    await saveChangelog({
+      startedAt,
+      parameters,
+      added: mergeResult.addedIds,
+      updated: mergeResult.updatedIds,
+      removed: (indexResult?.diff.removed || []).map(p => p.id)
+    });
 
     // Final summary
     console.log(chalk.bold.green('\n' + '='.repeat(70)));
@@ -187,6 +162,9 @@ async function updateIncremental(options = {}) {
     console.log(chalk.gray(`  Unique papers: ${dedupResult.unique.length}`));
     console.log(chalk.gray(`  New papers added: ${totalAdded}`));
     console.log(chalk.gray(`  Papers updated: ${totalUpdated}`));
+    console.log(chalk.gray(`  Shards rewritten: ${mergeResult.written} of ${mergeResult.months.length}`));
+    console.log(chalk.gray(`  Request retries: ${summary.reduce((sum, q) => sum + q.retries, 0)}`));
+    console.log(chalk.gray(`  Failed queries: ${summary.filter(q => q.failed).length}`));
     console.log(chalk.gray(`  Date range: ${startDateStr} to ${endDateStr}`));
 
     if (totalAdded > 0) {
@@ -195,14 +173,32 @@ async function updateIncremental(options = {}) {
       console.log(chalk.yellow('\n✓ Collection is up to date (no new papers)\n'));
     }
 
+    await finishRun(run, partialFailureExitCode);
+
   } catch (error) {
     console.error(chalk.bold.red('\n✗ Incremental update failed:'));
     console.error(chalk.red(error.message));
     console.error(chalk.gray(error.stack));
+    await recordRunReport({ ...run, error }).catch(reportError => {
+      console.error(chalk.red(`Could not write the run report: ${reportError.message}`));
+    });
     process.exit(1);
   }
 }
 
+/**
+ * Write the run report and exit non-zero if queries failed
+ * @param {Object} run - Run metrics, see buildRunReport
+ * @param {number} partialFailureExitCode - Exit code when only some queries failed
+ */
+async function finishRun(run, partialFailureExitCode) {
+  const report = await recordRunReport(run);
+  const exitCode = runExitCode(report.status, { partialFailureExitCode });
+  if (exitCode !== 0) {
+    process.exit(exitCode);
+  }
+}
+
 // Parse command line arguments
 const args = process.argv.slice(2);
 const options = {};
@@ -213,6 +209,23 @@ if (lookbackArg) {
   options.lookbackDays = parseInt(lookbackArg.split('=')[1]);
 }
 
+const endDateArg = args.find(arg => arg.startsWith('--end-date='));
+if (endDateArg) {
+  options.endDate = endDateArg.split('=')[1];
+}
+
+// Largest allowed drop in a file's paper count before a save is refused
+const maxDropArg = args.find(arg => arg.startsWith('--max-drop='));
+if (maxDropArg) {
+  options.maxDropPercent = parseFloat(maxDropArg.split('=')[1]);
+}
+
+// Exit code when only some queries failed (0 treats partial runs as success)
+const partialExitArg = args.find(arg => arg.startsWith('--partial-failure-exit-code='));
+if (partialExitArg) {
+  options.partialFailureExitCode = parseInt(partialExitArg.split('=')[1]);
+}
+
 // Support environment variable (for GitHub Actions)
 if (process.env.LOOKBACK_DAYS) {
   options.lookbackDays = parseInt(process.env.LOOKBACK_DAYS);
@@ -0,0 +1,280 @@
+/**
+ * arXiv Search Query Grammar
+ * Parses the subset of the arXiv API search_query syntax used by this project
+ * and evaluates parsed queries against paper objects.
+ *
+ * Grammar:
+ *   query   := andExpr (OR andExpr)*
+ *   andExpr := unary ((AND | ANDNOT) unary)*
+ *   unary   := '(' query ')' | term
+ *   term    := field ':' (WORD | "PHRASE" | [FROM TO TO])
+ */
+
+export const TEXT_FIELDS = ['ti', 'abs', 'au', 'co', 'jr', 'cat', 'rn', 'id', 'all'];
+export const DATE_FIELDS = ['submittedDate', 'lastUpdatedDate'];
+
+/**
+ * Error for malformed queries, with the character offset where parsing failed
+ */
+export class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} (at position ${position})`);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Parse an arXiv search query
+ * @param {string} query - Query string, e.g. 'ti:"language model" AND abs:agent'
+ * @returns {Object} AST of {type: 'and'|'or'|'andnot', left, right},
+ *   {type: 'term', field, value, phrase} and {type: 'range', field, from, to} nodes
+ * @throws {QuerySyntaxError} If the query is malformed
+ */
+export function parseArxivQuery(query) {
+  const tokens = tokenize(query);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek()?.type === 'op' && peek().value === 'OR') {
+      next();
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let left = parseUnary();
+    while (peek()?.type === 'op' && (peek().value === 'AND' || peek().value === 'ANDNOT')) {
+      const op = next().value;
+      left = { type: op === 'AND' ? 'and' : 'andnot', left, right: parseUnary() };
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    const token = next();
+
+    if (!token) {
+      throw new QuerySyntaxError('Unexpected end of query', query.length);
+    }
+
+    if (token.type === 'lparen') {
+      const inner = parseOr();
+      const closing = next();
+      if (closing?.type !== 'rparen') {
+        throw new QuerySyntaxError('Missing closing parenthesis', closing?.position ?? query.length);
+      }
+      return inner;
+    }
+
+    if (token.type !== 'field') {
+      throw new QuerySyntaxError(`Expected a field term like ti:word, got "${token.raw}"`, token.position);
+    }
+
+    const value = next();
+
+    if (DATE_FIELDS.includes(token.value)) {
+      if (value?.type !== 'range') {
+        throw new QuerySyntaxError(`${token.value} needs a range like [202401010000 TO 202412312359]`, value?.position ?? query.length);
+      }
+      return { type: 'range', field: token.value, from: value.from, to: value.to };
+    }
+
+    if (value?.type !== 'word' && value?.type !== 'phrase') {
+      throw new QuerySyntaxError(`Expected a word or "phrase" after ${token.value}:`, value?.position ?? query.length);
+    }
+
+    return { type: 'term', field: token.value, value: value.value, phrase: value.type === 'phrase' };
+  };
+
+  const ast = parseOr();
+
+  if (pos < tokens.length) {
+    const token = tokens[pos];
+    throw new QuerySyntaxError(`Expected AND, OR or ANDNOT before "${token.raw}"`, token.position);
+  }
+
+  return ast;
+}
+
+/**
+ * Check query syntax without throwing
+ * @param {string} query - Query string
+ * @returns {Object} {valid: boolean, error: string|null, position: number|null}
+ */
+export function validateArxivQuery(query) {
+  try {
+    parseArxivQuery(query);
+    return { valid: true, error: null, position: null };
+  } catch (error) {
+    if (error instanceof QuerySyntaxError) {
+      return { valid: false, error: error.message, position: error.position };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Evaluate a parsed query against a paper
+ * @param {Object} ast - Result of parseArxivQuery
+ * @param {Object} paper - Paper object (stored paper format)
+ * @returns {boolean} True if the paper matches
+ */
+export function matchesArxivQuery(ast, paper) {
+  switch (ast.type) {
+    case 'or':
+      return matchesArxivQuery(ast.left, paper) || matchesArxivQuery(ast.right, paper);
+    case 'and':
+      return matchesArxivQuery(ast.left, paper) && matchesArxivQuery(ast.right, paper);
+    case 'andnot':
+      return matchesArxivQuery(ast.left, paper) && !matchesArxivQuery(ast.right, paper);
+    case 'range': {
+      const date = ast.field === 'lastUpdatedDate'
+        ? (paper.updatedDate || paper.publishedDate)
+        : paper.publishedDate;
+      const stamp = date.replace(/[-T:]/g, '').slice(0, 12);
+      return stamp >= ast.from && stamp <= ast.to;
+    }
+    case 'term':
+      return fieldText(paper, ast.field).some(text => containsWords(text, ast.value));
+    default:
+      throw new Error(`Unknown query node: ${ast.type}`);
+  }
+}
+
+/**
+ * Split a query string into tokens
+ * @param {string} query - Query string
+ * @returns {Array} Tokens with type, value, raw text and position
+ */
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'lparen' : 'rparen', raw: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      const end = query.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new QuerySyntaxError('Unterminated quoted phrase', i);
+      }
+      const value = query.slice(i + 1, end).trim();
+      if (!value) {
+        throw new QuerySyntaxError('Empty quoted phrase', i);
+      }
+      tokens.push({ type: 'phrase', value, raw: query.slice(i, end + 1), position: i });
+      i = end + 1;
+      continue;
+    }
+
+    if (char === '[') {
+      const end = query.indexOf(']', i);
+      if (end === -1) {
+        throw new QuerySyntaxError('Unterminated date range', i);
+      }
+      const raw = query.slice(i, end + 1);
+      const match = raw.match(/^\[\s*(\d{8}(?:\d{4})?)\s+TO\s+(\d{8}(?:\d{4})?)\s*\]$/);
+      if (!match) {
+        throw new QuerySyntaxError(`Invalid date range "${raw}" (expected [YYYYMMDDHHMM TO YYYYMMDDHHMM])`, i);
+      }
+      tokens.push({ type: 'range', from: match[1].padEnd(12, '0'), to: match[2].padEnd(12, '9'), raw, position: i });
+      i = end + 1;
+      continue;
+    }
+
+    // Bare word, operator or field prefix
+    const match = query.slice(i).match(/^[^\s()":[\]]+/);
+    if (!match) {
+      throw new QuerySyntaxError(`Unexpected character "${char}"`, i);
+    }
+
+    const word = match[0];
+
+    if (query[i + word.length] === ':') {
+      if (!TEXT_FIELDS.includes(word) && !DATE_FIELDS.includes(word)) {
+        throw new QuerySyntaxError(`Unknown field "${word}"`, i);
+      }
+      tokens.push({ type: 'field', value: word, raw: `${word}:`, position: i });
+      i += word.length + 1;
+      continue;
+    }
+
+    if (word === 'AND' || word === 'OR' || word === 'ANDNOT') {
+      tokens.push({ type: 'op', value: word, raw: word, position: i });
+    } else {
+      tokens.push({ type: 'word', value: word, raw: word, position: i });
+    }
+    i += word.length;
+  }
+
+  if (tokens.length === 0) {
+    throw new QuerySyntaxError('Empty query', 0);
+  }
+
+  return tokens;
+}
+
+/**
+ * Get the searchable texts for a query field
+ * @param {Object} paper - Paper object
+ * @param {string} field - Query field
+ * @returns {Array<string>} Texts to search
+ */
+function fieldText(paper, field) {
+  const authors = (paper.authors || []).map(a => (typeof a === 'string' ? a : a.name));
+
+  switch (field) {
+    case 'ti': return [paper.title || ''];
+    case 'abs': return [paper.abstract || ''];
+    case 'au': return authors;
+    case 'co': return [paper.comment || ''];
+    case 'jr': return [paper.journalRef || ''];
+    case 'cat': return paper.arxivCategories || [];
+    case 'rn': return [];
+    case 'id': return [paper.id];
+    default: return [paper.title || '', paper.abstract || '', paper.comment || '', ...authors];
+  }
+}
+
+/**
+ * Check whether text contains the words of a term as a consecutive sequence
+ * @param {string} text - Text to search
+ * @param {string} term - Word or phrase
+ * @returns {boolean} True if found
+ */
+function containsWords(text, term) {
+  const words = toWords(term);
+  const textWords = toWords(text);
+
+  if (words.length === 0) return false;
+
+  for (let i = 0; i <= textWords.length - words.length; i++) {
+    if (words.every((word, j) => textWords[i + j] === word)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function toWords(text) {
+  return text.toLowerCase().match(/[a-z0-9.]+/g)?.map(w => w.replace(/^\.+|\.+$/g, '')).filter(Boolean) || [];
+}
+
+export default parseArxivQuery;
@@ -0,0 +1,119 @@
+/**
+ * Changelog
+ * Every update run records the papers it added, updated and removed in
+ * public/data/changelog/YYYY-MM-DD.json (one file per day, runs appended in order),
+ * and changelog/index.json lists the days with their totals so the site's
+ * "What's new" view can browse them without loading every file.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { writeJsonAtomic } from './safe-write.js';
+import { validateChangelogFile, validateChangelogIndexFile } from './data-validation.js';
+import { SCHEMA_VERSION } from './migrations.js';
+import { DATA_DIR } from './data-store.js';
+
+const DAY_FILE = /^\d{4}-\d{2}-\d{2}\.json$/;
+
+/**
+ * Directory holding the changelog files
+ * @param {string} [dataDir] - Data directory (public/data by default)
+ * @returns {string} Path of the changelog directory
+ */
+export function changelogDir(dataDir = DATA_DIR) {
+  return path.join(dataDir, 'changelog');
+}
+
+/**
+ * Read a day's changelog
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {Object} options - {dataDir}
+ * @returns {Promise<Object|null>} {schemaVersion, date, runs}, or null if nothing was recorded that day
+ */
+export async function readChangelogDay(date, options = {}) {
+  try {
+    const filePath = path.join(changelogDir(options.dataDir), `${date}.json`);
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Record an update run in the changelog for its day and refresh changelog/index.json
+ * @param {string} date - Day the run belongs to, 'YYYY-MM-DD'
+ * @param {Object} run - {script, startedAt, finishedAt, parameters, added, updated, removed}
+ *   where added, updated and removed are arrays of paper IDs
+ * @param {Object} options - {dataDir}
+ * @returns {Promise<string>} Path of the day file written
+ */
+export async function recordRun(date, run, options = {}) {
+  const existing = await readChangelogDay(date, options);
+  const data = {
+    schemaVersion: SCHEMA_VERSION,
+    date,
+    runs: [...(existing?.runs || []), {
+      ...run,
+      added: [...new Set(run.added)].sort(),
+      updated: [...new Set(run.updated)].sort(),
+      removed: [...new Set(run.removed)].sort()
+    }]
+  };
+
+  const filePath = path.join(changelogDir(options.dataDir), `${date}.json`);
+  await writeJsonAtomic(filePath, data, { validate: validateChangelogFile });
+  await rebuildChangelogIndex(options);
+
+  return filePath;
+}
+
+/**
+ * Summarize a day's changelog for the index
+ * @param {Object} day - Day file contents
+ * @returns {Object} {date, path, runs, added, updated, removed} with paper counts
+ */
+export function summarizeChangelogDay(day) {
+  const count = field => new Set(day.runs.flatMap(run => run[field])).size;
+
+  return {
+    date: day.date,
+    path: `${day.date}.json`,
+    runs: day.runs.length,
+    added: count('added'),
+    updated: count('updated'),
+    removed: count('removed')
+  };
+}
+
+/**
+ * Rewrite changelog/index.json from the day files
+ * @param {Object} options - {dataDir}
+ * @returns {Promise<Object>} The index written
+ */
+export async function rebuildChangelogIndex(options = {}) {
+  const dir = changelogDir(options.dataDir);
+
+  let files = [];
+  try {
+    files = (await fs.readdir(dir)).filter(f => DAY_FILE.test(f));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const days = [];
+  for (const file of files.sort().reverse()) {
+    days.push(summarizeChangelogDay(await readChangelogDay(path.basename(file, '.json'), options)));
+  }
+
+  const index = {
+    schemaVersion: SCHEMA_VERSION,
+    updatedAt: new Date().toISOString(),
+    days
+  };
+
+  await writeJsonAtomic(path.join(dir, 'index.json'), index, { validate: validateChangelogIndexFile });
+  return index;
+}
+
+export default recordRun;
@@ -0,0 +1,194 @@
+/**
+ * Fetch Checkpoint
+ * Persists per-query progress so long fetch runs can be resumed
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const CHECKPOINT_VERSION = 1;
+
+class FetchCheckpoint {
+  /**
+   * @param {string} filePath - Path to the checkpoint JSON file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.state = null;
+  }
+
+  /**
+   * Load checkpoint from disk
+   * @returns {Promise<boolean>} True if an existing checkpoint was loaded
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+
+      if (data.version !== CHECKPOINT_VERSION) {
+        throw new Error(`Unsupported checkpoint version: ${data.version}`);
+      }
+
+      this.state = data;
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw new Error(`Failed to load checkpoint ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start a fresh checkpoint for a date range, discarding any previous state
+   * @param {Object} run - Run parameters {startDate, endDate, backfill, windowThreshold}
+   */
+  reset(run) {
+    const now = new Date().toISOString();
+
+    this.state = {
+      version: CHECKPOINT_VERSION,
+      startDate: run.startDate,
+      endDate: run.endDate,
+      backfill: run.backfill || false,
+      windowThreshold: run.windowThreshold ?? null,
+      startedAt: now,
+      updatedAt: now,
+      queries: {}
+    };
+  }
+
+  /**
+   * Get saved progress for a query and date window
+   * @param {string} queryKey - Query identifier
+   * @param {Object} window - Date window {startDate, endDate}
+   * @returns {Object|null} {start, totalResults, completed, split} or null if unknown
+   */
+  getWindow(queryKey, window) {
+    return this.state?.queries[queryKey]?.windows[windowKey(window)] || null;
+  }
+
+  /**
+   * Record a finished page for a query window and persist the checkpoint
+   * @param {string} queryKey - Query identifier
+   * @param {Object} window - Date window {startDate, endDate}
+   * @param {Object} progress - {start, totalResults} where start is the next offset to fetch
+   */
+  async recordPage(queryKey, window, progress) {
+    const entry = this.ensureWindow(queryKey, window);
+    entry.start = progress.start;
+    entry.totalResults = progress.totalResults;
+    delete entry.error;
+    await this.save();
+  }
+
+  /**
+   * Record that a query window was too large and was split into smaller windows
+   * @param {string} queryKey - Query identifier
+   * @param {Object} window - Date window {startDate, endDate}
+   * @param {number} totalResults - Results arXiv reported for the whole window
+   */
+  async recordSplit(queryKey, window, totalResults) {
+    const entry = this.ensureWindow(queryKey, window);
+    entry.split = true;
+    entry.totalResults = totalResults;
+    delete entry.error;
+    await this.save();
+  }
+
+  /**
+   * Mark a query window as fully fetched and persist the checkpoint
+   * @param {string} queryKey - Query identifier
+   * @param {Object} window - Date window {startDate, endDate}
+   */
+  async completeWindow(queryKey, window) {
+    const entry = this.ensureWindow(queryKey, window);
+    entry.completed = true;
+    delete entry.error;
+    await this.save();
+  }
+
+  /**
+   * Record that a query window failed, so it is retried on resume even when
+   * it failed before its first page (or, in backfill, before it was sized)
+   * @param {string} queryKey - Query identifier
+   * @param {Object} window - Date window {startDate, endDate}
+   * @param {string} message - Error message
+   */
+  async recordFailure(queryKey, window, message) {
+    const entry = this.ensureWindow(queryKey, window);
+    entry.error = message;
+    await this.save();
+  }
+
+  /**
+   * List query windows that were started or failed but not completed
+   * @returns {Array} Array of {queryKey, startDate, endDate, start, error}
+   */
+  getIncomplete() {
+    const incomplete = [];
+
+    for (const [queryKey, query] of Object.entries(this.state?.queries || {})) {
+      for (const entry of Object.values(query.windows)) {
+        if (!entry.completed && !entry.split) {
+          incomplete.push({ queryKey, ...entry });
+        }
+      }
+    }
+
+    return incomplete;
+  }
+
+  /**
+   * Write checkpoint to disk (via a temp file so a kill never leaves it truncated)
+   */
+  async save() {
+    this.state.updatedAt = new Date().toISOString();
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(this.state, null, 2));
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Delete the checkpoint file
+   */
+  async remove() {
+    await fs.rm(this.filePath, { force: true });
+    this.state = null;
+  }
+
+  ensureWindow(queryKey, window) {
+    if (!this.state.queries[queryKey]) {
+      this.state.queries[queryKey] = { windows: {} };
+    }
+
+    const windows = this.state.queries[queryKey].windows;
+    const key = windowKey(window);
+
+    if (!windows[key]) {
+      windows[key] = {
+        startDate: window.startDate,
+        endDate: window.endDate,
+        start: 0,
+        totalResults: null,
+        completed: false
+      };
+    }
+
+    return windows[key];
+  }
+}
+
+/**
+ * Build the lookup key for a date window
+ * @param {Object} window - Date window {startDate, endDate}
+ * @returns {string} Key like "2020-01-01..2024-12-31"
+ */
+function windowKey(window) {
+  return `${window.startDate}..${window.endDate}`;
+}
+
+export default FetchCheckpoint;
@@ -0,0 +1,576 @@
+/**
+ * Data Store
+ * The one place the pipeline reads and writes papers and categories. Scripts work
+ * in terms of months, years, IDs and papers; how papers are laid out on disk stays
+ * inside this class.
+ *
+ * Layout: one shard per month of publication (public/data/papers/2026/2026-01.json)
+ * and papers/manifest.json listing every shard with its paper count and a SHA-256
+ * of its contents. A shard is only rewritten when its contents change.
+ *
+ * Checkouts from before sharding have one file per year (papers/2026.json). Those
+ * are still read, and a year is split into shards the first time it is written
+ * (or all at once by `npm run migrate-data`).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import { mergePapers } from './deduplicator.js';
+import { writeJsonAtomic, checkPaperDrop, DEFAULT_MAX_DROP_PERCENT } from './safe-write.js';
+import { validateShardFile, validateManifestFile } from './data-validation.js';
+import { migrateOnRead, SCHEMA_VERSION } from './migrations.js';
+import { normalizeArxivId, parseArxivId } from '../../shared/arxiv-id.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DATA_DIR = path.join(__dirname, '..', '..', 'public', 'data');
+
+const SHARD_FILE = /^\d{4}-\d{2}\.json$/;
+const LEGACY_YEAR_FILE = /^\d{4}\.json$/;
+
+/**
+ * Month a paper is filed under
+ * @param {Object} paper - Paper with publishedDate
+ * @returns {string} 'YYYY-MM'
+ */
+export function monthOf(paper) {
+  return paper.publishedDate.substring(0, 7);
+}
+
+/**
+ * Group papers by the month they were published in
+ * @param {Array} papers - Papers with publishedDate
+ * @returns {Map<string, Array>} Papers per 'YYYY-MM', in first-seen order
+ */
+export function groupPapersByMonth(papers) {
+  return groupBy(papers, monthOf);
+}
+
+/**
+ * Group papers by the year they were published in
+ * @param {Array} papers - Papers with publishedDate
+ * @returns {Map<number, Array>} Papers per year, in first-seen order
+ */
+export function groupPapersByYear(papers) {
+  return groupBy(papers, paper => parseInt(paper.publishedDate.substring(0, 4)));
+}
+
+/**
+ * Hash file contents the way the manifest records them
+ * @param {string} text - File contents
+ * @returns {string} Hex SHA-256
+ */
+export function hashContent(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function groupBy(papers, keyOf) {
+  const groups = new Map();
+
+  for (const paper of papers) {
+    const key = keyOf(paper);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(paper);
+  }
+
+  return groups;
+}
+
+class DataStore {
+  /**
+   * @param {Object} options - {dataDir: directory holding categories.json and papers/}
+   */
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || DATA_DIR;
+    this.papersDir = path.join(this.dataDir, 'papers');
+    this.manifestPath = path.join(this.papersDir, 'manifest.json');
+    this.manifest = null;
+    this.legacyYears = new Map();
+  }
+
+  /**
+   * Load category definitions
+   * @returns {Promise<Array>} Categories, migrated to the current schema
+   */
+  async getCategories() {
+    const filePath = path.join(this.dataDir, 'categories.json');
+    const data = migrateOnRead('categories', JSON.parse(await fs.readFile(filePath, 'utf-8')), 'categories.json');
+    return data.categories;
+  }
+
+  /**
+   * Load the shard manifest (built from the shard files if manifest.json is missing)
+   * @returns {Promise<Object>} {schemaVersion, updatedAt, totalPapers, shards: [{month, path, count, sha256}]}
+   */
+  async getManifest() {
+    if (this.manifest) {
+      return this.manifest;
+    }
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.manifestPath, 'utf-8'));
+      this.manifest = migrateOnRead('manifest', data, 'papers/manifest.json');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.manifest = await this.scanShards();
+    }
+
+    return this.manifest;
+  }
+
+  /**
+   * Rebuild the manifest from the shard files on disk and save it
+   * @param {Object} options - {maxDropPercent}
+   * @returns {Promise<Object>} The new manifest
+   */
+  async rebuildManifest(options = {}) {
+    this.manifest = await this.scanShards();
+    await this.saveManifest(options);
+    return this.manifest;
+  }
+
+  /**
+   * List the months that have papers
+   * @returns {Promise<Array<string>>} 'YYYY-MM' months, oldest first
+   */
+  async listMonths() {
+    const manifest = await this.getManifest();
+    const months = new Set(manifest.shards.map(shard => shard.month));
+
+    for (const year of await this.listLegacyYears()) {
+      for (const month of groupPapersByMonth(await this.readLegacyYear(year)).keys()) {
+        months.add(month);
+      }
+    }
+
+    return [...months].sort();
+  }
+
+  /**
+   * List the years that have papers
+   * @returns {Promise<Array<number>>} Years, oldest first
+   */
+  async listYears() {
+    const years = (await this.listMonths()).map(month => parseInt(month.substring(0, 4)));
+    return [...new Set(years)];
+  }
+
+  /**
+   * Load the papers published in a month
+   * @param {string} month - 'YYYY-MM'
+   * @returns {Promise<Array>} Papers, migrated to the current schema (empty if none stored)
+   */
+  async getMonth(month) {
+    const papers = await this.readShard(month);
+
+    const year = parseInt(month.substring(0, 4));
+    if (!(await this.listLegacyYears()).includes(year)) {
+      return papers;
+    }
+
+    const legacy = (await this.readLegacyYear(year)).filter(paper => monthOf(paper) === month);
+    return legacy.length > 0 ? mergePapers(papers, legacy).merged : papers;
+  }
+
+  /**
+   * Replace the papers stored for a month (validated, atomic, refuses large drops in paper count)
+   * @param {string} month - 'YYYY-MM'
+   * @param {Array} papers - Every paper for that month; an empty list removes the shard
+   * @param {Object} options - {maxDropPercent}
+   * @returns {Promise<boolean>} True if the shard changed
+   * @throws {DataWriteError} If the papers fail validation or the drop guard
+   */
+  async putMonth(month, papers, options = {}) {
+    await this.convertLegacyYear(parseInt(month.substring(0, 4)), options);
+
+    const changed = await this.writeShard(month, papers, options);
+    if (changed) {
+      await this.saveManifest(options);
+    }
+    return changed;
+  }
+
+  /**
+   * Load the papers published in a year
+   * @param {number|string} year - Year
+   * @returns {Promise<Array>} Papers, oldest month first
+   */
+  async getYear(year) {
+    let papers = [];
+    for (const month of await this.listMonths()) {
+      if (month.startsWith(`${year}-`)) {
+        papers = papers.concat(await this.getMonth(month));
+      }
+    }
+    return papers;
+  }
+
+  /**
+   * Replace the papers stored for a year
+   * @param {number|string} year - Year
+   * @param {Array} papers - Every paper for that year; months left out are removed
+   * @param {Object} options - {maxDropPercent}
+   * @returns {Promise<number>} Number of shards that changed
+   */
+  async putYear(year, papers, options = {}) {
+    await this.convertLegacyYear(parseInt(year), options);
+
+    const papersByMonth = groupPapersByMonth(papers);
+    for (const month of await this.listMonths()) {
+      if (month.startsWith(`${year}-`) && !papersByMonth.has(month)) {
+        papersByMonth.set(month, []);
+      }
+    }
+
+    let changed = 0;
+    for (const [month, monthPapers] of papersByMonth) {
+      if (await this.writeShard(month, monthPapers, options)) changed++;
+    }
+    if (changed > 0) {
+      await this.saveManifest(options);
+    }
+    return changed;
+  }
+
+  /**
+   * Merge papers into the store: new papers are added, known ones updated
+   * (see mergePapers). Only shards whose contents change are rewritten.
+   * @param {Array} papers - Papers from any number of months
+   * @param {Object} options - {maxDropPercent}
+   * @returns {Promise<Object>} {added, updated, revised, written, addedIds, updatedIds,
+   *   months: [{month, incoming, existing, added, updated, revised, written}]}
+   */
+  async merge(papers, options = {}) {
+    const totals = { added: 0, updated: 0, revised: 0, written: 0, addedIds: [], updatedIds: [], months: [] };
+    const papersByMonth = groupPapersByMonth(papers);
+
+    for (const month of [...papersByMonth.keys()].sort().reverse()) {
+      await this.convertLegacyYear(parseInt(month.substring(0, 4)), options);
+
+      const incoming = papersByMonth.get(month);
+      const existing = await this.readShard(month);
+      const result = mergePapers(existing, incoming);
+      const written = await this.writeShard(month, result.merged, options);
+
+      totals.added += result.added;
+      totals.updated += result.updated;
+      totals.revised += result.revised;
+      totals.written += written ? 1 : 0;
+      totals.addedIds.push(...result.addedIds);
+      totals.updatedIds.push(...result.updatedIds);
+      totals.months.push({
+        month,
+        incoming: incoming.length,
+        existing: existing.length,
+        added: result.added,
+        updated: result.updated,
+        revised: result.revised,
+        written
+      });
+    }
+
+    if (totals.written > 0) {
+      await this.saveManifest(options);
+    }
+
+    return totals;
+  }
+
+  /**
+   * Find a stored paper by ID
+   * @param {string} id - arXiv ID, with or without version
+   * @returns {Promise<Object|null>} The paper, or null if it isn't stored
+   */
+  async getPaper(id) {
+    const key = normalizeArxivId(id);
+    const months = await this.listMonths();
+
+    // New-style IDs start with the submission month, which is almost always the publication month
+    const match = parseArxivId(id)?.id.match(/^(\d{2})(\d{2})\./);
+    const likely = match ? `20${match[1]}-${match[2]}` : null;
+    const ordered = months.includes(likely) ? [likely, ...months.filter(m => m !== likely)] : months;
+
+    for (const month of ordered) {
+      const paper = (await this.getMonth(month)).find(p => normalizeArxivId(p.id) === key);
+      if (paper) return paper;
+    }
+
+    return null;
+  }
+
+  /**
+   * Iterate over the stored papers a month at a time
+   * @yields {Object} {month: 'YYYY-MM', papers}, oldest month first
+   */
+  async *iterateMonths() {
+    for (const month of await this.listMonths()) {
+      yield { month, papers: await this.getMonth(month) };
+    }
+  }
+
+  /**
+   * Iterate over the stored papers a year at a time
+   * @yields {Object} {year, papers}, oldest year first
+   */
+  async *iterateYears() {
+    for (const year of await this.listYears()) {
+      yield { year, papers: await this.getYear(year) };
+    }
+  }
+
+  /**
+   * Load every stored paper
+   * @returns {Promise<Array>} All papers, oldest month first
+   */
+  async getAllPapers() {
+    let allPapers = [];
+    for await (const { papers } of this.iterateMonths()) {
+      allPapers = allPapers.concat(papers);
+    }
+    return allPapers;
+  }
+
+  /**
+   * List the IDs of every stored paper
+   * @returns {Promise<Set<string>>} Normalized paper IDs
+   */
+  async listIds() {
+    const ids = new Set();
+    for await (const { papers } of this.iterateMonths()) {
+      papers.forEach(paper => ids.add(normalizeArxivId(paper.id)));
+    }
+    return ids;
+  }
+
+  /**
+   * Split every pre-shard year file into monthly shards
+   * @param {Object} options - {maxDropPercent}
+   * @returns {Promise<Array>} [{year, months}] for each year converted
+   */
+  async convertLegacyLayout(options = {}) {
+    const converted = [];
+    for (const year of await this.listLegacyYears()) {
+      converted.push({ year, months: await this.convertLegacyYear(year, options) });
+    }
+    return converted;
+  }
+
+  /**
+   * @param {string} month - 'YYYY-MM'
+   * @returns {string} Path of the month's shard file
+   */
+  shardPath(month) {
+    return path.join(this.papersDir, month.substring(0, 4), `${month}.json`);
+  }
+
+  /**
+   * Read one shard, ignoring any pre-shard year file
+   * @param {string} month - 'YYYY-MM'
+   * @returns {Promise<Array>} Papers (empty if the shard doesn't exist)
+   */
+  async readShard(month) {
+    try {
+      const data = JSON.parse(await fs.readFile(this.shardPath(month), 'utf-8'));
+      return migrateOnRead('shard', data, `papers/${month.substring(0, 4)}/${month}.json`).papers || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write one shard and update its manifest entry in memory (the caller saves the manifest)
+   * @param {string} month - 'YYYY-MM'
+   * @param {Array} papers - Every paper for that month; an empty list removes the shard
+   * @param {Object} options - {maxDropPercent}
+   * @returns {Promise<boolean>} True if the shard changed
+   */
+  async writeShard(month, papers, options = {}) {
+    const manifest = await this.getManifest();
+    const entry = manifest.shards.find(shard => shard.month === month);
+    const filePath = this.shardPath(month);
+    const label = `${month}.json`;
+
+    if (papers.length === 0) {
+      const existing = await this.readShard(month);
+      if (!entry && existing.length === 0) {
+        return false;
+      }
+
+      checkPaperDrop(label, existing.length, 0, options.maxDropPercent ?? DEFAULT_MAX_DROP_PERCENT);
+      await fs.rm(filePath, { force: true });
+      manifest.shards = manifest.shards.filter(shard => shard.month !== month);
+      console.log(chalk.yellow(`✓ Removed ${label} (no papers left)`));
+      return true;
+    }
+
+    const data = {
+      schemaVersion: SCHEMA_VERSION,
+      month,
+      count: papers.length,
+      papers
+    };
+
+    // writeJsonAtomic serializes the same way, so the hash of this text is the hash of the file
+    if (entry && entry.sha256 === hashContent(JSON.stringify(data, null, 2))) {
+      return false;
+    }
+
+    const json = await writeJsonAtomic(filePath, data, {
+      validate: validateShardFile,
+      countPapers: file => file.papers?.length || 0,
+      maxDropPercent: options.maxDropPercent
+    });
+
+    const updated = {
+      month,
+      path: path.relative(this.papersDir, filePath).split(path.sep).join('/'),
+      count: papers.length,
+      sha256: hashContent(json)
+    };
+    manifest.shards = manifest.shards.filter(shard => shard.month !== month).concat(updated);
+
+    console.log(chalk.green(`✓ Saved ${papers.length} papers to ${label}`));
+    return true;
+  }
+
+  /**
+   * Save the in-memory manifest (validated, atomic, refuses large drops in total papers)
+   * @param {Object} options - {maxDropPercent}
+   */
+  async saveManifest(options = {}) {
+    const manifest = await this.getManifest();
+    manifest.shards.sort((a, b) => a.month.localeCompare(b.month));
+
+    const data = {
+      schemaVersion: SCHEMA_VERSION,
+      updatedAt: new Date().toISOString(),
+      totalPapers: manifest.shards.reduce((sum, shard) => sum + shard.count, 0),
+      shards: manifest.shards
+    };
+
+    await writeJsonAtomic(this.manifestPath, data, {
+      validate: validateManifestFile,
+      countPapers: file => file.totalPapers || 0,
+      maxDropPercent: options.maxDropPercent
+    });
+
+    this.manifest = data;
+  }
+
+  /**
+   * Build a manifest from the shard files on disk
+   * @returns {Promise<Object>} Manifest (not saved)
+   */
+  async scanShards() {
+    const shards = [];
+
+    let entries = [];
+    try {
+      entries = await fs.readdir(this.papersDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const dir of entries.filter(entry => entry.isDirectory() && /^\d{4}$/.test(entry.name))) {
+      const files = (await fs.readdir(path.join(this.papersDir, dir.name))).filter(f => SHARD_FILE.test(f)).sort();
+
+      for (const file of files) {
+        const text = await fs.readFile(path.join(this.papersDir, dir.name, file), 'utf-8');
+        const count = JSON.parse(text).papers?.length || 0;
+        if (count === 0) continue;
+
+        shards.push({
+          month: path.basename(file, '.json'),
+          path: `${dir.name}/${file}`,
+          count,
+          sha256: hashContent(text)
+        });
+      }
+    }
+
+    shards.sort((a, b) => a.month.localeCompare(b.month));
+
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      updatedAt: new Date().toISOString(),
+      totalPapers: shards.reduce((sum, shard) => sum + shard.count, 0),
+      shards
+    };
+  }
+
+  /**
+   * @returns {Promise<Array<number>>} Years that still have a pre-shard year file
+   */
+  async listLegacyYears() {
+    try {
+      const files = await fs.readdir(this.papersDir);
+      return files
+        .filter(f => LEGACY_YEAR_FILE.test(f))
+        .map(f => parseInt(f))
+        .sort((a, b) => a - b);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read a pre-shard year file (cached)
+   * @param {number} year - Year
+   * @param {Object} options - {warn: point at migrate-data the first time the file is read}
+   * @returns {Promise<Array>} Papers, migrated to the current schema
+   */
+  async readLegacyYear(year, options = {}) {
+    const { warn = true } = options;
+
+    if (!this.legacyYears.has(year)) {
+      const label = `papers/${year}.json`;
+      const data = JSON.parse(await fs.readFile(path.join(this.papersDir, `${year}.json`), 'utf-8'));
+      if (warn) {
+        console.log(chalk.yellow(`⚠ ${label} uses the old one-file-per-year layout (run npm run migrate-data to split it)`));
+      }
+      this.legacyYears.set(year, migrateOnRead('year', data, label).papers || []);
+    }
+    return this.legacyYears.get(year);
+  }
+
+  /**
+   * Split a pre-shard year file into monthly shards, merged with any shards already there
+   * @param {number} year - Year
+   * @param {Object} options - {maxDropPercent}
+   * @returns {Promise<number>} Number of shards written (0 if the year has no year file)
+   */
+  async convertLegacyYear(year, options = {}) {
+    if (!(await this.listLegacyYears()).includes(year)) {
+      return 0;
+    }
+
+    const papersByMonth = groupPapersByMonth(await this.readLegacyYear(year, { warn: false }));
+    let written = 0;
+
+    for (const [month, papers] of [...papersByMonth].sort(([a], [b]) => a.localeCompare(b))) {
+      const { merged } = mergePapers(await this.readShard(month), papers);
+      if (await this.writeShard(month, merged, options)) written++;
+    }
+
+    await this.saveManifest(options);
+    await fs.rm(path.join(this.papersDir, `${year}.json`));
+    this.legacyYears.delete(year);
+
+    console.log(chalk.green(`✓ Split ${year}.json into ${papersByMonth.size} monthly shards`));
+    return written;
+  }
+}
+
+export default DataStore;
@@ -0,0 +1,324 @@
+/**
+ * Data File Validation
+ * Checks the files in public/data against the JSON Schemas in schemas/, plus the
+ * rules a schema can't express (counts, duplicates, papers filed under the right month).
+ * Run before every save and by `npm run validate-data`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { validateKeyword } from '../../shared/keyword-matcher.js';
+import { validateRule } from '../../shared/category-rules.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const SCHEMAS_DIR = path.join(__dirname, '..', '..', 'schemas');
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+
+for (const file of fs.readdirSync(SCHEMAS_DIR).filter(f => f.endsWith('.schema.json'))) {
+  ajv.addSchema(JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, file), 'utf-8')));
+}
+
+/**
+ * Validate data against one of the schemas
+ * @param {string} schemaId - Schema file name, e.g. 'shard.schema.json'
+ * @param {Object} data - Data to check
+ * @returns {Array<string>} Problems found (empty if valid), papers labelled by ID
+ */
+export function validateAgainstSchema(schemaId, data) {
+  const validate = ajv.getSchema(schemaId);
+  if (!validate) {
+    throw new Error(`Unknown schema ${schemaId}`);
+  }
+
+  if (validate(data)) {
+    return [];
+  }
+
+  return validate.errors.map(error => formatError(error, data));
+}
+
+/**
+ * Validate a paper shard ({month, count, papers})
+ * @param {Object} data - Shard contents
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateShardFile(data) {
+  const problems = validateAgainstSchema('shard.schema.json', data);
+
+  if (!Array.isArray(data?.papers)) {
+    return problems;
+  }
+  if (data.count !== data.papers.length) {
+    problems.push(`count is ${data.count} but there are ${data.papers.length} papers`);
+  }
+
+  const seenIds = new Set();
+
+  data.papers.forEach(paper => {
+    if (!paper?.id) return;
+
+    if (seenIds.has(paper.id)) {
+      problems.push(`Paper ${paper.id}: duplicate id`);
+    }
+    seenIds.add(paper.id);
+
+    if (typeof data.month === 'string' && typeof paper.publishedDate === 'string' &&
+        paper.publishedDate.substring(0, 7) !== data.month) {
+      problems.push(`Paper ${paper.id}: published ${paper.publishedDate.substring(0, 10)}, not in ${data.month}`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Validate the shard manifest ({totalPapers, shards})
+ * @param {Object} data - Manifest contents
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateManifestFile(data) {
+  const problems = validateAgainstSchema('manifest.schema.json', data);
+
+  if (!Array.isArray(data?.shards)) {
+    return problems;
+  }
+
+  const total = data.shards.reduce((sum, shard) => sum + (shard.count || 0), 0);
+  if (data.totalPapers !== total) {
+    problems.push(`totalPapers is ${data.totalPapers} but the shards hold ${total} papers`);
+  }
+
+  const seenMonths = new Set();
+  for (const shard of data.shards) {
+    if (seenMonths.has(shard.month)) {
+      problems.push(`Shard ${shard.month}: listed twice`);
+    }
+    seenMonths.add(shard.month);
+  }
+
+  return problems;
+}
+
+/**
+ * Validate index.json ({meta, papers})
+ * @param {Object} data - Index contents
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateIndexFile(data) {
+  const problems = validateAgainstSchema('index.schema.json', data);
+
+  if (Array.isArray(data?.papers) && data.meta && data.meta.totalPapers !== data.papers.length) {
+    problems.push(`meta.totalPapers is ${data.meta.totalPapers} but there are ${data.papers.length} papers`);
+  }
+
+  return problems;
+}
+
+/**
+ * Validate categories.json
+ * @param {Object} data - Categories file contents
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateCategoriesFile(data) {
+  const problems = validateAgainstSchema('categories.schema.json', data);
+
+  if (Array.isArray(data?.categories)) {
+    for (const category of data.categories) {
+      const keywords = [
+        ...(Array.isArray(category?.keywords) ? category.keywords : []),
+        ...(Array.isArray(category?.negativeKeywords) ? category.negativeKeywords : [])
+      ];
+      for (const entry of keywords) {
+        const problem = validateKeyword(typeof entry === 'string' ? entry : entry?.keyword);
+        if (problem) problems.push(`Category ${category.id}: ${problem}`);
+      }
+      if (typeof category?.rule === 'string' && category.rule.trim() !== '') {
+        const { error } = validateRule(category.rule);
+        if (error) problems.push(`Category ${category.id}: rule: ${error}`);
+      }
+    }
+  }
+
+  return problems.concat(findDuplicateIds(data?.categories, 'Category'));
+}
+
+/**
+ * Validate blocklist.json
+ * @param {Object} data - Blocklist contents
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateBlocklistFile(data) {
+  const problems = validateAgainstSchema('blocklist.schema.json', data);
+  return problems.concat(findDuplicateIds(data?.blocked, 'Blocked paper'));
+}
+
+/**
+ * Validate overrides.json
+ * @param {Object} data - Overrides contents
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateOverridesFile(data) {
+  const problems = validateAgainstSchema('overrides.schema.json', data);
+
+  if (Array.isArray(data?.overrides)) {
+    for (const override of data.overrides) {
+      const add = Array.isArray(override?.add) ? override.add : [];
+      const remove = Array.isArray(override?.remove) ? override.remove : [];
+
+      if (add.length === 0 && remove.length === 0) {
+        problems.push(`Override ${override?.id}: adds and removes nothing`);
+      }
+      const both = add.filter(id => remove.includes(id));
+      if (both.length > 0) {
+        problems.push(`Override ${override?.id}: both adds and removes ${both.join(', ')}`);
+      }
+    }
+  }
+
+  return problems.concat(findDuplicateIds(data?.overrides, 'Override'));
+}
+
+/**
+ * Validate a changelog day file ({date, runs})
+ * @param {Object} data - Changelog contents
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateChangelogFile(data) {
+  const problems = validateAgainstSchema('changelog.schema.json', data);
+
+  if (!Array.isArray(data?.runs)) {
+    return problems;
+  }
+
+  data.runs.forEach((run, i) => {
+    if (typeof run?.finishedAt === 'string' && typeof run.startedAt === 'string' && run.finishedAt < run.startedAt) {
+      problems.push(`Run ${i + 1}: finished before it started`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Validate changelog/index.json ({days})
+ * @param {Object} data - Changelog index contents
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateChangelogIndexFile(data) {
+  const problems = validateAgainstSchema('changelog-index.schema.json', data);
+
+  if (!Array.isArray(data?.days)) {
+    return problems;
+  }
+
+  data.days.forEach((day, i) => {
+    if (day?.path && day.path !== `${day.date}.json`) {
+      problems.push(`Day ${day.date}: path is ${day.path}`);
+    }
+    if (i > 0 && day?.date >= data.days[i - 1]?.date) {
+      problems.push(`Day ${day.date}: days must be listed newest first, once each`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Validate runs/latest.json
+ * @param {Object} data - Run report contents
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateRunFile(data) {
+  const problems = validateAgainstSchema('run.schema.json', data);
+
+  if (!Array.isArray(data?.queries)) {
+    return problems;
+  }
+
+  const failed = data.queries.filter(q => q?.failed).length;
+  const expected = data.error || (failed > 0 && failed === data.queries.length)
+    ? 'failed'
+    : failed > 0 ? 'partial' : 'success';
+  if (data.status && data.status !== expected) {
+    problems.push(`status is ${data.status} but ${failed} of ${data.queries.length} queries failed${data.error ? ' and the run aborted' : ''}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Validate coverage.json
+ * @param {Object} data - Coverage report contents
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateCoverageFile(data) {
+  const problems = validateAgainstSchema('coverage.schema.json', data);
+
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  data.queries.forEach(query => {
+    const label = `Query "${query.description || query.query}"`;
+    if (query.complete !== query.windows.every(w => w.complete)) {
+      problems.push(`${label}: complete is ${query.complete} but ${query.windows.filter(w => !w.complete).length} windows are incomplete`);
+    }
+    if (query.fetched !== query.windows.reduce((sum, w) => sum + w.fetched, 0)) {
+      problems.push(`${label}: fetched doesn't match its windows`);
+    }
+  });
+  if (data.complete !== data.queries.every(q => q.complete)) {
+    problems.push(`complete is ${data.complete} but ${data.queries.filter(q => !q.complete).length} queries are incomplete`);
+  }
+
+  return problems;
+}
+
+function findDuplicateIds(items, label) {
+  if (!Array.isArray(items)) return [];
+
+  const seen = new Set();
+  const problems = [];
+  for (const item of items) {
+    if (item?.id && seen.has(item.id)) {
+      problems.push(`${label} ${item.id}: duplicate id`);
+    }
+    seen.add(item?.id);
+  }
+  return problems;
+}
+
+/**
+ * Turn an Ajv error into a readable message, naming the paper it concerns
+ * @param {Object} error - Ajv error object
+ * @param {Object} data - Validated data
+ * @returns {string} Message like 'Paper 2401.12345: publishedDate must match format "date-time"'
+ */
+function formatError(error, data) {
+  let location = error.instancePath;
+  let prefix = '';
+
+  const match = location.match(/^\/(papers|categories|blocked|overrides|shards|runs|days|queries)\/(\d+)(.*)$/);
+  if (match) {
+    const item = data[match[1]]?.[parseInt(match[2])];
+    const label = { papers: 'Paper', categories: 'Category', blocked: 'Blocked paper', overrides: 'Override', shards: 'Shard', runs: 'Run', days: 'Day', queries: 'Query' }[match[1]];
+    prefix = `${label} ${item?.id ?? item?.month ?? item?.date ?? `#${parseInt(match[2]) + 1}`}: `;
+    location = match[3];
+  }
+
+  const field = location.replace(/^\//, '').replace(/\//g, '.');
+  const detail = error.keyword === 'additionalProperties'
+    ? `unknown field "${error.params.additionalProperty}"`
+    : error.message;
+
+  return `${prefix}${field ? `${field} ` : ''}${detail}`;
+}
+
+export default validateShardFile;
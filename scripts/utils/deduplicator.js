@@ -4,9 +4,10 @@
  */
 
 import chalk from 'chalk';
+import { normalizeArxivId } from '../../shared/arxiv-id.js';
 
 /**
- * Remove duplicate papers based on arXiv ID
+ * Remove duplicate papers based on arXiv ID (compared without version suffix)
  * @param {Array} papers - Array of paper objects
  * @returns {Object} {unique: Array, duplicates: Array}
  */
@@ -16,14 +17,20 @@ export function deduplicatePapers(papers) {
   const duplicates = [];
 
   for (const paper of papers) {
-    if (!seenIds.has(paper.id)) {
-      seenIds.set(paper.id, paper);
+    const key = normalizeArxivId(paper.id);
+
+    if (!seenIds.has(key)) {
+      seenIds.set(key, paper);
       unique.push(paper);
     } else {
+      const first = seenIds.get(key);
+      if (paper.matchedQueries?.length) {
+        first.matchedQueries = mergeMatchedQueries(first.matchedQueries, paper.matchedQueries);
+      }
       duplicates.push({
         id: paper.id,
         title: paper.title,
-        duplicate_of: seenIds.get(paper.id).title
+        duplicate_of: first.title
       });
     }
   }
@@ -32,46 +39,65 @@ export function deduplicatePapers(papers) {
 }
 
 /**
- * Merge papers from multiple sources, keeping the most recent version
+ * Merge papers from multiple sources, keeping the most recent version.
+ * When a paper is replaced by a newer arXiv version, the replaced record is
+ * kept in its versions history.
  * @param {Array} existingPapers - Existing papers
  * @param {Array} newPapers - New papers to merge
- * @returns {Object} {merged: Array, added: number, updated: number}
+ * @returns {Object} {merged: Array, added: number, updated: number, revised: number,
+ *   addedIds: Array<string>, updatedIds: Array<string>}
  */
 export function mergePapers(existingPapers, newPapers) {
   const paperMap = new Map();
 
   // Add existing papers to map
   for (const paper of existingPapers) {
-    paperMap.set(paper.id, paper);
+    paperMap.set(normalizeArxivId(paper.id), paper);
   }
 
   let added = 0;
   let updated = 0;
+  let revised = 0;
+  const addedIds = [];
+  const updatedIds = [];
 
   // Merge new papers
   for (const newPaper of newPapers) {
-    const existing = paperMap.get(newPaper.id);
+    const key = normalizeArxivId(newPaper.id);
+    const existing = paperMap.get(key);
 
     if (!existing) {
       // New paper
-      paperMap.set(newPaper.id, newPaper);
+      paperMap.set(key, newPaper);
       added++;
+      addedIds.push(key);
     } else {
+      // Queries that found the paper accumulate across runs
+      const matchedQueries = mergeMatchedQueries(existing.matchedQueries, newPaper.matchedQueries);
+
       // Update if new version is more recent
       const existingDate = new Date(existing.updatedDate || existing.publishedDate);
       const newDate = new Date(newPaper.updatedDate || newPaper.publishedDate);
 
       if (newDate > existingDate) {
-        paperMap.set(newPaper.id, {
+        const isRevision = existing.version && newPaper.version
+          ? newPaper.version > existing.version
+          : true;
+        const versions = isRevision
+          ? [...(existing.versions || []), snapshotVersion(existing)]
+          : existing.versions;
+
+        paperMap.set(key, {
           ...newPaper,
-          // Preserve manual categories if they exist
-          categories: existing.categories || newPaper.categories,
-          tags: {
-            auto: newPaper.tags?.auto || newPaper.categories || [],
-            manual: existing.tags?.manual || []
-          }
+          ...carryOverManualCategories(newPaper, existing.tags?.manual),
+          matchedQueries,
+          ...(versions?.length ? { versions } : {})
         });
         updated++;
+        updatedIds.push(key);
+        if (isRevision) revised++;
+      } else if (matchedQueries.length !== (existing.matchedQueries?.length || 0)) {
+        paperMap.set(key, { ...existing, matchedQueries });
       }
     }
   }
@@ -79,10 +105,56 @@ export function mergePapers(existingPapers, newPapers) {
   return {
     merged: Array.from(paperMap.values()),
     added,
-    updated
+    updated,
+    revised,
+    addedIds,
+    updatedIds
+  };
+}
+
+/**
+ * Category fields for a paper replaced by a newer record. Automatic categories and
+ * their scores come from the newer record, which was categorized by the current
+ * engine, as npm run recategorize would store them; manual categories carry over.
+ * @param {Object} paper - Newer record
+ * @param {Array<string>} [manual] - Manual categories of the stored record
+ * @returns {Object} {categories, tags}
+ */
+function carryOverManualCategories(paper, manual = []) {
+  const auto = paper.tags?.auto || paper.categories || [];
+  const allManual = [...new Set([...manual, ...(paper.tags?.manual || [])])];
+
+  return {
+    categories: [...auto, ...allManual.filter(id => !auto.includes(id))],
+    tags: { ...paper.tags, auto, manual: allManual }
   };
 }
 
+/**
+ * Snapshot the fields of a paper record that change between arXiv versions
+ * @param {Object} paper - Paper record being superseded
+ * @returns {Object} {version, updatedDate, title, abstract, comment}
+ */
+function snapshotVersion(paper) {
+  return {
+    version: paper.version ?? null,
+    updatedDate: paper.updatedDate || paper.publishedDate,
+    title: paper.title,
+    abstract: paper.abstract || '',
+    comment: paper.comment ?? null
+  };
+}
+
+/**
+ * Union two lists of query ids, keeping first-seen order
+ * @param {Array<string>} [existing] - Query ids already recorded
+ * @param {Array<string>} [incoming] - Query ids to add
+ * @returns {Array<string>} Combined list without duplicates
+ */
+export function mergeMatchedQueries(existing = [], incoming = []) {
+  return [...new Set([...existing, ...incoming])];
+}
+
 /**
  * Log deduplication statistics
  * @param {Object} result - Result from deduplicatePapers
@@ -115,6 +187,9 @@ export function logMergeStats(result) {
   console.log(chalk.green(`  Total papers: ${result.merged.length}`));
   console.log(chalk.cyan(`  New papers added: ${result.added}`));
   console.log(chalk.yellow(`  Papers updated: ${result.updated}`));
+  if (result.revised > 0) {
+    console.log(chalk.yellow(`  New arXiv versions: ${result.revised}`));
+  }
 }
 
 export default deduplicatePapers;
@@ -0,0 +1,102 @@
+/**
+ * Migration Runner
+ * Brings paper shards, the shard manifest, index.json and categories.json up to
+ * the current schema version by applying the modules in scripts/migrations/ in order.
+ */
+
+import chalk from 'chalk';
+import { MIGRATIONS } from '../migrations/index.js';
+import { SCHEMA_VERSION, getSchemaVersion } from '../../shared/schema-version.js';
+
+export { SCHEMA_VERSION, getSchemaVersion };
+
+// 'year' is the pre-shard layout, still read when converting old checkouts
+export const FILE_KINDS = ['shard', 'manifest', 'index', 'categories', 'year'];
+
+/**
+ * Error thrown for data that can't be migrated, e.g. written by a newer version
+ */
+export class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+/**
+ * Check whether data is older than the current schema
+ * @param {Object} data - Parsed data file
+ * @returns {boolean} True if migrations would change it
+ */
+export function needsMigration(data) {
+  return getSchemaVersion(data) < SCHEMA_VERSION;
+}
+
+/**
+ * Migrate a data file to the current schema version
+ * @param {string} kind - One of FILE_KINDS
+ * @param {Object} data - Parsed data file (not modified)
+ * @param {Object} options - {label: file name for error messages}
+ * @returns {Object} {data, from, to, applied: Array<string>} migrated data, the
+ *   versions migrated between and the descriptions of the migrations applied
+ * @throws {MigrationError} If the data is newer than this code understands
+ */
+export function migrateData(kind, data, options = {}) {
+  const { label = `${kind} file` } = options;
+
+  if (!FILE_KINDS.includes(kind)) {
+    throw new Error(`Unknown data file kind "${kind}"`);
+  }
+
+  const from = getSchemaVersion(data);
+  if (from > SCHEMA_VERSION) {
+    throw new MigrationError(
+      `${label} has schema version ${from}, but this code only understands up to ${SCHEMA_VERSION}. Update the scripts`
+    );
+  }
+
+  let migrated = data;
+  const applied = [];
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= from) continue;
+
+    if (migration[kind]) {
+      migrated = migration[kind](migrated);
+    }
+    // Keep schemaVersion as the first key so it's visible at the top of the file
+    const { schemaVersion, ...rest } = migrated;
+    migrated = { schemaVersion: migration.version, ...rest };
+    applied.push(`v${migration.version}: ${migration.description}`);
+  }
+
+  return { data: migrated, from, to: SCHEMA_VERSION, applied };
+}
+
+// Files already reported by migrateOnRead, so repeated loads warn once
+const reported = new Set();
+
+/**
+ * Migrate a file just read from disk, warning that the file itself is out of date.
+ * Loaders use this so old data keeps working until `npm run migrate-data` rewrites it.
+ * @param {string} kind - One of FILE_KINDS
+ * @param {Object} data - Parsed data file
+ * @param {string} label - File name for messages
+ * @returns {Object} Migrated data
+ * @throws {MigrationError} If the data is newer than this code understands
+ */
+export function migrateOnRead(kind, data, label) {
+  const result = migrateData(kind, data, { label });
+
+  if (result.applied.length > 0 && !reported.has(label)) {
+    reported.add(label);
+    console.log(chalk.yellow(
+      `⚠ ${label} is schema v${result.from}, migrated to v${result.to} in memory ` +
+      `(run npm run migrate-data to update the file)`
+    ));
+  }
+
+  return result.data;
+}
+
+export default migrateData;
@@ -0,0 +1,57 @@
+/**
+ * Category Overrides
+ * Reads and writes public/data/overrides.json, where curators add categories to or
+ * remove them from specific papers. Overrides are applied on top of the automatic
+ * categories when the index is built (see applyCategoryOverride in shared/categorizer.js),
+ * so they survive recategorization and keyword changes.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { writeJsonAtomic } from './safe-write.js';
+import { validateOverridesFile } from './data-validation.js';
+import { DATA_DIR } from './data-store.js';
+import { normalizeArxivId } from '../../shared/arxiv-id.js';
+
+export const OVERRIDES_PATH = path.join(DATA_DIR, 'overrides.json');
+
+/**
+ * Load the overrides
+ * @param {Object} options - {filePath}
+ * @returns {Promise<Array>} [{id, add, remove, note, updatedAt}] (empty if there is no file)
+ */
+export async function loadOverrides(options = {}) {
+  const { filePath = OVERRIDES_PATH } = options;
+
+  try {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    return data.overrides || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw new Error(`Could not read overrides.json: ${error.message}`);
+  }
+}
+
+/**
+ * Index overrides by paper ID
+ * @param {Array} overrides - From loadOverrides
+ * @returns {Map<string, Object>} Normalized paper ID → override
+ */
+export function overridesById(overrides) {
+  return new Map(overrides.map(override => [normalizeArxivId(override.id), override]));
+}
+
+/**
+ * Save the overrides, sorted by paper ID (validated, atomic)
+ * @param {Array} overrides - Every override
+ * @param {Object} options - {filePath}
+ */
+export async function saveOverrides(overrides, options = {}) {
+  const { filePath = OVERRIDES_PATH } = options;
+  const sorted = [...overrides].sort((a, b) => a.id.localeCompare(b.id));
+
+  // No drop guard: removing overrides one at a time is the normal way to edit the file
+  await writeJsonAtomic(filePath, { overrides: sorted }, { validate: validateOverridesFile });
+}
+
+export default loadOverrides;
@@ -0,0 +1,117 @@
+/**
+ * Query Registry
+ * Loads, validates and saves the arXiv search queries in public/data/queries.json
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateArxivQuery } from './arxiv-query.js';
+import { validateAgainstSchema } from './data-validation.js';
+import { writeJsonAtomic } from './safe-write.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const QUERIES_PATH = path.join(__dirname, '..', '..', 'public', 'data', 'queries.json');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Error listing every problem found in the registry
+ */
+export class QueryRegistryError extends Error {
+  constructor(problems) {
+    super(`Invalid query registry:\n  ${problems.join('\n  ')}`);
+    this.name = 'QueryRegistryError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Validate registry data against schemas/queries.schema.json, plus what the
+ * schema can't check: duplicate IDs, arXiv query syntax and real start dates
+ * @param {Object} data - Parsed queries.json ({queries: [...]})
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateQueryRegistry(data) {
+  const problems = validateAgainstSchema('queries.schema.json', data);
+
+  if (!Array.isArray(data?.queries)) {
+    return problems;
+  }
+
+  const seenIds = new Set();
+
+  data.queries.forEach((entry, i) => {
+    if (typeof entry !== 'object' || entry === null) return;
+    const label = `Query ${entry.id ?? `#${i + 1}`}`;
+
+    if (typeof entry.id === 'string') {
+      if (seenIds.has(entry.id)) {
+        problems.push(`${label}: duplicate id`);
+      }
+      seenIds.add(entry.id);
+    }
+
+    if (typeof entry.query === 'string' && entry.query.trim()) {
+      const syntax = validateArxivQuery(entry.query);
+      if (!syntax.valid) {
+        problems.push(`${label}: ${syntax.error}`);
+      }
+    }
+
+    if (typeof entry.startDate === 'string' && DATE_PATTERN.test(entry.startDate) && isNaN(Date.parse(entry.startDate))) {
+      problems.push(`${label}: startDate ${entry.startDate} is not a real date`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Load and validate the registry
+ * @param {Object} options - {includeDisabled: false, filePath}
+ * @returns {Promise<Array>} Query definitions {id, query, description, category, enabled, startDate?}
+ * @throws {QueryRegistryError} If the registry is invalid
+ */
+export async function loadQueries(options = {}) {
+  const {
+    includeDisabled = false,
+    filePath = QUERIES_PATH
+  } = options;
+
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to load queries from ${filePath}: ${error.message}`);
+  }
+
+  const problems = validateQueryRegistry(data);
+  if (problems.length > 0) {
+    throw new QueryRegistryError(problems);
+  }
+
+  return includeDisabled ? data.queries : data.queries.filter(q => q.enabled);
+}
+
+/**
+ * Validate and atomically save the registry
+ * @param {Array} queries - All query definitions (including disabled ones)
+ * @param {Object} options - {filePath}
+ * @throws {QueryRegistryError} If the queries are invalid
+ */
+export async function saveQueries(queries, options = {}) {
+  const { filePath = QUERIES_PATH } = options;
+  const data = { queries };
+
+  const problems = validateQueryRegistry(data);
+  if (problems.length > 0) {
+    throw new QueryRegistryError(problems);
+  }
+
+  await writeJsonAtomic(filePath, data);
+}
+
+export default loadQueries;
@@ -0,0 +1,104 @@
+/**
+ * Retry helper with exponential backoff and jitter
+ * Honors server-provided delays (HTTP Retry-After) when an error carries one
+ */
+
+/**
+ * Error for failures worth retrying (HTTP 5xx/429, network errors, glitchy pages)
+ */
+export class RetryableError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - {retryAfterMs: delay requested by the server}
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'RetryableError';
+    this.retryAfterMs = options.retryAfterMs ?? null;
+  }
+}
+
+/**
+ * Run an async function, retrying retryable failures with exponential backoff
+ * @param {Function} fn - Async function receiving the attempt number (0-based)
+ * @param {Object} options - Retry options
+ * @param {number} [options.retries=4] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=3000] - Delay before the first retry (doubles each time)
+ * @param {number} [options.maxDelayMs=60000] - Cap for computed backoff delays
+ * @param {Function} [options.shouldRetry] - (error) => boolean, defaults to RetryableError or network errors
+ * @param {Function} [options.onRetry] - (error, attempt, delayMs) called before waiting
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withRetry(fn, options = {}) {
+  const {
+    retries = 4,
+    baseDelayMs = 3000,
+    maxDelayMs = 60000,
+    shouldRetry = isRetryable,
+    onRetry = null
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+
+      const delayMs = error.retryAfterMs ?? backoffDelay(attempt, baseDelayMs, maxDelayMs);
+
+      if (onRetry) {
+        onRetry(error, attempt + 1, delayMs);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+/**
+ * Exponential backoff with jitter: a random delay between half and all of base * 2^attempt
+ * @param {number} attempt - Retry number (0-based)
+ * @param {number} baseDelayMs - Base delay
+ * @param {number} maxDelayMs - Upper bound
+ * @returns {number} Delay in milliseconds
+ */
+export function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Parse an HTTP Retry-After header (delta seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Default retry predicate
+ * @param {Error} error - Thrown error
+ * @returns {boolean} True for RetryableError and low-level network failures
+ */
+function isRetryable(error) {
+  return error instanceof RetryableError ||
+    error.name === 'FetchError' ||
+    ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error.code);
+}
+
+export default withRetry;
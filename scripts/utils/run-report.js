@@ -0,0 +1,138 @@
+/**
+ * Run Report
+ * Every update run writes public/data/runs/latest.json: per-query counts, retries
+ * and failures, the date window, papers added and how long it took. The site's
+ * status panel reads it, and the run's exit code is derived from the same status
+ * so a run that lost queries doesn't pass silently.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { writeJsonAtomic } from './safe-write.js';
+import { validateRunFile } from './data-validation.js';
+import { SCHEMA_VERSION } from './migrations.js';
+import { DATA_DIR } from './data-store.js';
+
+export const RUN_REPORT_PATH = path.join(DATA_DIR, 'runs', 'latest.json');
+
+// Exit code when some queries failed but the rest were saved; override with
+// PARTIAL_FAILURE_EXIT_CODE or --partial-failure-exit-code (0 accepts partial runs)
+export const DEFAULT_PARTIAL_FAILURE_EXIT_CODE = parseInt(process.env.PARTIAL_FAILURE_EXIT_CODE ?? '2');
+
+/**
+ * Work out a run's status from its query summary
+ * @param {Array} summary - Per-query summary from fetchPapersMultiQuery
+ * @param {Error|null} error - Error that aborted the run, if any
+ * @returns {string} 'success', 'partial' (some queries failed) or 'failed'
+ */
+export function runStatus(summary, error = null) {
+  const failed = summary.filter(q => q.failed).length;
+
+  if (error || (summary.length > 0 && failed === summary.length)) {
+    return 'failed';
+  }
+  return failed > 0 ? 'partial' : 'success';
+}
+
+/**
+ * Exit code for a run status
+ * @param {string} status - Result of runStatus
+ * @param {Object} options - {partialFailureExitCode}
+ * @returns {number} 0 for success, the partial-failure code for partial runs, 1 for failed runs
+ */
+export function runExitCode(status, options = {}) {
+  const { partialFailureExitCode = DEFAULT_PARTIAL_FAILURE_EXIT_CODE } = options;
+
+  if (status === 'success') return 0;
+  if (status === 'partial') return partialFailureExitCode;
+  return 1;
+}
+
+/**
+ * Build the report for a finished (or aborted) run
+ * @param {Object} run - {script, startedAt, startDate, endDate, summary, fetched, added, updated, error}
+ * @returns {Object} Report in the runs/latest.json format
+ */
+export function buildRunReport(run) {
+  const { script, startedAt, startDate = null, endDate = null, summary = [], fetched = 0, added = 0, updated = 0, error = null } = run;
+  const finishedAt = new Date().toISOString();
+  const status = runStatus(summary, error);
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    script,
+    status,
+    startedAt,
+    finishedAt,
+    durationMs: new Date(finishedAt) - new Date(startedAt),
+    window: { startDate, endDate },
+    papers: { fetched, added, updated },
+    queries: summary.map(q => ({
+      id: q.id,
+      description: q.description,
+      fetched: q.fetched,
+      newPapers: q.newPapers,
+      requests: q.requests,
+      retries: q.retries,
+      failed: q.failed,
+      error: q.error
+    })),
+    error: error ? error.message : null,
+    lastSuccess: null
+  };
+}
+
+/**
+ * Write runs/latest.json, carrying over when the last successful run finished
+ * @param {Object} report - Result of buildRunReport
+ * @param {Object} options - {filePath}
+ * @returns {Promise<Object>} The report written
+ */
+export async function saveRunReport(report, options = {}) {
+  const { filePath = RUN_REPORT_PATH } = options;
+
+  let previous = null;
+  try {
+    previous = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+  }
+
+  const lastSuccess = report.status === 'success'
+    ? { script: report.script, finishedAt: report.finishedAt, window: report.window }
+    : previous?.status === 'success'
+      ? { script: previous.script, finishedAt: previous.finishedAt, window: previous.window }
+      : previous?.lastSuccess ?? null;
+
+  const data = { ...report, lastSuccess };
+  await writeJsonAtomic(filePath, data, { validate: validateRunFile });
+
+  return data;
+}
+
+/**
+ * Print a run's status and the queries that failed
+ * @param {Object} report - Saved report
+ */
+export function logRunReport(report) {
+  const color = { success: chalk.green, partial: chalk.yellow, failed: chalk.red }[report.status];
+  const failed = report.queries.filter(q => q.failed);
+
+  console.log(color(`\nRun status: ${report.status} (${(report.durationMs / 1000).toFixed(0)}s)`));
+  failed.forEach(q => console.log(color(`  ✗ ${q.description}: ${q.error}`)));
+  console.log(chalk.gray(`  Report: ${path.relative(process.cwd(), RUN_REPORT_PATH)}`));
+}
+
+/**
+ * Build, save and print the report for a run
+ * @param {Object} run - See buildRunReport
+ * @returns {Promise<Object>} The report written
+ */
+export async function recordRunReport(run) {
+  const report = await saveRunReport(buildRunReport(run));
+  logRunReport(report);
+  return report;
+}
+
+export default recordRunReport;
@@ -0,0 +1,122 @@
+/**
+ * Safe Writes for data files
+ * Validates data, writes it to a temp file next to the target and renames it into
+ * place, so a crash or kill mid-write never leaves a truncated file behind.
+ * Also guards against replacing a file with one holding far fewer papers.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Largest drop in paper count (percent) a save may cause; override with MAX_PAPER_DROP_PERCENT or --max-drop
+export const DEFAULT_MAX_DROP_PERCENT = parseFloat(process.env.MAX_PAPER_DROP_PERCENT ?? '10');
+
+/**
+ * Error thrown when data fails validation or the drop guard; nothing is written
+ */
+export class DataWriteError extends Error {
+  constructor(message, problems = []) {
+    const details = problems.slice(0, 10).join('\n  ');
+    const more = problems.length > 10 ? `\n  ... and ${problems.length - 10} more` : '';
+    super(problems.length > 0 ? `${message}:\n  ${details}${more}` : message);
+    this.name = 'DataWriteError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Validate and atomically write a JSON file
+ * @param {string} filePath - Target file
+ * @param {Object} data - Data to write
+ * @param {Object} options - Write options
+ * @param {Function} [options.validate] - (data) => Array of problems; any problem aborts the write
+ * @param {Function} [options.countPapers] - (data) => paper count, enables the drop guard
+ * @param {number} [options.maxDropPercent] - Largest allowed drop versus the file being replaced
+ * @returns {Promise<string>} The JSON text written
+ * @throws {DataWriteError} If validation or the drop guard fails
+ */
+export async function writeJsonAtomic(filePath, data, options = {}) {
+  const {
+    validate = null,
+    countPapers = null,
+    maxDropPercent = DEFAULT_MAX_DROP_PERCENT
+  } = options;
+
+  const name = path.basename(filePath);
+
+  if (validate) {
+    const problems = validate(data);
+    if (problems.length > 0) {
+      throw new DataWriteError(`Refusing to write invalid ${name}`, problems);
+    }
+  }
+
+  if (countPapers) {
+    const previous = await readJsonIfExists(filePath);
+    if (previous) {
+      checkPaperDrop(name, countPapers(previous), countPapers(data), maxDropPercent);
+    }
+  }
+
+  const tempPath = path.join(path.dirname(filePath), `.${name}.${process.pid}.tmp`);
+  const json = JSON.stringify(data, null, 2);
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  try {
+    const handle = await fs.open(tempPath, 'w');
+    try {
+      await handle.writeFile(json);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    // Make sure what landed on disk parses before it replaces the live file
+    JSON.parse(await fs.readFile(tempPath, 'utf-8'));
+
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+
+  return json;
+}
+
+/**
+ * Refuse a save that would drop too many papers
+ * @param {string} name - File name, for the error message
+ * @param {number} previousCount - Papers in the file being replaced
+ * @param {number} nextCount - Papers in the new data
+ * @param {number} maxDropPercent - Largest allowed drop in percent
+ * @throws {DataWriteError} If the drop is larger than allowed
+ */
+export function checkPaperDrop(name, previousCount, nextCount, maxDropPercent) {
+  if (!previousCount || nextCount >= previousCount) return;
+
+  const dropPercent = (previousCount - nextCount) / previousCount * 100;
+  if (dropPercent > maxDropPercent) {
+    throw new DataWriteError(
+      `Refusing to write ${name}: paper count would drop from ${previousCount} to ${nextCount} ` +
+      `(${dropPercent.toFixed(1)}%, limit ${maxDropPercent}%). Re-run with --max-drop=<percent> if this is intended`
+    );
+  }
+}
+
+async function readJsonIfExists(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    // An unreadable existing file is exactly what this module replaces; don't block on it
+    if (error instanceof SyntaxError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+export default writeJsonAtomic;
@@ -0,0 +1,172 @@
+/**
+ * HTTP Transport for the arXiv client
+ * Live requests, or recording/replaying responses from a fixtures directory
+ *
+ * Fixtures are keyed by a normalized URL (API host dropped, parameters sorted,
+ * whitespace collapsed) so recordings replay no matter which API base served them.
+ * Each fixture file holds every response seen for its URL, in order, so a
+ * replay reproduces retries (e.g. a 503 followed by a 200) exactly.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import fetch from 'node-fetch';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const TRANSPORT_MODES = ['live', 'record', 'replay'];
+export const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'arxiv');
+
+/**
+ * Create a transport function
+ * @param {Object} options - Transport options
+ * @param {string} [options.mode='live'] - 'live', 'record' or 'replay'
+ * @param {string} [options.fixturesDir] - Directory for recorded responses
+ * @returns {Function} async (url) => Response-like {ok, status, statusText, headers.get(), text()}
+ */
+export function createTransport(options = {}) {
+  const {
+    mode = 'live',
+    fixturesDir = DEFAULT_FIXTURES_DIR
+  } = options;
+
+  if (!TRANSPORT_MODES.includes(mode)) {
+    throw new Error(`Unknown transport mode "${mode}" (expected ${TRANSPORT_MODES.join(', ')})`);
+  }
+
+  let transport;
+
+  if (mode === 'live') {
+    transport = url => fetch(url);
+  } else if (mode === 'record') {
+    const recordedKeys = new Set();
+
+    transport = async (url) => {
+      const response = await fetch(url);
+      const body = await response.text();
+      const recorded = {
+        status: response.status,
+        statusText: response.statusText,
+        headers: {
+          'content-type': response.headers.get('content-type'),
+          'retry-after': response.headers.get('retry-after')
+        },
+        body
+      };
+
+      // The first response for a URL in this session replaces any older recording
+      const { key } = fixturePath(fixturesDir, url);
+      appendFixture(fixturesDir, url, recorded, !recordedKeys.has(key));
+      recordedKeys.add(key);
+
+      return toResponse(recorded);
+    };
+  } else {
+    const served = new Map();
+
+    transport = async (url) => {
+      const fixture = readFixture(fixturesDir, url);
+
+      if (!fixture) {
+        throw new Error(`No recorded response for ${normalizeUrl(url)} in ${fixturesDir}`);
+      }
+
+      // Serve recordings in order, then keep repeating the last one
+      const count = served.get(fixture.key) || 0;
+      served.set(fixture.key, count + 1);
+
+      return toResponse(fixture.responses[Math.min(count, fixture.responses.length - 1)]);
+    };
+  }
+
+  transport.mode = mode;
+  transport.fixturesDir = fixturesDir;
+  return transport;
+}
+
+/**
+ * Create the transport configured by ARXIV_TRANSPORT and ARXIV_FIXTURES_DIR
+ * @returns {Function} Transport function
+ */
+export function createTransportFromEnv() {
+  return createTransport({
+    mode: process.env.ARXIV_TRANSPORT || 'live',
+    fixturesDir: process.env.ARXIV_FIXTURES_DIR
+      ? path.resolve(process.env.ARXIV_FIXTURES_DIR)
+      : DEFAULT_FIXTURES_DIR
+  });
+}
+
+/**
+ * Normalize an API URL for use as a fixture key
+ * @param {string} url - Full API URL
+ * @returns {string} Path plus sorted, whitespace-normalized query parameters
+ */
+export function normalizeUrl(url) {
+  const parsed = new URL(url);
+  const params = [...parsed.searchParams.entries()]
+    .map(([key, value]) => [key, value.replace(/\s+/g, ' ').trim()])
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const query = new URLSearchParams(params).toString();
+  return `${parsed.pathname}?${query}`;
+}
+
+/**
+ * Get the fixture file path for a URL
+ * @param {string} fixturesDir - Fixtures directory
+ * @param {string} url - Full API URL
+ * @returns {Object} {key, filePath}
+ */
+function fixturePath(fixturesDir, url) {
+  const key = normalizeUrl(url);
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+  return { key, filePath: path.join(fixturesDir, `${hash}.json`) };
+}
+
+function readFixture(fixturesDir, url) {
+  const { filePath } = fixturePath(fixturesDir, url);
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function appendFixture(fixturesDir, url, recorded, replace) {
+  const { key, filePath } = fixturePath(fixturesDir, url);
+  const existing = replace ? null : readFixture(fixturesDir, url);
+
+  fs.mkdirSync(fixturesDir, { recursive: true });
+
+  const fixture = existing || { key, responses: [] };
+  fixture.responses.push({ ...recorded, recordedAt: new Date().toISOString() });
+
+  fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2));
+}
+
+/**
+ * Wrap a recorded response in the subset of the fetch Response API the client uses
+ * @param {Object} recorded - {status, statusText, headers, body}
+ * @returns {Object} Response-like object
+ */
+function toResponse(recorded) {
+  return {
+    ok: recorded.status >= 200 && recorded.status < 300,
+    status: recorded.status,
+    statusText: recorded.statusText,
+    headers: {
+      get: name => recorded.headers[name.toLowerCase()] ?? null
+    },
+    text: async () => recorded.body
+  };
+}
+
+export default createTransport;
@@ -3,6 +3,7 @@
  */
 
 import { XMLParser } from 'fast-xml-parser';
+import { parseArxivId, arxivAbsUrl } from '../../shared/arxiv-id.js';
 
 const parser = new XMLParser({
   ignoreAttributes: false,
@@ -15,7 +16,8 @@ const parser = new XMLParser({
 /**
  * Parse arXiv Atom XML response
  * @param {string} xmlData - Raw XML string from arXiv API
- * @returns {Object} Parsed data with entries and metadata
+ * @returns {Object} Parsed data with entries and metadata; skipped lists entries that
+ *   could not be parsed as {id, error}
  */
 export function parseArxivXML(xmlData) {
   try {
@@ -35,16 +37,28 @@ export function parseArxivXML(xmlData) {
       entries = [entries];
     }
 
-    // Parse total results from OpenSearch
-    const totalResults = feed['opensearch:totalResults'] || 0;
-    const startIndex = feed['opensearch:startIndex'] || 0;
-    const itemsPerPage = feed['opensearch:itemsPerPage'] || 0;
+    // Parse total results from OpenSearch (elements may carry an xmlns attribute)
+    const totalResults = elementText(feed['opensearch:totalResults']) || 0;
+    const startIndex = elementText(feed['opensearch:startIndex']) || 0;
+    const itemsPerPage = elementText(feed['opensearch:itemsPerPage']) || 0;
+
+    // One malformed entry shouldn't cost the rest of the page
+    const parsedEntries = [];
+    const skipped = [];
+    for (const entry of entries) {
+      try {
+        parsedEntries.push(parseEntry(entry));
+      } catch (error) {
+        skipped.push({ id: elementText(entry?.id) ?? null, error: error.message });
+      }
+    }
 
     return {
       totalResults: parseInt(totalResults),
       startIndex: parseInt(startIndex),
       itemsPerPage: parseInt(itemsPerPage),
-      entries: entries.map(parseEntry)
+      entries: parsedEntries,
+      skipped
     };
   } catch (error) {
     throw new Error(`XML parsing failed: ${error.message}`);
@@ -57,8 +71,8 @@ export function parseArxivXML(xmlData) {
  * @returns {Object} Formatted paper object
  */
 function parseEntry(entry) {
-  // Extract arXiv ID from the id URL
-  const arxivId = extractArxivId(entry.id);
+  // Extract arXiv ID and version from the id URL
+  const { id: arxivId, version } = extractArxivId(entry.id);
 
   // Handle authors (can be single object or array)
   let authors = entry.author;
@@ -89,10 +103,11 @@ function parseEntry(entry) {
   }
 
   // Extract arXiv page link
-  const arxivUrl = `https://arxiv.org/abs/${arxivId}`;
+  const arxivUrl = arxivAbsUrl(arxivId);
 
   return {
     id: arxivId,
+    version,
     title: cleanText(entry.title),
     authors,
     abstract: cleanText(entry.summary),
@@ -109,18 +124,27 @@ function parseEntry(entry) {
 }
 
 /**
- * Extract arXiv ID from full URL
+ * Extract arXiv ID and version from full URL
  * @param {string} url - Full arXiv URL
- * @returns {string} arXiv ID (e.g., "2301.12345")
+ * @returns {Object} {id, version}, e.g. {id: "2301.12345", version: 2} or {id: "hep-th/9901001", version: 1}
  */
 function extractArxivId(url) {
-  const match = url.match(/(\d{4}\.\d{4,5})(v\d+)?$/);
-  if (match) {
-    return match[1];
+  const parsed = parseArxivId(String(url ?? ''));
+  if (parsed) {
+    return parsed;
   }
   throw new Error(`Failed to extract arXiv ID from: ${url}`);
 }
 
+/**
+ * Get the text of an element that may have been parsed with attributes
+ * @param {*} value - Parsed element (primitive or {'#text': ...})
+ * @returns {*} Element text
+ */
+function elementText(value) {
+  return typeof value === 'object' && value !== null ? value['#text'] : value;
+}
+
 /**
  * Clean text by removing extra whitespace and newlines
  * @param {string} text - Text to clean
@@ -0,0 +1,634 @@
+/**
+ * Validate Data
+ * Checks every file in public/data against the schemas in schemas/ and for
+ * cross-file problems: unknown category IDs, papers in the wrong monthly shard,
+ * papers stored more than once, a shard manifest that doesn't match the shards,
+ * category overrides for papers or categories that don't exist,
+ * a changelog index that doesn't match the changelog files and index entries the
+ * site would categorize differently from the stored papers. It also warns about
+ * stored categories that categories.json no longer gives.
+ *
+ * Usage:
+ *   npm run validate-data            # report problems, exit 1 if any
+ *   npm run validate-data -- --fix   # also repair the safe ones
+ *
+ * --fix only makes changes that can't lose information: migrations to the current
+ * schema version and shard layout, `month` and `count` fields, versioned IDs split
+ * into id + version, missing updatedDate, papers moved to the shard for the month
+ * they were published in, duplicates merged and the manifest and changelog index rebuilt.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import {
+  validateShardFile,
+  validateManifestFile,
+  validateIndexFile,
+  validateCategoriesFile,
+  validateBlocklistFile,
+  validateCoverageFile,
+  validateOverridesFile,
+  validateChangelogFile,
+  validateChangelogIndexFile,
+  validateRunFile
+} from './utils/data-validation.js';
+import { validateQueryRegistry } from './utils/query-registry.js';
+import { mergePapers } from './utils/deduplicator.js';
+import { writeJsonAtomic } from './utils/safe-write.js';
+import { migrateData, MigrationError, SCHEMA_VERSION } from './utils/migrations.js';
+import DataStore, { hashContent } from './utils/data-store.js';
+import { changelogDir, rebuildChangelogIndex, summarizeChangelogDay } from './utils/changelog.js';
+import { parseArxivId, normalizeArxivId } from '../shared/arxiv-id.js';
+import { categoryFields } from '../shared/categorizer.js';
+import { recategorizePaper } from './recategorize.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '..', 'public', 'data');
+const PAPERS_DIR = path.join(DATA_DIR, 'papers');
+
+/**
+ * Read a JSON file
+ * @param {string} filePath - File to read
+ * @returns {Promise<Object>} {data, text} or {missing: true} or {error}
+ */
+async function readJson(filePath) {
+  try {
+    const text = await fs.readFile(filePath, 'utf-8');
+    return { data: JSON.parse(text), text };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { missing: true };
+    }
+    return { error: error.message };
+  }
+}
+
+/**
+ * Migrate a file read by readJson to the current schema version
+ * @param {string} kind - One of FILE_KINDS in utils/migrations.js
+ * @param {Object} result - readJson result
+ * @param {string} label - File name for messages
+ * @returns {Object} {data, text, error, missing, outdatedFrom} where outdatedFrom is
+ *   the file's schema version if it needed migrating, otherwise null
+ */
+function migrateLoaded(kind, result, label) {
+  if (!result.data) {
+    return { ...result, outdatedFrom: null };
+  }
+
+  try {
+    const { data, from, applied } = migrateData(kind, result.data, { label });
+    return { data, text: result.text, outdatedFrom: applied.length > 0 ? from : null };
+  } catch (error) {
+    if (!(error instanceof MigrationError)) throw error;
+    return { data: null, error: error.message, outdatedFrom: null };
+  }
+}
+
+/**
+ * Describe a file that needs migrating
+ * @param {number} from - Its schema version
+ * @returns {string} Problem message
+ */
+function outdatedProblem(from) {
+  return `schema version ${from} is out of date (run npm run migrate-data)`;
+}
+
+/**
+ * Load every monthly shard, migrated to the current schema version
+ * @returns {Promise<Array>} [{file, month, data, text, error, outdatedFrom}] with file
+ *   relative to papers/ ('2026/2026-01.json') and month taken from the file name
+ */
+async function loadShardFiles() {
+  let years = [];
+  try {
+    years = (await fs.readdir(PAPERS_DIR)).filter(f => /^\d{4}$/.test(f)).sort();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const shardFiles = [];
+  for (const year of years) {
+    const files = (await fs.readdir(path.join(PAPERS_DIR, year))).filter(f => f.endsWith('.json')).sort();
+
+    for (const name of files) {
+      const file = `${year}/${name}`;
+      const result = migrateLoaded('shard', await readJson(path.join(PAPERS_DIR, year, name)), `papers/${file}`);
+      shardFiles.push({
+        file,
+        month: path.basename(name, '.json'),
+        data: result.data ?? null,
+        text: result.text ?? null,
+        error: result.error ?? null,
+        outdatedFrom: result.outdatedFrom
+      });
+    }
+  }
+  return shardFiles;
+}
+
+/**
+ * Apply the safe fixes to the shards in memory
+ * @param {Array} shardFiles - Loaded shards
+ * @returns {Object} {fixes: Array<string>, papersByMonth: Map} descriptions, and the
+ *   papers for every month whose shard must be rewritten (empty to remove it)
+ */
+function fixShards(shardFiles) {
+  const fixes = [];
+  const changed = new Set();
+  const placed = new Map();
+  const counts = new Map();
+
+  for (const { data, file, month, outdatedFrom } of shardFiles) {
+    if (!data || !Array.isArray(data.papers) || !/^\d{4}-\d{2}$/.test(month)) continue;
+
+    counts.set(month, data.count);
+
+    if (outdatedFrom !== null) {
+      fixes.push(`${file}: migrated from schema version ${outdatedFrom}`);
+      changed.add(month);
+    }
+    if (data.month !== month) {
+      fixes.push(`${file}: month ${JSON.stringify(data.month)} → "${month}"`);
+      changed.add(month);
+    }
+
+    for (const paper of data.papers) {
+      const parsed = parseArxivId(paper.id);
+      if (parsed && parsed.id !== paper.id) {
+        fixes.push(`${file}: id ${paper.id} → ${parsed.id}`);
+        paper.id = parsed.id;
+        if (parsed.version && !paper.version) {
+          paper.version = parsed.version;
+        }
+        changed.add(month);
+      }
+      if (!paper.updatedDate && paper.publishedDate) {
+        paper.updatedDate = paper.publishedDate;
+        fixes.push(`${file}: ${paper.id} updatedDate set to publishedDate`);
+        changed.add(month);
+      }
+
+      // Move papers to the shard for the month they were published in
+      const publishedMonth = typeof paper.publishedDate === 'string' ? paper.publishedDate.substring(0, 7) : '';
+      const targetMonth = /^\d{4}-\d{2}$/.test(publishedMonth) ? publishedMonth : month;
+
+      if (targetMonth !== month) {
+        fixes.push(`${file}: moved ${paper.id} to ${targetMonth}.json`);
+        changed.add(month);
+        changed.add(targetMonth);
+      }
+
+      if (!placed.has(targetMonth)) placed.set(targetMonth, []);
+      placed.get(targetMonth).push(paper);
+    }
+  }
+
+  const papersByMonth = new Map();
+
+  for (const [month, papers] of placed) {
+    const { merged } = mergePapers([], papers);
+    if (merged.length < papers.length) {
+      fixes.push(`${month}.json: merged ${papers.length - merged.length} duplicate paper(s)`);
+      changed.add(month);
+    }
+    if (counts.has(month) && counts.get(month) !== merged.length && !changed.has(month)) {
+      fixes.push(`${month}.json: count ${counts.get(month)} → ${merged.length}`);
+      changed.add(month);
+    }
+    if (changed.has(month)) {
+      papersByMonth.set(month, merged);
+    }
+  }
+
+  // Shards everything was moved out of
+  for (const month of changed) {
+    if (!papersByMonth.has(month)) {
+      papersByMonth.set(month, []);
+    }
+  }
+
+  return { fixes, papersByMonth };
+}
+
+/**
+ * Compare the manifest with the shard files on disk
+ * @param {Object} manifest - migrateLoaded result for manifest.json
+ * @param {Array} shardFiles - Loaded shards
+ * @returns {Array<string>} Problems
+ */
+function checkManifest(manifest, shardFiles) {
+  if (manifest.missing) {
+    return shardFiles.length > 0 ? ['missing (run npm run validate-data -- --fix to rebuild it)'] : [];
+  }
+  if (!manifest.data) {
+    return [manifest.error];
+  }
+
+  const problems = validateManifestFile(manifest.data);
+  if (manifest.outdatedFrom !== null) {
+    problems.unshift(outdatedProblem(manifest.outdatedFrom));
+  }
+  if (!Array.isArray(manifest.data.shards)) {
+    return problems;
+  }
+
+  const byFile = new Map(shardFiles.map(shard => [shard.file, shard]));
+
+  for (const entry of manifest.data.shards) {
+    const shard = byFile.get(entry.path);
+    if (!shard) {
+      problems.push(`Shard ${entry.month}: ${entry.path} does not exist`);
+      continue;
+    }
+    byFile.delete(entry.path);
+
+    if (shard.month !== entry.month) {
+      problems.push(`Shard ${entry.month}: path ${entry.path} is for ${shard.month}`);
+    }
+    if (Array.isArray(shard.data?.papers) && shard.data.papers.length !== entry.count) {
+      problems.push(`Shard ${entry.month}: count is ${entry.count} but the shard has ${shard.data.papers.length} papers`);
+    }
+    if (shard.text !== null && hashContent(shard.text) !== entry.sha256) {
+      problems.push(`Shard ${entry.month}: sha256 doesn't match (the shard was edited without updating the manifest)`);
+    }
+  }
+
+  for (const file of byFile.keys()) {
+    problems.push(`${file} is not listed`);
+  }
+
+  return problems;
+}
+
+/**
+ * Find problems across shards that no single schema can see
+ * @param {Array} shardFiles - Loaded shards
+ * @param {Set<string>|null} categoryIds - Known category IDs (null if categories.json is unusable)
+ * @returns {Array<string>} Problems
+ */
+function checkCrossFile(shardFiles, categoryIds) {
+  const problems = [];
+  const seenIn = new Map();
+
+  for (const { file, data } of shardFiles) {
+    if (!Array.isArray(data?.papers)) continue;
+
+    for (const paper of data.papers) {
+      if (categoryIds) {
+        const unknown = (paper.categories || []).filter(id => !categoryIds.has(id));
+        if (unknown.length > 0) {
+          problems.push(`${file}: Paper ${paper.id}: unknown category ${unknown.join(', ')}`);
+        }
+      }
+
+      if (paper.id && seenIn.has(paper.id) && seenIn.get(paper.id) !== file) {
+        problems.push(`${file}: Paper ${paper.id}: also stored in ${seenIn.get(paper.id)}`);
+      }
+      seenIn.set(paper.id, file);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check that overrides name stored papers and known categories
+ * @param {Array} overrides - Entries of a schema-valid overrides.json
+ * @param {Array} shardFiles - Loaded shards
+ * @param {Set<string>|null} categoryIds - Known category IDs (null if categories.json is unusable)
+ * @returns {Array<string>} Problems
+ */
+function checkOverrides(overrides, shardFiles, categoryIds) {
+  const problems = [];
+  const storedIds = new Set(shardFiles.flatMap(({ data }) =>
+    Array.isArray(data?.papers) ? data.papers.map(p => normalizeArxivId(p.id)) : []));
+
+  for (const override of overrides) {
+    if (!storedIds.has(override.id)) {
+      problems.push(`Override ${override.id}: no stored paper with this ID`);
+    }
+    if (categoryIds) {
+      const unknown = [...(override.add || []), ...(override.remove || [])].filter(id => !categoryIds.has(id));
+      if (unknown.length > 0) {
+        problems.push(`Override ${override.id}: unknown category ${unknown.join(', ')}`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Run every stored paper through the categorizer (shared/categorizer.js). The site
+ * categorizes index entries with the same code, so an entry that comes out differently
+ * from its stored paper means the index is missing an input and the browser would
+ * disagree with the pipeline. Stored categories that differ from today's result are
+ * only drift: categories.json changed since the paper was categorized.
+ * @param {Array} shardFiles - Loaded shards
+ * @param {Array} categories - Category definitions
+ * @param {Array|null} indexPapers - Entries in index.json, if there is one
+ * @returns {Object} {problems, drift: {papers, added: {id: count}, removed: {id: count}, rescored}}
+ */
+function checkCategorization(shardFiles, categories, indexPapers) {
+  const problems = [];
+  const drift = { papers: 0, added: {}, removed: {}, rescored: 0 };
+  const stored = new Map();
+
+  for (const { data } of shardFiles) {
+    if (!Array.isArray(data?.papers)) continue;
+
+    for (const paper of data.papers) {
+      stored.set(normalizeArxivId(paper.id), categoryFields(paper, categories));
+
+      // What npm run recategorize would store: today's categories plus tags.manual
+      const fields = recategorizePaper(paper, categories);
+      const before = paper.categories || [];
+      const added = fields.categories.filter(id => !before.includes(id));
+      const removed = before.filter(id => !fields.categories.includes(id));
+
+      if (added.length > 0 || removed.length > 0) {
+        drift.papers++;
+        added.forEach(id => { drift.added[id] = (drift.added[id] || 0) + 1; });
+        removed.forEach(id => { drift.removed[id] = (drift.removed[id] || 0) + 1; });
+      } else if (JSON.stringify(before) !== JSON.stringify(fields.categories) ||
+        JSON.stringify(paper.categoryScores) !== JSON.stringify(fields.categoryScores)) {
+        drift.rescored++;
+      }
+    }
+  }
+
+  for (const entry of indexPapers || []) {
+    const expected = stored.get(entry.id);
+    if (!expected) continue;
+
+    const actual = categoryFields(entry, categories);
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      problems.push(`Paper ${entry.id}: categorized as [${actual.categories.join(', ')}] from its index entry ` +
+        `but [${expected.categories.join(', ')}] from its shard (run npm run build-index)`);
+    }
+  }
+
+  return { problems, drift };
+}
+
+/**
+ * Print how far stored categories have drifted from categories.json
+ * @param {Object} drift - From checkCategorization
+ */
+function logCategoryDrift(drift) {
+  if (drift.papers === 0 && drift.rescored === 0) {
+    console.log(`${chalk.green('✓')} stored categories match categories.json`);
+    return;
+  }
+
+  if (drift.papers > 0) {
+    const changes = [...new Set([...Object.keys(drift.added), ...Object.keys(drift.removed)])].sort()
+      .map(id => `${id} ${drift.added[id] ? `+${drift.added[id]}` : ''}${drift.removed[id] ? `-${drift.removed[id]}` : ''}`);
+    console.log(chalk.yellow(`⚠ ${drift.papers} papers are stored with categories categories.json no longer gives them (${changes.join(', ')})`));
+  }
+  if (drift.rescored > 0) {
+    console.log(chalk.yellow(`⚠ ${drift.rescored} papers are stored with out-of-date category scores or order`));
+  }
+  console.log(chalk.gray('  Papers keep their categories until they are categorized again (npm run recategorize).'));
+}
+
+/**
+ * Validate the changelog day files and compare changelog/index.json with them
+ * @param {Function} report - (file, problems) reporter from validateData
+ * @param {Object} options - {fix: rebuild the index if it doesn't match}
+ * @returns {Promise<Array<string>>} Descriptions of the fixes applied
+ */
+async function checkChangelog(report, options = {}) {
+  const dir = changelogDir(DATA_DIR);
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter(f => f.endsWith('.json') && f !== 'index.json').sort().reverse();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const summaries = [];
+  for (const file of files) {
+    const result = await readJson(path.join(dir, file));
+    const fileProblems = result.data ? validateChangelogFile(result.data) : [result.error];
+    if (!/^\d{4}-\d{2}-\d{2}\.json$/.test(file)) {
+      fileProblems.push(`${file} is not a changelog file name (expected YYYY-MM-DD.json)`);
+    } else if (result.data?.date && `${result.data.date}.json` !== file) {
+      fileProblems.push(`date is "${result.data.date}" but the file is ${file}`);
+    }
+    if (fileProblems.length === 0) {
+      summaries.push(summarizeChangelogDay(result.data));
+    }
+    report(`changelog/${file}`, fileProblems);
+  }
+
+  const index = await readJson(path.join(dir, 'index.json'));
+  const indexProblems = index.data ? validateChangelogIndexFile(index.data) : [index.missing ? 'missing' : index.error];
+  if (index.data && JSON.stringify(index.data.days) !== JSON.stringify(summaries)) {
+    indexProblems.push("days don't match the changelog files");
+  }
+
+  if (indexProblems.length > 0 && options.fix) {
+    await rebuildChangelogIndex({ dataDir: DATA_DIR });
+    report('changelog/index.json', []);
+    return ['changelog/index.json: rebuilt from the day files'];
+  }
+
+  report('changelog/index.json', indexProblems);
+  return [];
+}
+
+/**
+ * Validate every data file
+ * @param {Object} options - {fix: repair safe problems}
+ * @returns {Promise<number>} Number of problems remaining
+ */
+export async function validateData(options = {}) {
+  const { fix = false } = options;
+  const problems = [];
+  const report = (file, fileProblems) => {
+    fileProblems.forEach(problem => problems.push(`${file}: ${problem}`));
+    const status = fileProblems.length === 0 ? chalk.green('✓') : chalk.red('✗');
+    console.log(`${status} ${file}${fileProblems.length > 0 ? chalk.red(` (${fileProblems.length} problems)`) : ''}`);
+  };
+
+  console.log(chalk.bold.cyan('\nValidating public/data\n'));
+
+  // Categories, blocklist and queries
+  const categoriesPath = path.join(DATA_DIR, 'categories.json');
+  const categories = migrateLoaded('categories', await readJson(categoriesPath), 'categories.json');
+  const categoryProblems = categories.data ? validateCategoriesFile(categories.data) : [categories.error || 'file is missing'];
+  if (categories.outdatedFrom !== null && fix && categoryProblems.length === 0) {
+    await writeJsonAtomic(categoriesPath, categories.data);
+    console.log(chalk.yellow(`Migrated categories.json from schema version ${categories.outdatedFrom}`));
+  } else if (categories.outdatedFrom !== null) {
+    categoryProblems.unshift(outdatedProblem(categories.outdatedFrom));
+  }
+  report('categories.json', categoryProblems);
+  const categoryIds = Array.isArray(categories.data?.categories)
+    ? new Set(categories.data.categories.map(c => c.id))
+    : null;
+
+  const blocklist = await readJson(path.join(DATA_DIR, 'blocklist.json'));
+  if (!blocklist.missing) {
+    report('blocklist.json', blocklist.data ? validateBlocklistFile(blocklist.data) : [blocklist.error]);
+  }
+
+  const overrides = await readJson(path.join(DATA_DIR, 'overrides.json'));
+  const overrideProblems = overrides.missing ? [] : overrides.data ? validateOverridesFile(overrides.data) : [overrides.error];
+
+  const queries = await readJson(path.join(DATA_DIR, 'queries.json'));
+  report('queries.json', queries.data ? validateQueryRegistry(queries.data) : [queries.error || 'file is missing']);
+
+  // Paper shards and their manifest
+  const store = new DataStore({ dataDir: DATA_DIR });
+  const manifestPath = path.join(PAPERS_DIR, 'manifest.json');
+
+  if (fix) {
+    const fixes = [];
+
+    // Moving papers between shards shrinks the source shard on purpose
+    for (const { year, months } of await store.convertLegacyLayout({ maxDropPercent: 100 })) {
+      fixes.push(`${year}.json: split into monthly shards (${months} written)`);
+    }
+
+    const shardFiles = await loadShardFiles();
+    const shardFixes = fixShards(shardFiles);
+    fixes.push(...shardFixes.fixes);
+
+    for (const [month, papers] of shardFixes.papersByMonth) {
+      const filePath = store.shardPath(month);
+
+      if (papers.length === 0) {
+        await fs.rm(filePath, { force: true });
+        fixes.push(`${month}.json: removed (no papers left)`);
+        continue;
+      }
+
+      const data = { schemaVersion: SCHEMA_VERSION, month, count: papers.length, papers };
+      await writeJsonAtomic(filePath, data, { validate: () => [], maxDropPercent: 100 });
+    }
+
+    const manifest = migrateLoaded('manifest', await readJson(manifestPath), 'papers/manifest.json');
+    if (shardFixes.papersByMonth.size > 0 || checkManifest(manifest, shardFiles).length > 0) {
+      await store.rebuildManifest({ maxDropPercent: 100 });
+      fixes.push('manifest.json: rebuilt from the shards');
+    }
+
+    if (fixes.length > 0) {
+      console.log(chalk.yellow(`\nApplied ${fixes.length} fixes:`));
+      fixes.forEach(description => console.log(chalk.yellow(`  ${description}`)));
+      console.log();
+    }
+  }
+
+  for (const year of await store.listLegacyYears()) {
+    report(`papers/${year}.json`, ['old one-file-per-year layout (run npm run migrate-data to split it into monthly shards)']);
+  }
+
+  const shardFiles = await loadShardFiles();
+
+  for (const { file, month, data, error, outdatedFrom } of shardFiles) {
+    const fileProblems = data ? validateShardFile(data) : [error];
+    if (outdatedFrom !== null) {
+      fileProblems.unshift(outdatedProblem(outdatedFrom));
+    }
+    if (!/^\d{4}-\d{2}$/.test(month) || !file.startsWith(`${month.substring(0, 4)}/`)) {
+      fileProblems.push(`${file} is not a shard file name (expected YYYY/YYYY-MM.json)`);
+    } else if (typeof data?.month === 'string' && data.month !== month) {
+      fileProblems.push(`month is "${data.month}" but the file is ${file}`);
+    }
+    report(`papers/${file}`, fileProblems);
+  }
+
+  const manifest = migrateLoaded('manifest', await readJson(manifestPath), 'papers/manifest.json');
+  if (!manifest.missing || shardFiles.length > 0) {
+    report('papers/manifest.json', checkManifest(manifest, shardFiles));
+  }
+
+  if (!overrides.missing) {
+    if (overrideProblems.length === 0) {
+      overrideProblems.push(...checkOverrides(overrides.data.overrides, shardFiles, categoryIds));
+    }
+    report('overrides.json', overrideProblems);
+  }
+
+  const crossFileProblems = checkCrossFile(shardFiles, categoryIds);
+  crossFileProblems.forEach(problem => problems.push(`papers/${problem}`));
+  if (crossFileProblems.length > 0) {
+    console.log(chalk.red(`✗ ${crossFileProblems.length} problems across shards`));
+  }
+
+  // Generated index (optional)
+  const index = migrateLoaded('index', await readJson(path.join(DATA_DIR, 'index.json')), 'index.json');
+  if (!index.missing) {
+    const indexProblems = index.data ? validateIndexFile(index.data) : [index.error];
+    if (index.outdatedFrom !== null) {
+      indexProblems.unshift(`schema version ${index.outdatedFrom} is out of date (run npm run build-index)`);
+    }
+    report('index.json', indexProblems);
+  }
+
+  // Categories the site would show versus the stored ones
+  if (categoryProblems.length === 0 && categoryIds) {
+    const indexPapers = Array.isArray(index.data?.papers) ? index.data.papers : null;
+    const categorization = checkCategorization(shardFiles, categories.data.categories, indexPapers);
+    categorization.problems.forEach(problem => problems.push(`index.json: ${problem}`));
+    if (categorization.problems.length > 0) {
+      console.log(chalk.red(`✗ ${categorization.problems.length} index entries categorized differently from their shards`));
+    }
+    logCategoryDrift(categorization.drift);
+  }
+
+  // Changelog of update runs (optional)
+  const changelogFixes = await checkChangelog(report, { fix });
+  changelogFixes.forEach(description => console.log(chalk.yellow(`Applied fix: ${description}`)));
+
+  // Coverage of the last full run (optional)
+  const coverage = await readJson(path.join(DATA_DIR, 'coverage.json'));
+  if (!coverage.missing) {
+    report('coverage.json', coverage.data ? validateCoverageFile(coverage.data) : [coverage.error]);
+  }
+
+  // Report of the last update run (optional)
+  const runReport = await readJson(path.join(DATA_DIR, 'runs', 'latest.json'));
+  if (!runReport.missing) {
+    report('runs/latest.json', runReport.data ? validateRunFile(runReport.data) : [runReport.error]);
+  }
+
+  if (problems.length > 0) {
+    console.log(chalk.red(`\n✗ ${problems.length} problems found:`));
+    problems.slice(0, 50).forEach(problem => console.log(chalk.red(`  ${problem}`)));
+    if (problems.length > 50) {
+      console.log(chalk.red(`  ... and ${problems.length - 50} more`));
+    }
+    if (!fix) {
+      console.log(chalk.gray('\nRun with --fix to repair safe problems (old schema versions and layout, month/count fields, misplaced and duplicate papers, the manifest, the changelog index).'));
+    }
+    console.log(chalk.gray('Unknown category IDs are fixed by npm run recategorize.\n'));
+  } else {
+    console.log(chalk.bold.green('\n✓ All data files are valid\n'));
+  }
+
+  return problems.length;
+}
+
+// If running this script directly
+if (import.meta.url === `file://${process.argv[1]}`.replace(/\\/g, '/')) {
+  validateData({ fix: process.argv.includes('--fix') })
+    .then(count => {
+      if (count > 0) process.exit(1);
+    })
+    .catch(error => {
+      console.error(chalk.red(`Validation failed: ${error.message}`));
+      process.exit(1);
+    });
+}
+
+export default validateData;
@@ -0,0 +1,73 @@
+/**
+ * arXiv Identifiers
+ * Parses and normalizes both arXiv ID schemes. Shared by the scripts and the site.
+ *
+ *   New style (2007+):  2301.12345, 0704.0001, optionally with a version (2301.12345v2)
+ *   Old style (-2007):  hep-th/9901001, cs/0112017, math.GT/0309136 (subject class is dropped)
+ *
+ * Accepts bare IDs, "arXiv:" prefixes and abs/pdf URLs.
+ */
+
+const NEW_STYLE = /^(\d{4}\.\d{4,5})(?:v(\d+))?$/;
+const OLD_STYLE = /^([a-z]+(?:-[a-z]+)*)(?:\.[a-z]{2})?\/(\d{7})(?:v(\d+))?$/i;
+
+/**
+ * Parse an arXiv identifier
+ * @param {string} input - ID, "arXiv:" ID, or arxiv.org abs/pdf URL
+ * @returns {Object|null} {id, version} with the canonical unversioned id and the
+ *   version number (null if none was given), or null if input is not an arXiv ID
+ */
+export function parseArxivId(input) {
+  if (typeof input !== 'string') return null;
+
+  let value = input.trim();
+
+  const urlMatch = value.match(/arxiv\.org\/(?:abs|pdf)\/(.+?)(?:\.pdf)?\/?(?:[?#].*)?$/i);
+  if (urlMatch) {
+    value = urlMatch[1];
+  }
+  value = value.replace(/^arxiv:/i, '');
+
+  let match = value.match(NEW_STYLE);
+  if (match) {
+    return { id: match[1], version: match[2] ? parseInt(match[2], 10) : null };
+  }
+
+  match = value.match(OLD_STYLE);
+  if (match) {
+    return { id: `${match[1].toLowerCase()}/${match[2]}`, version: match[3] ? parseInt(match[3], 10) : null };
+  }
+
+  return null;
+}
+
+/**
+ * Get the canonical unversioned form of an ID, for use as a key
+ * @param {string} input - ID in any accepted form
+ * @returns {string} Canonical id, or the trimmed input if it isn't a recognizable arXiv ID
+ */
+export function normalizeArxivId(input) {
+  return parseArxivId(input)?.id ?? String(input ?? '').trim();
+}
+
+/**
+ * Build the abstract page URL
+ * @param {string} id - Canonical id
+ * @param {number|null} [version] - Version to link to (latest if omitted)
+ * @returns {string} URL
+ */
+export function arxivAbsUrl(id, version = null) {
+  return `https://arxiv.org/abs/${id}${version ? `v${version}` : ''}`;
+}
+
+/**
+ * Build the PDF URL
+ * @param {string} id - Canonical id
+ * @param {number|null} [version] - Version to link to (latest if omitted)
+ * @returns {string} URL
+ */
+export function arxivPdfUrl(id, version = null) {
+  return `https://arxiv.org/pdf/${id}${version ? `v${version}` : ''}`;
+}
+
+export default parseArxivId;
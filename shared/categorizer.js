@@ -0,0 +1,116 @@
+/**
+ * Categorizer
+ * Assigns categories to a paper. This is the one implementation behind both the
+ * pipeline (scripts/categorize-papers.js) and the site (recategorizing with a
+ * user's custom keywords and rules), so a paper gets the same categories, in the
+ * same order, wherever it is categorized. test/categorizer.test.js holds both paths
+ * to that on fixture papers, and `npm run validate-data` checks that the index
+ * entries the site categorizes give the same result as the stored papers.
+ *
+ * Scoring per category is in shared/category-scoring.js, rules in
+ * shared/category-rules.js and keyword matching in shared/keyword-matcher.js.
+ */
+
+import { ruleContext, validateRule } from './category-rules.js';
+import { scoreCategory } from './category-scoring.js';
+
+/**
+ * The rule that decides a category, if any
+ * @param {Object} category - Category definition
+ * @param {Object} customRules - User rules by category ID; '' switches a category
+ *   back to its keywords, and user rules that don't parse are ignored
+ * @returns {string} Rule text, or '' to use keywords. A malformed rule from categories.json
+ *   is returned as is and throws when evaluated (npm run validate-data reports those).
+ */
+export function effectiveRule(category, customRules = {}) {
+  const custom = customRules[category.id];
+  if (custom !== undefined && (custom === '' || validateRule(custom).valid)) {
+    return custom;
+  }
+  return category.rule || '';
+}
+
+/**
+ * Categorize a paper
+ * @param {Object} paper - Stored paper or index entry (title, abstract, and comment and
+ *   arxivCategories for rules that use them)
+ * @param {Array} categories - Category definitions
+ * @param {Object} options - {customKeywords: extra keywords by category ID,
+ *   customRules: see effectiveRule, withScores: return [{id, score, confidence}] instead of IDs}
+ * @returns {Array} IDs of the categories the paper is in (or their scores), strongest
+ *   first; ties keep the order of categories
+ */
+export function categorizePaper(paper, categories, options = {}) {
+  const { customKeywords = {}, customRules = {}, withScores = false } = options;
+  const context = ruleContext(paper);
+  const matchedCategories = [];
+
+  for (const category of categories) {
+    const { matched, score, confidence } = scoreCategory(category, context, {
+      extraKeywords: customKeywords[category.id] || [],
+      rule: effectiveRule(category, customRules)
+    });
+
+    if (matched) {
+      matchedCategories.push({ id: category.id, score, confidence });
+    }
+  }
+
+  // Array sort is stable, so equally strong categories keep their order
+  matchedCategories.sort((a, b) => b.confidence - a.confidence);
+  return withScores ? matchedCategories : matchedCategories.map(c => c.id);
+}
+
+/**
+ * Categorize a paper and return the fields that record it
+ * @param {Object} paper - See categorizePaper
+ * @param {Array} categories - Category definitions
+ * @param {Object} options - customKeywords and customRules, see categorizePaper
+ * @returns {Object} {categories: IDs strongest first, categoryScores: {id: confidence}}
+ */
+export function categoryFields(paper, categories, options = {}) {
+  const scores = categorizePaper(paper, categories, { ...options, withScores: true });
+  return {
+    categories: scores.map(c => c.id),
+    categoryScores: Object.fromEntries(scores.map(c => [c.id, c.confidence]))
+  };
+}
+
+/**
+ * Apply a curator's override (data/overrides.json) on top of categorized fields
+ * @param {Object} fields - {categories, categoryScores} from categoryFields or a stored paper
+ * @param {Object|null} override - {add, remove} category IDs
+ * @returns {Object} Fields with the removed categories (and their scores) dropped and the
+ *   added ones appended (without a score)
+ */
+export function applyCategoryOverride(fields, override) {
+  if (!override) return fields;
+
+  const remove = new Set(override.remove || []);
+  const categories = fields.categories.filter(id => !remove.has(id));
+  for (const id of override.add || []) {
+    if (!categories.includes(id)) categories.push(id);
+  }
+
+  return {
+    ...fields,
+    categories,
+    categoryScores: fields.categoryScores &&
+      Object.fromEntries(Object.entries(fields.categoryScores).filter(([id]) => categories.includes(id)))
+  };
+}
+
+/**
+ * Categorize an index entry the way the site does when a user recategorizes: the
+ * categorizer, then the entry's override. With no custom keywords or rules this
+ * gives the categories and scores the index was built with (test/categorizer.test.js).
+ * @param {Object} entry - index.json entry
+ * @param {Array} categories - Category definitions
+ * @param {Object} options - customKeywords and customRules, see categorizePaper
+ * @returns {Object} {categories, categoryScores}
+ */
+export function categorizeIndexEntry(entry, categories, options = {}) {
+  return applyCategoryOverride(categoryFields(entry, categories, options), entry.categoryOverride);
+}
+
+export default categorizePaper;
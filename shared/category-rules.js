@@ -0,0 +1,359 @@
+/**
+ * Category Rules
+ * A small boolean language for the optional `rule` of a category in categories.json,
+ * for definitions a keyword list can't express. Shared by the scripts and the site.
+ *
+ *   multi-agent AND ("language model" OR LLM) AND NOT title:"reinforcement learning"
+ *   title:(agent OR agents) AND arxiv:cs.RO
+ *   2 OF (planning, "task decomposition", "tool use"~2, abstract:subgoal)
+ *
+ * Terms are keywords matched like category keywords (shared/keyword-matcher.js):
+ * whole words, acronyms case-sensitive, phrases in quotes, "a b"~N for proximity.
+ * Without a field a term searches the title and abstract.
+ *
+ * Grammar:
+ *   rule    := andExpr (OR andExpr)*
+ *   andExpr := unary (AND unary)*
+ *   unary   := NOT unary | atom
+ *   atom    := '(' rule ')' | NUMBER OF '(' rule (',' rule)* ')' | [field ':'] (term | '(' rule ')')
+ *   term    := WORD | "PHRASE" ['~' NUMBER]
+ *   field   := title | abstract | comment | arxiv
+ *
+ * Operators are upper case; `arxiv:` takes an arXiv category (cs.RO) or archive (cs).
+ */
+
+import { tokenize as tokenizeText, matchesKeyword, validateKeyword } from './keyword-matcher.js';
+
+export const RULE_FIELDS = ['title', 'abstract', 'comment', 'arxiv'];
+
+const OPERATORS = ['AND', 'OR', 'NOT', 'OF'];
+
+/**
+ * Error for malformed rules, with the character offset where parsing failed
+ */
+export class RuleSyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} (at position ${position})`);
+    this.name = 'RuleSyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Parse a category rule
+ * @param {string} rule - Rule text
+ * @returns {Object} AST of {type: 'or'|'and', children}, {type: 'not', child},
+ *   {type: 'atLeast', min, children} and {type: 'term', field, keyword} nodes
+ *   (field is null for title + abstract)
+ * @throws {RuleSyntaxError} If the rule is malformed
+ */
+export function parseRule(rule) {
+  const tokens = tokenize(rule);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const isOp = (token, value) => token?.type === 'op' && token.value === value;
+  const end = () => rule.length;
+
+  const parseOr = (field) => {
+    const children = [parseAnd(field)];
+    while (isOp(peek(), 'OR')) {
+      next();
+      children.push(parseAnd(field));
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = (field) => {
+    const children = [parseUnary(field)];
+    while (isOp(peek(), 'AND')) {
+      next();
+      children.push(parseUnary(field));
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseUnary = (field) => {
+    if (isOp(peek(), 'NOT')) {
+      next();
+      return { type: 'not', child: parseUnary(field) };
+    }
+    return parseAtom(field);
+  };
+
+  const parseGroup = (field) => {
+    const inner = parseOr(field);
+    const closing = next();
+    if (closing?.type !== 'rparen') {
+      throw new RuleSyntaxError('Missing closing parenthesis', closing?.position ?? end());
+    }
+    return inner;
+  };
+
+  const parseAtom = (field) => {
+    const token = next();
+
+    if (!token) {
+      throw new RuleSyntaxError('Unexpected end of rule', end());
+    }
+
+    if (token.type === 'lparen') {
+      return parseGroup(field);
+    }
+
+    // N OF (a, b, c)
+    if (token.type === 'word' && /^\d+$/.test(token.value) && isOp(peek(), 'OF')) {
+      next();
+      const open = next();
+      if (open?.type !== 'lparen') {
+        throw new RuleSyntaxError(`Expected "(" after ${token.value} OF`, open?.position ?? end());
+      }
+
+      const children = [parseOr(field)];
+      while (peek()?.type === 'comma') {
+        next();
+        children.push(parseOr(field));
+      }
+      const closing = next();
+      if (closing?.type !== 'rparen') {
+        throw new RuleSyntaxError('Expected "," or ")" in OF list', closing?.position ?? end());
+      }
+
+      const min = parseInt(token.value, 10);
+      if (min < 1 || min > children.length) {
+        throw new RuleSyntaxError(`${min} OF needs between 1 and ${children.length} (the number of items)`, token.position);
+      }
+      return { type: 'atLeast', min, children };
+    }
+
+    if (token.type === 'field') {
+      const value = peek();
+      if (value?.type === 'lparen') {
+        next();
+        return parseGroup(token.value);
+      }
+      if (value?.type !== 'word' && value?.type !== 'phrase') {
+        throw new RuleSyntaxError(`Expected a word, "phrase" or (group) after ${token.value}:`, value?.position ?? end());
+      }
+      next();
+      return termNode(token.value, value);
+    }
+
+    if (token.type === 'word' || token.type === 'phrase') {
+      return termNode(field, token);
+    }
+
+    throw new RuleSyntaxError(`Unexpected "${token.raw}"`, token.position);
+  };
+
+  const termNode = (field, token) => {
+    if (field === 'arxiv' && token.type === 'phrase') {
+      throw new RuleSyntaxError('arxiv: takes a category like cs.RO, not a phrase', token.position);
+    }
+    // Keep the quotes so a quoted phrase matches exactly, as in categories.json keywords
+    const keyword = token.type === 'phrase'
+      ? `"${token.value}"${token.slop ? `~${token.slop}` : ''}`
+      : token.value;
+    const problem = field === 'arxiv' ? null : validateKeyword(keyword);
+    if (problem) {
+      throw new RuleSyntaxError(problem, token.position);
+    }
+    return { type: 'term', field, keyword };
+  };
+
+  const ast = parseOr(null);
+
+  if (pos < tokens.length) {
+    const token = tokens[pos];
+    const hint = token.type === 'word' || token.type === 'phrase' || token.type === 'field'
+      ? ' (put AND or OR between terms, and quotes around phrases)'
+      : '';
+    throw new RuleSyntaxError(`Unexpected "${token.raw}"${hint}`, token.position);
+  }
+
+  return ast;
+}
+
+/**
+ * Check rule syntax without throwing
+ * @param {string} rule - Rule text
+ * @returns {Object} {valid: boolean, error: string|null, position: number|null}
+ */
+export function validateRule(rule) {
+  try {
+    parseRule(rule);
+    return { valid: true, error: null, position: null };
+  } catch (error) {
+    if (error instanceof RuleSyntaxError) {
+      return { valid: false, error: error.message, position: error.position };
+    }
+    throw error;
+  }
+}
+
+const compiled = new Map();
+
+/**
+ * Parse a rule, caching the result (the same rules are evaluated for every paper)
+ * @param {string} rule - Rule text
+ * @returns {Object} AST from parseRule
+ * @throws {RuleSyntaxError} If the rule is malformed
+ */
+export function compileRule(rule) {
+  if (!compiled.has(rule)) {
+    compiled.set(rule, parseRule(rule));
+  }
+  return compiled.get(rule);
+}
+
+/**
+ * Prepare a paper for rule evaluation; the texts are tokenized once, on first use
+ * @param {Object} paper - Paper (stored or index entry)
+ * @returns {Object} Evaluation context
+ */
+export function ruleContext(paper) {
+  const cache = {};
+  const text = (key, value) => {
+    if (!cache[key]) cache[key] = tokenizeText(value);
+    return cache[key];
+  };
+
+  return {
+    tokens(field) {
+      switch (field) {
+        case 'title': return text('title', paper.title || '');
+        case 'abstract': return text('abstract', paper.abstract || '');
+        case 'comment': return text('comment', paper.comment || '');
+        default: return text('all', `${paper.title || ''} ${paper.abstract || ''}`);
+      }
+    },
+    arxivCategories: (paper.arxivCategories || []).map(c => c.toLowerCase())
+  };
+}
+
+/**
+ * Evaluate a rule against a paper
+ * @param {string|Object} rule - Rule text or AST
+ * @param {Object} paper - Paper, or a context from ruleContext
+ * @returns {Object} {matched: boolean, terms: number} where terms counts the matching
+ *   terms outside NOT, a rough strength of the match
+ */
+export function evaluateRule(rule, paper) {
+  const ast = typeof rule === 'string' ? compileRule(rule) : rule;
+  const context = typeof paper.tokens === 'function' ? paper : ruleContext(paper);
+  const matchedTerms = new Set();
+
+  const evaluate = (node, negated) => {
+    switch (node.type) {
+      case 'or':
+        return node.children.map(child => evaluate(child, negated)).some(Boolean);
+      case 'and':
+        return node.children.map(child => evaluate(child, negated)).every(Boolean);
+      case 'not':
+        return !evaluate(node.child, !negated);
+      case 'atLeast':
+        return node.children.filter(child => evaluate(child, negated)).length >= node.min;
+      case 'term': {
+        const matched = node.field === 'arxiv'
+          ? matchesArxivCategory(context.arxivCategories, node.keyword)
+          : matchesKeyword(context.tokens(node.field), node.keyword);
+        if (matched && !negated) matchedTerms.add(node);
+        return matched;
+      }
+      default:
+        throw new Error(`Unknown rule node: ${node.type}`);
+    }
+  };
+
+  const matched = evaluate(ast, false);
+  return { matched, terms: matched ? matchedTerms.size : 0 };
+}
+
+function matchesArxivCategory(categories, value) {
+  const wanted = value.toLowerCase().replace(/\.\*$/, '');
+  return categories.some(category => category === wanted || (!wanted.includes('.') && category.startsWith(`${wanted}.`)));
+}
+
+/**
+ * Split a rule into tokens
+ * @param {string} rule - Rule text
+ * @returns {Array} Tokens with type, value, raw text and position
+ */
+function tokenize(rule) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < rule.length) {
+    const char = rule[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: { '(': 'lparen', ')': 'rparen', ',': 'comma' }[char], raw: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      const close = rule.indexOf('"', i + 1);
+      if (close === -1) {
+        throw new RuleSyntaxError('Unterminated quoted phrase', i);
+      }
+      const value = rule.slice(i + 1, close).trim();
+      if (!/[A-Za-z0-9]/.test(value)) {
+        throw new RuleSyntaxError('Empty quoted phrase', i);
+      }
+
+      const slop = rule.slice(close + 1).match(/^~(\d+)/);
+      const length = close + 1 - i + (slop ? slop[0].length : 0);
+      tokens.push({
+        type: 'phrase',
+        value,
+        slop: slop ? parseInt(slop[1], 10) : 0,
+        raw: rule.slice(i, i + length),
+        position: i
+      });
+      i += length;
+      continue;
+    }
+
+    // Bare word, operator or field prefix
+    const match = rule.slice(i).match(/^[^\s()",:]+/);
+    if (!match) {
+      throw new RuleSyntaxError(`Unexpected character "${char}"`, i);
+    }
+
+    const word = match[0];
+
+    if (rule[i + word.length] === ':') {
+      if (!RULE_FIELDS.includes(word)) {
+        throw new RuleSyntaxError(`Unknown field "${word}" (use ${RULE_FIELDS.join(', ')})`, i);
+      }
+      tokens.push({ type: 'field', value: word, raw: `${word}:`, position: i });
+      i += word.length + 1;
+      continue;
+    }
+
+    if (OPERATORS.includes(word)) {
+      tokens.push({ type: 'op', value: word, raw: word, position: i });
+    } else {
+      if (!/[A-Za-z0-9]/.test(word)) {
+        throw new RuleSyntaxError(`"${word}" has no letters or digits to match`, i);
+      }
+      tokens.push({ type: 'word', value: word, raw: word, position: i });
+    }
+    i += word.length;
+  }
+
+  if (tokens.length === 0) {
+    throw new RuleSyntaxError('Empty rule', 0);
+  }
+
+  return tokens;
+}
+
+export default parseRule;
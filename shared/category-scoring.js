@@ -0,0 +1,102 @@
+/**
+ * Category Scoring
+ * Scores how strongly a paper belongs to a category, for the `keywords`,
+ * `negativeKeywords`, `threshold` and `titleWeight` fields of categories.json.
+ * Shared by the scripts and the site.
+ *
+ *   - every keyword that matches adds its weight (default 1); a keyword is either
+ *     a string or {"keyword": "task decomposition", "weight": 2}
+ *   - a keyword found in the title counts titleWeight times (default 2)
+ *   - the paper is in the category when the score reaches threshold (default 1)
+ *   - any matching negative keyword keeps the paper out, whatever the score
+ *   - with a rule (shared/category-rules.js) the rule decides instead, and each
+ *     matching term adds 1 to the score
+ *
+ * The confidence reported for a category is 0.5 at the threshold and halves its
+ * distance to 1 with every further threshold's worth of score (0.75 at twice the
+ * threshold, 0.88 at three times), so scores compare across categories.
+ */
+
+import { matchesKeyword } from './keyword-matcher.js';
+import { ruleContext, evaluateRule } from './category-rules.js';
+
+export const DEFAULT_THRESHOLD = 1;
+export const DEFAULT_TITLE_WEIGHT = 2;
+
+/**
+ * Normalize a category's keyword list
+ * @param {Array<string|Object>} keywords - Keywords as strings or {keyword, weight}
+ * @returns {Array<Object>} [{keyword, weight}]
+ */
+export function keywordEntries(keywords = []) {
+  return keywords.map(entry => (typeof entry === 'string'
+    ? { keyword: entry, weight: 1 }
+    : { keyword: entry.keyword, weight: entry.weight ?? 1 }));
+}
+
+/**
+ * Turn a score into a 0-1 confidence
+ * @param {number} score - Category score
+ * @param {number} threshold - Score needed to assign the category
+ * @returns {number} Confidence rounded to two decimals (0 for no score)
+ */
+export function confidence(score, threshold = DEFAULT_THRESHOLD) {
+  if (score <= 0) return 0;
+  return Math.round((1 - 0.5 ** (score / threshold)) * 100) / 100;
+}
+
+/**
+ * Score a paper against one category
+ * @param {Object} category - Category definition
+ * @param {Object} paper - Paper, or a context from ruleContext (tokenize once per paper
+ *   when scoring several categories)
+ * @param {Object} options - {extraKeywords: keywords added on top of the category's own,
+ *   rule: rule to use instead of category.rule ('' for none)}
+ * @returns {Object} {matched, score, confidence, keywords: the keywords that matched (empty
+ *   for rules), suppressedBy: the negative keyword that excluded the paper, or null}
+ */
+export function scoreCategory(category, paper, options = {}) {
+  const { extraKeywords = [], rule = category.rule } = options;
+  const context = typeof paper.tokens === 'function' ? paper : ruleContext(paper);
+  const threshold = rule ? DEFAULT_THRESHOLD : category.threshold ?? DEFAULT_THRESHOLD;
+
+  const suppressedBy = (category.negativeKeywords || [])
+    .find(keyword => matchesKeyword(context.tokens(), keyword)) ?? null;
+
+  let score = 0;
+  const keywords = [];
+
+  if (rule) {
+    const { matched, terms } = evaluateRule(rule, context);
+    score = matched ? Math.max(terms, 1) : 0;
+  } else {
+    const titleWeight = category.titleWeight ?? DEFAULT_TITLE_WEIGHT;
+    const seen = new Set();
+
+    for (const { keyword, weight } of keywordEntries([...(category.keywords || []), ...extraKeywords])) {
+      if (seen.has(keyword)) continue;
+      seen.add(keyword);
+
+      if (matchesKeyword(context.tokens('title'), keyword)) {
+        score += weight * titleWeight;
+      } else if (matchesKeyword(context.tokens(), keyword)) {
+        score += weight;
+      } else {
+        continue;
+      }
+      keywords.push(keyword);
+    }
+  }
+
+  const matched = !suppressedBy && score >= threshold;
+
+  return {
+    matched,
+    score,
+    confidence: matched ? confidence(score, threshold) : 0,
+    keywords,
+    suppressedBy
+  };
+}
+
+export default scoreCategory;
@@ -0,0 +1,195 @@
+/**
+ * Keyword Matching
+ * Matches category keywords against paper text on whole words. Shared by the
+ * scripts and the site so both categorize papers the same way.
+ *
+ *   agent              whole words, any case, plural and -ing/-ed forms
+ *                      ("agents" matches, "reagent" doesn't)
+ *   API, RAG, CoT      acronyms (capitals after the first letter) match case-sensitively,
+ *                      plural "s" allowed ("APIs"), never inside words ("rapid", "storage")
+ *   chain of thought   phrases match the words in order; hyphens count as spaces
+ *                      ("chain-of-thought")
+ *   "tool use"         quotes turn off plural/-ing/-ed matching
+ *   tool learning~3    proximity: the words in order with at most 3 other words between
+ *                      each pair ("learning to use tools" doesn't count, "tool-augmented
+ *                      learning" does)
+ */
+
+const WORD = /[A-Za-z0-9]+/g;
+const PROXIMITY = /~(\d+)$/;
+
+/**
+ * Reduce a word to a crude stem so plural, -ing and -ed forms compare equal.
+ * Deliberately light: it only has to make a keyword and the same word in a
+ * paper agree, both sides go through it.
+ * @param {string} word - Word
+ * @returns {string} Lowercase stem
+ */
+export function stemWord(word) {
+  let w = word.toLowerCase();
+  if (w.length <= 3) return w;
+
+  // Plurals; "-ses" only loses its "s" (uses → use, buses → buse → bus below)
+  if (w.endsWith('ies') && w.length > 4) {
+    w = `${w.slice(0, -3)}y`;
+  } else if (/(ss|x|z|ch|sh)es$/.test(w)) {
+    w = w.slice(0, -2);
+  } else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  // -ing / -ed, undoubling the consonant they leave behind (planning → plan)
+  const match = w.match(/^(.{3,}?)(ing|ed)$/);
+  if (match && /[aeiouy]/.test(match[1])) {
+    w = match[1];
+    if (/([^aeioulsz])\1$/.test(w)) {
+      w = w.slice(0, -1);
+    }
+  } else if (/^[aeiou][^aeiouy](ing|ed)$/.test(w)) {
+    // Two-letter stems get their e back, to agree with the short words kept whole (used, using → use)
+    w = `${w.slice(0, 2)}e`;
+  }
+
+  // make / making → mak
+  if (w.length > 3 && w.endsWith('e')) {
+    w = w.slice(0, -1);
+  }
+
+  return w;
+}
+
+/**
+ * Check whether a keyword word is an acronym (matched case-sensitively)
+ * @param {string} word - Word from a keyword
+ * @returns {boolean} True for words with a capital after the first letter (API, CoT)
+ */
+function isAcronym(word) {
+  return /[A-Z]/.test(word.slice(1));
+}
+
+/**
+ * Split text into words for matching
+ * @param {string} text - Paper text
+ * @returns {Array<Object>} [{text, lower, stem}] in order
+ */
+export function tokenize(text) {
+  return (String(text ?? '').match(WORD) || []).map(word => ({
+    text: word,
+    lower: word.toLowerCase(),
+    stem: stemWord(word)
+  }));
+}
+
+const compiled = new Map();
+
+/**
+ * Parse a keyword into a matcher (cached, keywords repeat for every paper)
+ * @param {string} keyword - Keyword in the syntax described at the top of this file
+ * @returns {Object} {keyword, terms: [{text, lower, stem, caseSensitive}], exact, slop}
+ */
+export function compileKeyword(keyword) {
+  if (compiled.has(keyword)) {
+    return compiled.get(keyword);
+  }
+
+  let source = String(keyword).trim();
+  let slop = 0;
+
+  const proximity = source.match(PROXIMITY);
+  if (proximity) {
+    slop = parseInt(proximity[1], 10);
+    source = source.slice(0, -proximity[0].length).trim();
+  }
+
+  const exact = /^".*"$/.test(source);
+  if (exact) {
+    source = source.slice(1, -1);
+  }
+
+  const terms = tokenize(source).map(token => ({
+    ...token,
+    caseSensitive: isAcronym(token.text)
+  }));
+
+  const matcher = { keyword, terms, exact, slop };
+  compiled.set(keyword, matcher);
+  return matcher;
+}
+
+/**
+ * Describe what is wrong with a keyword
+ * @param {string} keyword - Keyword
+ * @returns {string|null} Problem, or null if the keyword is usable
+ */
+export function validateKeyword(keyword) {
+  if (typeof keyword !== 'string' || keyword.trim() === '') {
+    return 'keyword is empty';
+  }
+
+  const { terms, slop } = compileKeyword(keyword);
+  if (terms.length === 0) {
+    return `keyword "${keyword}" has no letters or digits to match`;
+  }
+  if (slop > 0 && terms.length < 2) {
+    return `keyword "${keyword}": ~${slop} needs at least two words`;
+  }
+  return null;
+}
+
+function termMatches(term, token, exact) {
+  if (term.caseSensitive) {
+    return token.text === term.text || token.text === `${term.text}s`;
+  }
+  return exact ? token.lower === term.lower : token.stem === term.stem;
+}
+
+/**
+ * Check whether a keyword occurs in tokenized text
+ * @param {Array<Object>} tokens - Result of tokenize
+ * @param {string|Object} keyword - Keyword, or a matcher from compileKeyword
+ * @returns {boolean} True if the keyword matches
+ */
+export function matchesKeyword(tokens, keyword) {
+  const { terms, exact, slop } = typeof keyword === 'string' ? compileKeyword(keyword) : keyword;
+  if (terms.length === 0) return false;
+
+  for (let start = 0; start < tokens.length; start++) {
+    if (!termMatches(terms[0], tokens[start], exact)) continue;
+
+    // Each following word must come within slop words of the previous one
+    let position = start;
+    let matched = true;
+    for (const term of terms.slice(1)) {
+      let next = -1;
+      for (let i = position + 1; i <= Math.min(position + 1 + slop, tokens.length - 1); i++) {
+        if (termMatches(term, tokens[i], exact)) {
+          next = i;
+          break;
+        }
+      }
+      if (next === -1) {
+        matched = false;
+        break;
+      }
+      position = next;
+    }
+
+    if (matched) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Find which keywords occur in a text
+ * @param {string|Array<Object>} text - Text, or tokens from tokenize (tokenize once per paper
+ *   when matching several keyword lists)
+ * @param {Array<string>} keywords - Keywords
+ * @returns {Array<string>} The keywords that match, in the order given
+ */
+export function matchKeywords(text, keywords) {
+  const tokens = Array.isArray(text) ? text : tokenize(text);
+  return keywords.filter(keyword => matchesKeyword(tokens, keyword));
+}
+
+export default matchKeywords;
@@ -0,0 +1,21 @@
+/**
+ * Data Schema Version
+ * Version of the format written to paper shards, the shard manifest, index.json
+ * and categories.json.
+ * Shared by the scripts (which migrate older data up to it) and the site (which
+ * refuses an index newer than it understands).
+ *
+ * Bump it together with a new module in scripts/migrations/ and the `schemaVersion`
+ * const in the files in schemas/.
+ */
+
+export const SCHEMA_VERSION = 1;
+
+/**
+ * Read the schema version of a data file
+ * @param {Object} data - Parsed data file
+ * @returns {number} Its schemaVersion, or 0 for files written before versioning
+ */
+export function getSchemaVersion(data) {
+  return Number.isInteger(data?.schemaVersion) ? data.schemaVersion : 0;
+}
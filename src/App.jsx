@@ -4,16 +4,23 @@ import Sidebar from './components/Sidebar';
 import PaperCard from './components/PaperCard';
 import Pagination from './components/Pagination';
 import CategoryLegend from './components/CategoryLegend';
+import WhatsNew from './components/WhatsNew';
+import StatusPanel from './components/StatusPanel';
 import { useLocalStorage } from './hooks/useLocalStorage';
 import { usePapers } from './hooks/usePapers';
+import { useChangelog } from './hooks/useChangelog';
+import { useRunStatus } from './hooks/useRunStatus';
 import { applySearchFilter } from './utils/searchFilter';
+import { normalizeArxivId } from '../shared/arxiv-id.js';
 
 function App() {
   const [theme, setTheme] = useLocalStorage('theme', 'light');
   const [searchQuery, setSearchQuery] = useState('');
   const [sortBy, setSortBy] = useState('date-desc');
   const [selectedCategories, setSelectedCategories] = useState(new Set());
+  const [minStrength, setMinStrength] = useState(0);
   const [selectedYears, setSelectedYears] = useState(new Set());
+  const [selectedQueries, setSelectedQueries] = useState(new Set());
   const [viewMode, setViewMode] = useState('all');
   const [currentPage, setCurrentPage] = useState(1);
   const [showLegend, setShowLegend] = useState(false);
@@ -22,8 +29,11 @@ function App() {
   const [blocklist, setBlocklist] = useLocalStorage('blocklist', []);
   const [customKeywords, setCustomKeywords] = useLocalStorage('customKeywords', {});
   const [customCategories, setCustomCategories] = useLocalStorage('customCategories', []);
+  const [customRules, setCustomRules] = useLocalStorage('customRules', {});
 
   const { papers, categories, meta, loading, error, recategorizePapers } = usePapers();
+  const changelog = useChangelog(viewMode === 'new');
+  const lastRun = useRunStatus();
 
   const papersPerPage = 50;
 
@@ -32,12 +42,26 @@ function App() {
     document.documentElement.classList.toggle('dark', theme === 'dark');
   }, [theme]);
 
-  // Recategorize when custom keywords/categories change
+  // Lists saved by earlier versions may hold versioned IDs (2401.12345v2) or duplicates
+  useEffect(() => {
+    const normalizeList = list => [...new Set(list.map(normalizeArxivId))];
+    const normalizedSaved = normalizeList(savedlist);
+    const normalizedBlocked = normalizeList(blocklist);
+
+    if (normalizedSaved.join() !== savedlist.join()) {
+      setSavedlist(normalizedSaved);
+    }
+    if (normalizedBlocked.join() !== blocklist.join()) {
+      setBlocklist(normalizedBlocked);
+    }
+  }, []);
+
+  // Recategorize when custom keywords/categories/rules change
   useEffect(() => {
     if (papers.length > 0 && categories) {
-      recategorizePapers(customKeywords, customCategories);
+      recategorizePapers(customKeywords, customCategories, customRules);
     }
-  }, [customKeywords, customCategories]);
+  }, [customKeywords, customCategories, customRules]);
 
   // Filter papers
   const filteredPapers = applySearchFilter(
@@ -46,7 +70,9 @@ function App() {
       searchQuery,
       sortBy,
       selectedCategories,
+      minStrength,
       selectedYears,
+      selectedQueries,
       viewMode,
       savedlist: new Set(savedlist),
       blocklist: new Set(blocklist),
@@ -73,6 +99,18 @@ function App() {
     return acc;
   }, {});
 
+  const queryCounts = papers.reduce((acc, paper) => {
+    if (blocklist.includes(paper.id)) return acc;
+    (paper.matchedQueries || []).forEach(id => {
+      acc[id] = (acc[id] || 0) + 1;
+    });
+    return acc;
+  }, {});
+
+  // Queries that found at least one paper, labelled from the index
+  const queries = (meta?.queries || []).filter(q => queryCounts[q.id]);
+  const queryLabels = Object.fromEntries(queries.map(q => [q.id, q.description]));
+
   const allCategories = categories ? [
     ...categories.categories,
     ...customCategories
@@ -105,16 +143,32 @@ function App() {
     setCurrentPage(1);
   };
 
+  const toggleQuery = (queryId) => {
+    setSelectedQueries(prev => {
+      const newSet = new Set(prev);
+      if (newSet.has(queryId)) {
+        newSet.delete(queryId);
+      } else {
+        newSet.add(queryId);
+      }
+      return newSet;
+    });
+    setCurrentPage(1);
+  };
+
   const resetFilters = () => {
     setSearchQuery('');
     setSelectedCategories(new Set());
+    setMinStrength(0);
     setSelectedYears(new Set());
+    setSelectedQueries(new Set());
     setSortBy('date-desc');
     setCurrentPage(1);
     showToast('Filters reset', 'info');
   };
 
-  const toggleSave = (paperId) => {
+  const toggleSave = (id) => {
+    const paperId = normalizeArxivId(id);
     setSavedlist(prev => {
       if (prev.includes(paperId)) {
         showToast('Paper unsaved', 'info');
@@ -126,14 +180,16 @@ function App() {
     });
   };
 
-  const removePaper = (paperId) => {
-    setBlocklist(prev => [...prev, paperId]);
+  const removePaper = (id) => {
+    const paperId = normalizeArxivId(id);
+    setBlocklist(prev => prev.includes(paperId) ? prev : [...prev, paperId]);
     // Remove from savedlist if it was there
     setSavedlist(prev => prev.filter(id => id !== paperId));
     showToast('Paper removed', 'success');
   };
 
-  const unremovePaper = (paperId) => {
+  const unremovePaper = (id) => {
+    const paperId = normalizeArxivId(id);
     setBlocklist(prev => prev.filter(id => id !== paperId));
     showToast('Paper restored', 'success');
   };
@@ -206,6 +262,17 @@ function App() {
     showToast(`Removed "${keyword}"`, 'success');
   };
 
+  const setRule = (categoryId, rule) => {
+    setCustomRules(prev => {
+      if (rule === null) {
+        const { [categoryId]: _, ...rest } = prev;
+        return rest;
+      }
+      return { ...prev, [categoryId]: rule };
+    });
+    showToast(rule === null ? 'Restored the default rule' : rule ? 'Saved rule' : 'Rule removed, using keywords', 'success');
+  };
+
   const addCategory = (name, keywords) => {
     const id = name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
 
@@ -237,6 +304,10 @@ function App() {
         const { [categoryId]: _, ...rest } = prev;
         return rest;
       });
+      setCustomRules(prev => {
+        const { [categoryId]: _, ...rest } = prev;
+        return rest;
+      });
       showToast(`Deleted "${category.name}"`, 'success');
     }
   };
@@ -277,6 +348,8 @@ function App() {
       />
 
       <main className="max-w-[1400px] mx-auto px-6 py-8">
+        <StatusPanel run={lastRun} />
+
         <div className="grid grid-cols-1 lg:grid-cols-[280px_1fr] gap-8">
           <Sidebar
             searchQuery={searchQuery}
@@ -293,10 +366,19 @@ function App() {
             categoryCounts={categoryCounts}
             selectedCategories={selectedCategories}
             onToggleCategory={toggleCategory}
+            minStrength={minStrength}
+            onMinStrengthChange={(value) => {
+              setMinStrength(value);
+              setCurrentPage(1);
+            }}
             years={Object.keys(yearCounts).sort((a, b) => b - a)}
             yearCounts={yearCounts}
             selectedYears={selectedYears}
             onToggleYear={toggleYear}
+            queries={queries}
+            queryCounts={queryCounts}
+            selectedQueries={selectedQueries}
+            onToggleQuery={toggleQuery}
             onResetFilters={resetFilters}
             savedlistCount={savedlist.length}
             blocklistCount={blocklist.length}
@@ -312,8 +394,10 @@ function App() {
                 categories={categories?.categories || []}
                 customCategories={customCategories}
                 customKeywords={customKeywords}
+                customRules={customRules}
                 onAddKeyword={addKeyword}
                 onRemoveKeyword={removeKeyword}
+                onSetRule={setRule}
                 onAddCategory={addCategory}
                 onDeleteCategory={deleteCategory}
               />
@@ -325,6 +409,7 @@ function App() {
             <div className="flex gap-1 mb-6 bg-gray-100 dark:bg-gray-700 p-1 rounded-lg border border-gray-200 dark:border-gray-600">
               {[
                 { id: 'all', label: 'All Papers' },
+                { id: 'new', label: "What's New" },
                 { id: 'saved', label: 'Saved Papers' },
                 { id: 'removed', label: 'Removed Papers' }
               ].map(({ id, label }) => (
@@ -345,61 +430,81 @@ function App() {
               ))}
             </div>
 
-            {/* Results Header */}
-            <div className="flex justify-between items-center mb-6 pb-4 border-b border-gray-200 dark:border-gray-700">
-              <div className="text-gray-600 dark:text-gray-400">
-                Showing <strong className="text-gray-900 dark:text-white">{filteredPapers.length.toLocaleString()}</strong> papers
-              </div>
-            </div>
-
-            {/* Loading State */}
-            {loading && (
-              <div className="text-center py-16">
-                <div className="inline-block w-12 h-12 border-4 border-gray-200 dark:border-gray-700 border-t-blue-600 dark:border-t-blue-400 rounded-full animate-spin mb-4"></div>
-                <p className="text-gray-600 dark:text-gray-400">Loading papers...</p>
-              </div>
-            )}
-
-            {/* Papers Grid */}
-            {!loading && paginatedPapers.length > 0 && (
-              <div className="flex flex-col gap-6">
-                {paginatedPapers.map(paper => (
-                  <PaperCard
-                    key={paper.id}
-                    paper={paper}
-                    isSaved={savedlist.includes(paper.id)}
-                    isRemoved={blocklist.includes(paper.id)}
-                    viewMode={viewMode}
-                    onToggleSave={toggleSave}
-                    onRemove={removePaper}
-                    onRestore={unremovePaper}
-                  />
-                ))}
-              </div>
-            )}
-
-            {/* No Results */}
-            {!loading && filteredPapers.length === 0 && (
-              <div className="text-center py-16">
-                <p className="text-gray-600 dark:text-gray-400 text-lg mb-2">
-                  No papers found matching your criteria.
-                </p>
-                <p className="text-gray-500 dark:text-gray-500 text-sm">
-                  Try adjusting your filters or search terms.
-                </p>
+            {viewMode === 'new' ? (
+              <WhatsNew
+                days={changelog.days}
+                selectedDate={changelog.selectedDate}
+                onSelectDate={changelog.setSelectedDate}
+                day={changelog.day}
+                loading={loading || changelog.loading}
+                error={changelog.error}
+                papers={papers}
+                queryLabels={queryLabels}
+                savedlist={new Set(savedlist)}
+                blocklist={new Set(blocklist)}
+                onToggleSave={toggleSave}
+                onRemove={removePaper}
+              />
+            ) : (
+              <>
+              {/* Results Header */}
+              <div className="flex justify-between items-center mb-6 pb-4 border-b border-gray-200 dark:border-gray-700">
+                <div className="text-gray-600 dark:text-gray-400">
+                  Showing <strong className="text-gray-900 dark:text-white">{filteredPapers.length.toLocaleString()}</strong> papers
+                </div>
               </div>
-            )}
 
-            {/* Pagination */}
-            {!loading && totalPages > 1 && (
-              <Pagination
-                currentPage={currentPage}
-                totalPages={totalPages}
-                onPageChange={(page) => {
-                  setCurrentPage(page);
-                  window.scrollTo({ top: 0, behavior: 'smooth' });
-                }}
-              />
+              {/* Loading State */}
+              {loading && (
+                <div className="text-center py-16">
+                  <div className="inline-block w-12 h-12 border-4 border-gray-200 dark:border-gray-700 border-t-blue-600 dark:border-t-blue-400 rounded-full animate-spin mb-4"></div>
+                  <p className="text-gray-600 dark:text-gray-400">Loading papers...</p>
+                </div>
+              )}
+
+              {/* Papers Grid */}
+              {!loading && paginatedPapers.length > 0 && (
+                <div className="flex flex-col gap-6">
+                  {paginatedPapers.map(paper => (
+                    <PaperCard
+                      key={paper.id}
+                      paper={paper}
+                      queryLabels={queryLabels}
+                      isSaved={savedlist.includes(paper.id)}
+                      isRemoved={blocklist.includes(paper.id)}
+                      viewMode={viewMode}
+                      onToggleSave={toggleSave}
+                      onRemove={removePaper}
+                      onRestore={unremovePaper}
+                    />
+                  ))}
+                </div>
+              )}
+
+              {/* No Results */}
+              {!loading && filteredPapers.length === 0 && (
+                <div className="text-center py-16">
+                  <p className="text-gray-600 dark:text-gray-400 text-lg mb-2">
+                    No papers found matching your criteria.
+                  </p>
+                  <p className="text-gray-500 dark:text-gray-500 text-sm">
+                    Try adjusting your filters or search terms.
+                  </p>
+                </div>
+              )}
+
+              {/* Pagination */}
+              {!loading && totalPages > 1 && (
+                <Pagination
+                  currentPage={currentPage}
+                  totalPages={totalPages}
+                  onPageChange={(page) => {
+                    setCurrentPage(page);
+                    window.scrollTo({ top: 0, behavior: 'smooth' });
+                  }}
+                />
+              )}
+              </>
             )}
           </div>
         </div>
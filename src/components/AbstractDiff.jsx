@@ -0,0 +1,71 @@
+import { useState } from 'react';
+import { diffWords } from '../utils/textDiff';
+
+function AbstractDiff({ paper }) {
+  const versions = paper.versions || [];
+  const [compareIndex, setCompareIndex] = useState(versions.length - 1);
+
+  const previous = versions[compareIndex];
+  if (!previous) return null;
+
+  const label = (version, index) => version.version ? `v${version.version}` : `revision ${index + 1}`;
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+
+  const titleChanged = previous.title && previous.title !== paper.title;
+  const parts = diffWords(previous.abstract, paper.abstract);
+  const unchanged = parts.every(part => part.type === 'same');
+
+  return (
+    <div className="mt-3 p-4 bg-gray-50 dark:bg-gray-700 rounded-md border border-gray-200 dark:border-gray-600 animate-slide-down">
+      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600 dark:text-gray-400 mb-3">
+        <span>Comparing</span>
+        {versions.length > 1 ? (
+          <select
+            value={compareIndex}
+            onChange={(e) => setCompareIndex(Number(e.target.value))}
+            className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-white cursor-pointer"
+          >
+            {versions.map((version, index) => (
+              <option key={index} value={index}>
+                {label(version, index)} ({formatDate(version.updatedDate)})
+              </option>
+            ))}
+          </select>
+        ) : (
+          <span className="font-medium">{label(previous, compareIndex)} ({formatDate(previous.updatedDate)})</span>
+        )}
+        <span>with {paper.version ? `v${paper.version}` : 'the current version'} ({formatDate(paper.updatedDate)})</span>
+      </div>
+
+      {titleChanged && (
+        <p className="text-sm mb-3">
+          <span className="line-through text-red-700 dark:text-red-300">{previous.title}</span>
+          {' → '}
+          <span className="text-green-700 dark:text-green-300">{paper.title}</span>
+        </p>
+      )}
+
+      {unchanged ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400 italic">Abstract unchanged.</p>
+      ) : (
+        <p className="text-sm text-gray-700 dark:text-gray-300 leading-relaxed whitespace-pre-line">
+          {parts.map((part, index) => {
+            if (part.type === 'added') {
+              return <ins key={index} className="no-underline bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200">{part.value}</ins>;
+            }
+            if (part.type === 'removed') {
+              return <del key={index} className="bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200">{part.value}</del>;
+            }
+            return <span key={index}>{part.value}</span>;
+          })}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default AbstractDiff;
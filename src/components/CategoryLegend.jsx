@@ -1,27 +1,86 @@
 import { useState } from 'react';
+import { validateKeyword } from '../../shared/keyword-matcher.js';
+import { validateRule } from '../../shared/category-rules.js';
+import { keywordEntries, DEFAULT_THRESHOLD } from '../../shared/category-scoring.js';
+
+// Live syntax check for the rule editor, pointing at where the rule went wrong
+function RuleStatus({ rule }) {
+  if (rule.trim() === '') {
+    return (
+      <p className="text-xs text-gray-500 dark:text-gray-400">
+        Empty: the category uses its keywords.
+      </p>
+    );
+  }
+
+  const { valid, error, position } = validateRule(rule);
+  if (valid) {
+    return <p className="text-xs text-green-700 dark:text-green-400">✓ Valid rule</p>;
+  }
+
+  return (
+    <div className="text-xs text-red-600 dark:text-red-400">
+      <p>{error}</p>
+      <pre className="mt-1 font-mono whitespace-pre-wrap break-all">
+        {rule.slice(0, position)}
+        <span className="bg-red-200 dark:bg-red-900">{rule.slice(position, position + 1) || ' '}</span>
+        {rule.slice(position + 1)}
+      </pre>
+    </div>
+  );
+}
 
 function CategoryLegend({
   categories,
   customCategories,
   customKeywords,
+  customRules = {},
   onAddKeyword,
   onRemoveKeyword,
+  onSetRule,
   onAddCategory,
   onDeleteCategory
 }) {
   const [newKeyword, setNewKeyword] = useState({});
+  const [ruleDrafts, setRuleDrafts] = useState({});
   const [showNewCategory, setShowNewCategory] = useState(false);
   const [newCategoryName, setNewCategoryName] = useState('');
   const [newCategoryKeywords, setNewCategoryKeywords] = useState('');
 
   const handleAddKeyword = (categoryId) => {
     const keyword = newKeyword[categoryId]?.trim();
+    const problem = keyword && validateKeyword(keyword);
+    if (problem) {
+      alert(problem);
+      return;
+    }
     if (keyword) {
       onAddKeyword(categoryId, keyword);
       setNewKeyword({ ...newKeyword, [categoryId]: '' });
     }
   };
 
+  const editRule = (categoryId, rule) => {
+    setRuleDrafts({ ...ruleDrafts, [categoryId]: rule });
+  };
+
+  const closeRuleEditor = (categoryId) => {
+    const { [categoryId]: _, ...rest } = ruleDrafts;
+    setRuleDrafts(rest);
+  };
+
+  const handleSaveRule = (categoryId) => {
+    const rule = ruleDrafts[categoryId].trim();
+    if (rule && !validateRule(rule).valid) return;
+    onSetRule(categoryId, rule);
+    closeRuleEditor(categoryId);
+  };
+
+  const handleResetRule = (categoryId) => {
+    onSetRule(categoryId, null);
+    closeRuleEditor(categoryId);
+  };
+
   const handleAddCategory = () => {
     const name = newCategoryName.trim();
     const keywordsStr = newCategoryKeywords.trim();
@@ -41,6 +100,12 @@ function CategoryLegend({
       return;
     }
 
+    const problem = keywords.map(validateKeyword).find(Boolean);
+    if (problem) {
+      alert(problem);
+      return;
+    }
+
     onAddCategory(name, keywords);
     setNewCategoryName('');
     setNewCategoryKeywords('');
@@ -59,9 +124,15 @@ function CategoryLegend({
       <div className="space-y-4 mb-4">
         {allCategories.map(category => {
           const isCustom = customCategories.some(c => c.id === category.id);
-          const baseKeywords = category.keywords || [];
+          const baseKeywords = keywordEntries(category.keywords);
           const additionalKeywords = customKeywords[category.id] || [];
-          const allKeywords = [...new Set([...baseKeywords, ...additionalKeywords])];
+          const allKeywords = [
+            ...baseKeywords,
+            ...keywordEntries(additionalKeywords.filter(k => !baseKeywords.some(e => e.keyword === k)))
+          ];
+          const hasCustomRule = category.id in customRules;
+          const rule = customRules[category.id] ?? category.rule ?? '';
+          const draft = ruleDrafts[category.id];
 
           return (
             <div key={category.id} className="border-b border-gray-200 dark:border-gray-600 pb-4 last:border-b-0">
@@ -79,9 +150,64 @@ function CategoryLegend({
                 )}
               </div>
 
+              {/* Rule */}
+              {rule && draft === undefined && (
+                <div className="mb-2 text-xs">
+                  <span className="text-gray-500 dark:text-gray-400">
+                    Rule{hasCustomRule ? ' (yours)' : ''}, used instead of the keywords:
+                  </span>
+                  <code className="block mt-1 px-2 py-1 rounded bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-200 break-words">
+                    {rule}
+                  </code>
+                </div>
+              )}
+
+              {draft !== undefined ? (
+                <div className="mb-2 space-y-2">
+                  <textarea
+                    value={draft}
+                    onChange={(e) => editRule(category.id, e.target.value)}
+                    rows={3}
+                    placeholder='e.g. agent AND (LLM OR "language model") AND NOT title:survey'
+                    className="w-full px-2 py-1.5 text-xs font-mono border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-gray-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                  />
+                  <RuleStatus rule={draft} />
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleSaveRule(category.id)}
+                      disabled={draft.trim() !== '' && !validateRule(draft).valid}
+                      className="px-3 py-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded text-xs font-medium transition-colors"
+                    >
+                      Save
+                    </button>
+                    {hasCustomRule && (
+                      <button
+                        onClick={() => handleResetRule(category.id)}
+                        className="px-3 py-1 bg-gray-300 dark:bg-gray-600 hover:bg-gray-400 dark:hover:bg-gray-500 text-gray-800 dark:text-white rounded text-xs font-medium transition-colors"
+                      >
+                        Reset to default
+                      </button>
+                    )}
+                    <button
+                      onClick={() => closeRuleEditor(category.id)}
+                      className="px-3 py-1 text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white text-xs transition-colors"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <button
+                  onClick={() => editRule(category.id, rule)}
+                  className="mb-2 text-xs text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 transition-colors"
+                >
+                  {rule ? 'Edit rule' : 'Add rule'}
+                </button>
+              )}
+
               {/* Keywords */}
-              <div className="flex flex-wrap gap-2 mb-2">
-                {allKeywords.map(keyword => {
+              <div className={`flex flex-wrap gap-2 mb-2 ${rule ? 'opacity-60' : ''}`}>
+                {allKeywords.map(({ keyword, weight }) => {
                   const isAdditional = additionalKeywords.includes(keyword);
                   return (
                     <span
@@ -93,6 +219,7 @@ function CategoryLegend({
                       }`}
                     >
                       <span>{keyword}</span>
+                      {weight !== 1 && <span className="opacity-70" title="Keyword weight">×{weight}</span>}
                       {isAdditional && (
                         <button
                           onClick={() => onRemoveKeyword(category.id, keyword)}
@@ -107,6 +234,26 @@ function CategoryLegend({
                 })}
               </div>
 
+              {/* Negative keywords and threshold */}
+              {(category.negativeKeywords?.length > 0 || (category.threshold ?? DEFAULT_THRESHOLD) !== DEFAULT_THRESHOLD) && (
+                <div className={`flex flex-wrap gap-2 mb-2 text-xs ${rule ? 'opacity-60' : ''}`}>
+                  {(category.negativeKeywords || []).map(keyword => (
+                    <span
+                      key={keyword}
+                      className="px-2 py-1 rounded bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200"
+                      title="Negative keyword: papers mentioning it never get this category"
+                    >
+                      −{keyword}
+                    </span>
+                  ))}
+                  {(category.threshold ?? DEFAULT_THRESHOLD) !== DEFAULT_THRESHOLD && (
+                    <span className="px-2 py-1 text-gray-500 dark:text-gray-400">
+                      needs a score of {category.threshold}
+                    </span>
+                  )}
+                </div>
+              )}
+
               {/* Add Keyword */}
               <div className="flex gap-2 items-stretch">
                 <input
@@ -182,7 +329,16 @@ function CategoryLegend({
       {/* Help Text */}
       <p className="mt-4 text-xs text-gray-500 dark:text-gray-400">
         Papers are categorized by matching keywords in their title and abstract.
-        Add custom keywords to improve categorization accuracy.
+        Each keyword adds its weight (×N, default 1) to the category's score, twice as much when
+        it's in the title, and a paper gets the category once the score reaches the category's
+        threshold (1 unless noted). Negative keywords (−) keep a paper out of the category.
+        Keywords match whole words and their plurals; acronyms like RAG match case-sensitively.
+        Quote a keyword to match it exactly, or add ~N to let its words be up to N words apart.
+      </p>
+      <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+        A rule replaces a category's keywords: combine keywords with AND, OR, NOT and parentheses,
+        limit them to a field with title:, abstract: or comment:, require an arXiv category with
+        arxiv:cs.RO, and ask for a minimum with 2 OF (a, b, c).
       </p>
     </div>
   );
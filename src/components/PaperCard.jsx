@@ -1,7 +1,11 @@
 import { useState } from 'react';
+import { arxivAbsUrl, arxivPdfUrl } from '../../shared/arxiv-id.js';
+import AbstractDiff from './AbstractDiff';
 
-function PaperCard({ paper, isSaved, isRemoved, viewMode, onToggleSave, onRemove, onRestore }) {
+function PaperCard({ paper, queryLabels = {}, isSaved, isRemoved, viewMode, onToggleSave, onRemove, onRestore }) {
   const [showAbstract, setShowAbstract] = useState(false);
+  const [showChanges, setShowChanges] = useState(false);
+  const isRevised = paper.versions && paper.versions.length > 0;
 
   const categoryColors = {
     'agents': 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
@@ -21,8 +25,8 @@ function PaperCard({ paper, isSaved, isRemoved, viewMode, onToggleSave, onRemove
     return categoryColors[categoryId] || categoryColors.default;
   };
 
-  const pdfUrl = paper.pdfUrl || `https://arxiv.org/pdf/${paper.id}.pdf`;
-  const arxivUrl = paper.arxivUrl || `https://arxiv.org/abs/${paper.id}`;
+  const pdfUrl = paper.pdfUrl || arxivPdfUrl(paper.id);
+  const arxivUrl = paper.arxivUrl || arxivAbsUrl(paper.id);
 
   return (
     <article className="border-2 border-gray-200 dark:border-gray-700 rounded-lg p-6 hover:shadow-lg hover:border-gray-300 dark:hover:border-gray-600 transition-all duration-200 bg-white dark:bg-gray-800">
@@ -95,7 +99,15 @@ function PaperCard({ paper, isSaved, isRemoved, viewMode, onToggleSave, onRemove
           })}
         </span>
         <span>•</span>
-        <span className="font-mono text-xs">{paper.id}</span>
+        <span className="font-mono text-xs">{paper.id}{paper.version ? `v${paper.version}` : ''}</span>
+        {isRevised && (
+          <span
+            className="px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-200"
+            title={`Revised ${new Date(paper.updatedDate).toLocaleDateString('en-US')} (${paper.versions.length} earlier version${paper.versions.length > 1 ? 's' : ''} on record)`}
+          >
+            Revised
+          </span>
+        )}
       </div>
 
       {/* Authors */}
@@ -113,6 +125,9 @@ function PaperCard({ paper, isSaved, isRemoved, viewMode, onToggleSave, onRemove
             <span
               key={cat}
               className={`px-3 py-1 rounded-full text-xs font-medium ${getCategoryColor(cat)}`}
+              title={paper.categoryScores?.[cat] !== undefined
+                ? `Match strength ${Math.round(paper.categoryScores[cat] * 100)}%`
+                : undefined}
             >
               {cat}
             </span>
@@ -120,14 +135,32 @@ function PaperCard({ paper, isSaved, isRemoved, viewMode, onToggleSave, onRemove
         </div>
       )}
 
+      {/* Found Via */}
+      {paper.matchedQueries && paper.matchedQueries.length > 0 && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+          Found via: {paper.matchedQueries.map(id => queryLabels[id] || id).join(', ')}
+        </p>
+      )}
+
       {/* Abstract Toggle */}
-      <button
-        onClick={() => setShowAbstract(!showAbstract)}
-        className="text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 text-sm font-medium mb-2 flex items-center gap-1 transition-colors"
-      >
-        <span className="text-xs">{showAbstract ? '▼' : '▶'}</span>
-        <span>{showAbstract ? 'Hide' : 'Show'} Abstract</span>
-      </button>
+      <div className="flex gap-4">
+        <button
+          onClick={() => setShowAbstract(!showAbstract)}
+          className="text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 text-sm font-medium mb-2 flex items-center gap-1 transition-colors"
+        >
+          <span className="text-xs">{showAbstract ? '▼' : '▶'}</span>
+          <span>{showAbstract ? 'Hide' : 'Show'} Abstract</span>
+        </button>
+        {isRevised && (
+          <button
+            onClick={() => setShowChanges(!showChanges)}
+            className="text-amber-700 dark:text-amber-400 hover:text-amber-900 dark:hover:text-amber-300 text-sm font-medium mb-2 flex items-center gap-1 transition-colors"
+          >
+            <span className="text-xs">{showChanges ? '▼' : '▶'}</span>
+            <span>{showChanges ? 'Hide' : 'Show'} Changes</span>
+          </button>
+        )}
+      </div>
 
       {/* Abstract */}
       {showAbstract && (
@@ -137,6 +170,9 @@ function PaperCard({ paper, isSaved, isRemoved, viewMode, onToggleSave, onRemove
           </p>
         </div>
       )}
+
+      {/* Abstract Changes */}
+      {showChanges && <AbstractDiff paper={paper} />}
     </article>
   );
 }
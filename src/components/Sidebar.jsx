@@ -7,10 +7,16 @@ function Sidebar({
   categoryCounts,
   selectedCategories,
   onToggleCategory,
+  minStrength,
+  onMinStrengthChange,
   years,
   yearCounts,
   selectedYears,
   onToggleYear,
+  queries,
+  queryCounts,
+  selectedQueries,
+  onToggleQuery,
   onResetFilters,
   savedlistCount,
   blocklistCount,
@@ -58,6 +64,7 @@ function Sidebar({
         >
           <option value="date-desc">Newest First</option>
           <option value="date-asc">Oldest First</option>
+          <option value="strength-desc">Strongest Category Match</option>
           <option value="relevance">Relevance (when searching)</option>
         </select>
       </div>
@@ -102,6 +109,23 @@ function Sidebar({
             </label>
           ))}
         </div>
+        <label className="block mt-4 text-sm text-gray-700 dark:text-gray-300">
+          <span className="flex justify-between mb-1">
+            <span>Minimum match strength</span>
+            <span className="text-xs text-gray-500 dark:text-gray-400">
+              {minStrength > 0 ? `${Math.round(minStrength * 100)}%` : 'Any'}
+            </span>
+          </span>
+          <input
+            type="range"
+            min="0"
+            max="0.9"
+            step="0.05"
+            value={minStrength}
+            onChange={(e) => onMinStrengthChange(Number(e.target.value))}
+            className="w-full cursor-pointer accent-blue-600"
+          />
+        </label>
       </div>
 
       {/* Years */}
@@ -130,6 +154,34 @@ function Sidebar({
         </div>
       </div>
 
+      {/* Found Via */}
+      {queries.length > 0 && (
+        <div className="mb-8">
+          <h2 className="text-base font-semibold mb-3 text-gray-900 dark:text-white">Found Via</h2>
+          <div className="flex flex-col gap-2 max-h-[300px] overflow-y-auto pr-2 scrollbar-thin">
+            {queries.map(query => (
+              <label
+                key={query.id}
+                className="flex items-center gap-2 p-2 rounded-md hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer transition-colors"
+              >
+                <input
+                  type="checkbox"
+                  checked={selectedQueries.has(query.id)}
+                  onChange={() => onToggleQuery(query.id)}
+                  className="w-[18px] h-[18px] cursor-pointer accent-blue-600"
+                />
+                <span className="flex-1 text-sm flex justify-between items-center text-gray-900 dark:text-white">
+                  <span>{query.description}</span>
+                  <span className="text-xs text-gray-500 dark:text-gray-400 bg-gray-100 dark:bg-gray-700 px-2 py-0.5 rounded-full">
+                    {queryCounts[query.id] || 0}
+                  </span>
+                </span>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Reset Filters */}
       <div className="mb-8">
         <button
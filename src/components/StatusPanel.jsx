@@ -0,0 +1,105 @@
+import { useState } from 'react';
+
+const formatDateTime = (iso) => new Date(iso).toLocaleString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+function StatusPanel({ run }) {
+  const [expanded, setExpanded] = useState(false);
+
+  if (!run) return null;
+
+  const failedQueries = run.queries.filter(q => q.failed);
+  const retriedQueries = run.queries.filter(q => !q.failed && q.retries > 0);
+  const healthy = run.status === 'success';
+
+  const styles = {
+    success: 'bg-green-50 dark:bg-green-950 border-green-200 dark:border-green-800 text-green-800 dark:text-green-200',
+    partial: 'bg-yellow-50 dark:bg-yellow-950 border-yellow-300 dark:border-yellow-800 text-yellow-800 dark:text-yellow-200',
+    failed: 'bg-red-50 dark:bg-red-950 border-red-300 dark:border-red-800 text-red-800 dark:text-red-200'
+  };
+
+  const headline = {
+    success: 'Last update succeeded',
+    partial: `Last update was degraded: ${failedQueries.length} of ${run.queries.length} queries failed`,
+    failed: run.error ? `Last update failed: ${run.error}` : 'Last update failed: every query failed'
+  }[run.status];
+
+  return (
+    <div className={`mb-8 border rounded-lg px-4 py-3 text-sm transition-colors duration-300 ${styles[run.status]}`}>
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <div>
+          <strong>{healthy ? '✓' : '⚠'} {headline}</strong>
+          <span className="opacity-80">
+            {' '}· {formatDateTime(run.finishedAt)}
+            {run.window.startDate && ` · papers from ${run.window.startDate} to ${run.window.endDate}`}
+            {` · ${run.papers.fetched} fetched, ${run.papers.added} added`}
+          </span>
+        </div>
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="text-xs font-medium underline opacity-80 hover:opacity-100"
+        >
+          {expanded ? 'Hide details' : 'Details'}
+        </button>
+      </div>
+
+      {!healthy && (
+        <p className="mt-1 opacity-80">
+          {run.lastSuccess
+            ? `Last successful update: ${formatDateTime(run.lastSuccess.finishedAt)}` +
+              (run.lastSuccess.window.endDate ? ` (papers up to ${run.lastSuccess.window.endDate})` : '')
+            : 'No successful update recorded yet.'}
+        </p>
+      )}
+
+      {failedQueries.length > 0 && (
+        <ul className="mt-2 list-disc list-inside">
+          {failedQueries.map(q => (
+            <li key={q.id}>
+              <strong>{q.description}</strong>: {q.error}
+              {q.fetched > 0 && ` (kept ${q.fetched} papers fetched before the failure)`}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {expanded && (
+        <div className="mt-3 overflow-x-auto">
+          <table className="w-full text-left text-xs">
+            <thead>
+              <tr className="opacity-70">
+                <th className="py-1 pr-4 font-medium">Query</th>
+                <th className="py-1 pr-4 font-medium text-right">Fetched</th>
+                <th className="py-1 pr-4 font-medium text-right">New</th>
+                <th className="py-1 pr-4 font-medium text-right">Retries</th>
+                <th className="py-1 font-medium">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {run.queries.map(q => (
+                <tr key={q.id}>
+                  <td className="py-0.5 pr-4">{q.description}</td>
+                  <td className="py-0.5 pr-4 text-right">{q.fetched}</td>
+                  <td className="py-0.5 pr-4 text-right">{q.newPapers}</td>
+                  <td className="py-0.5 pr-4 text-right">{q.retries}</td>
+                  <td className="py-0.5">{q.failed ? 'failed' : q.retries > 0 ? 'retried' : 'ok'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-2 opacity-70">
+            {run.script} · took {Math.round(run.durationMs / 1000)}s
+            {retriedQueries.length > 0 && ` · ${retriedQueries.length} queries needed retries`}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default StatusPanel;
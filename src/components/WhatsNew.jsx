@@ -0,0 +1,177 @@
+import PaperCard from './PaperCard';
+import { arxivAbsUrl } from '../../shared/arxiv-id.js';
+
+function WhatsNew({
+  days,
+  selectedDate,
+  onSelectDate,
+  day,
+  loading,
+  error,
+  papers,
+  queryLabels,
+  savedlist,
+  blocklist,
+  onToggleSave,
+  onRemove
+}) {
+  if (error) {
+    return (
+      <div className="text-center py-16">
+        <p className="text-red-600 dark:text-red-400 mb-2">Failed to load the changelog.</p>
+        <p className="text-gray-500 dark:text-gray-500 text-sm">{error}</p>
+      </div>
+    );
+  }
+
+  if (!loading && days.length === 0) {
+    return (
+      <div className="text-center py-16">
+        <p className="text-gray-600 dark:text-gray-400 text-lg mb-2">No changelog yet.</p>
+        <p className="text-gray-500 dark:text-gray-500 text-sm">
+          Each daily update records the papers it added, updated and removed here.
+        </p>
+      </div>
+    );
+  }
+
+  const position = days.findIndex(d => d.date === selectedDate);
+  const newer = position > 0 ? days[position - 1] : null;
+  const older = position >= 0 && position < days.length - 1 ? days[position + 1] : null;
+
+  // A paper added by one run and updated by a later one the same day is just new
+  const collect = field => [...new Set((day?.runs || []).flatMap(run => run[field]))];
+  const addedIds = collect('added');
+  const updatedIds = collect('updated').filter(id => !addedIds.includes(id));
+  const removedIds = collect('removed');
+
+  const papersById = new Map(papers.map(p => [p.id, p]));
+
+  const renderPapers = (ids) => {
+    const found = ids.map(id => papersById.get(id)).filter(Boolean);
+    const visible = found.filter(p => !blocklist.has(p.id));
+    const hidden = found.length - visible.length;
+    const missing = ids.length - found.length;
+
+    return (
+      <>
+        <div className="flex flex-col gap-6">
+          {visible.map(paper => (
+            <PaperCard
+              key={paper.id}
+              paper={paper}
+              queryLabels={queryLabels}
+              isSaved={savedlist.has(paper.id)}
+              isRemoved={false}
+              viewMode="new"
+              onToggleSave={onToggleSave}
+              onRemove={onRemove}
+            />
+          ))}
+        </div>
+        {(hidden > 0 || missing > 0) && (
+          <p className="text-gray-500 dark:text-gray-500 text-sm mt-4">
+            {hidden > 0 && `${hidden} you removed are hidden. `}
+            {missing > 0 && `${missing} are no longer in the collection.`}
+          </p>
+        )}
+      </>
+    );
+  };
+
+  const sectionTitle = (label, count) => (
+    <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+      {label} <span className="text-gray-500 dark:text-gray-400 font-normal">({count})</span>
+    </h3>
+  );
+
+  const navButton = (target, label) => (
+    <button
+      onClick={() => target && onSelectDate(target.date)}
+      disabled={!target}
+      className="px-3 py-1.5 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-300 rounded-md text-sm font-medium transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div>
+      {/* Day navigation */}
+      <div className="flex flex-wrap items-center gap-3 mb-6 pb-4 border-b border-gray-200 dark:border-gray-700">
+        {navButton(older, '← Older')}
+        <select
+          value={selectedDate || ''}
+          onChange={(e) => onSelectDate(e.target.value)}
+          className="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+        >
+          {days.map(d => (
+            <option key={d.date} value={d.date}>
+              {d.date} (+{d.added} / ~{d.updated} / −{d.removed})
+            </option>
+          ))}
+        </select>
+        {navButton(newer, 'Newer →')}
+      </div>
+
+      {loading && (
+        <div className="text-center py-16">
+          <div className="inline-block w-12 h-12 border-4 border-gray-200 dark:border-gray-700 border-t-blue-600 dark:border-t-blue-400 rounded-full animate-spin mb-4"></div>
+          <p className="text-gray-600 dark:text-gray-400">Loading changelog...</p>
+        </div>
+      )}
+
+      {!loading && day && (
+        <div className="flex flex-col gap-8">
+          {/* Runs that day */}
+          <div className="text-sm text-gray-600 dark:text-gray-400">
+            {day.runs.map((run, i) => (
+              <p key={i}>
+                {new Date(run.finishedAt).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}{' '}
+                {run.script}
+                {run.parameters?.startDate && ` · ${run.parameters.startDate} to ${run.parameters.endDate}`}
+                {` · ${run.added.length} added, ${run.updated.length} updated, ${run.removed.length} removed`}
+              </p>
+            ))}
+          </div>
+
+          <section>
+            {sectionTitle('New papers', addedIds.length)}
+            {addedIds.length > 0
+              ? renderPapers(addedIds)
+              : <p className="text-gray-500 dark:text-gray-500 text-sm">No new papers.</p>}
+          </section>
+
+          {updatedIds.length > 0 && (
+            <section>
+              {sectionTitle('Updated papers', updatedIds.length)}
+              {renderPapers(updatedIds)}
+            </section>
+          )}
+
+          {removedIds.length > 0 && (
+            <section>
+              {sectionTitle('Removed from the collection', removedIds.length)}
+              <ul className="flex flex-wrap gap-2">
+                {removedIds.map(id => (
+                  <li key={id}>
+                    <a
+                      href={arxivAbsUrl(id)}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="px-2 py-1 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded text-sm font-mono hover:underline"
+                    >
+                      {id}
+                    </a>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WhatsNew;
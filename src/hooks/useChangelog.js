@@ -0,0 +1,86 @@
+import { useState, useEffect } from 'react';
+import { checkSchemaVersion } from './usePapers';
+
+// Loads changelog/index.json once enabled, then the file for the selected day
+export function useChangelog(enabled) {
+  const [days, setDays] = useState(null);
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [day, setDay] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const base = import.meta.env.BASE_URL;
+
+  useEffect(() => {
+    if (!enabled || days) return;
+
+    const loadIndex = async () => {
+      try {
+        setLoading(true);
+        const response = await fetch(`${base}data/changelog/index.json`);
+
+        // No update has recorded a changelog yet
+        if (response.status === 404) {
+          setDays([]);
+          return;
+        }
+        if (!response.ok) {
+          throw new Error('Failed to load the changelog');
+        }
+
+        const data = await response.json();
+        checkSchemaVersion(data, 'The changelog');
+
+        setDays(data.days || []);
+        setSelectedDate(data.days?.[0]?.date || null);
+        setError(null);
+      } catch (err) {
+        console.error('Error loading changelog:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadIndex();
+  }, [enabled]);
+
+  useEffect(() => {
+    if (!selectedDate || !days) return;
+
+    const entry = days.find(d => d.date === selectedDate);
+    if (!entry) return;
+
+    const loadDay = async () => {
+      try {
+        setLoading(true);
+        const response = await fetch(`${base}data/changelog/${entry.path}`);
+        if (!response.ok) {
+          throw new Error(`Failed to load the changelog for ${selectedDate}`);
+        }
+
+        const data = await response.json();
+        checkSchemaVersion(data, 'The changelog');
+
+        setDay(data);
+        setError(null);
+      } catch (err) {
+        console.error('Error loading changelog:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadDay();
+  }, [selectedDate, days]);
+
+  return {
+    days: days || [],
+    selectedDate,
+    setSelectedDate,
+    day: day?.date === selectedDate ? day : null,
+    loading,
+    error
+  };
+}
@@ -1,4 +1,17 @@
 import { useState, useEffect } from 'react';
+import { SCHEMA_VERSION, getSchemaVersion } from '../../shared/schema-version.js';
+import { categorizeIndexEntry } from '../../shared/categorizer.js';
+
+// Older files are still readable; a newer one means this build of the site is stale
+export function checkSchemaVersion(data, name) {
+  const version = getSchemaVersion(data);
+  if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `${name} uses data format v${version}, but this version of the site only understands up to v${SCHEMA_VERSION}. ` +
+      'A newer version of the site has probably just been deployed; reload the page to get it.'
+    );
+  }
+}
 
 export function usePapers() {
   const [papers, setPapers] = useState([]);
@@ -27,6 +40,9 @@ export function usePapers() {
         const indexData = await indexResponse.json();
         const categoriesData = await categoriesResponse.json();
 
+        checkSchemaVersion(indexData, 'The paper index');
+        checkSchemaVersion(categoriesData, 'The category list');
+
         setPapers(indexData.papers || []);
         setMeta(indexData.meta || {});
         setCategories(categoriesData);
@@ -42,8 +58,8 @@ export function usePapers() {
     loadData();
   }, []);
 
-  // Recategorize papers with custom keywords
-  const recategorizePapers = (customKeywords, customCategories) => {
+  // Recategorize papers with custom keywords and rules
+  const recategorizePapers = (customKeywords, customCategories, customRules = {}) => {
     if (!categories) return;
 
     const allCategories = [
@@ -51,40 +67,13 @@ export function usePapers() {
       ...customCategories
     ];
 
-    // Build keyword map
-    const keywordMap = {};
-    allCategories.forEach(cat => {
-      const baseKeywords = cat.keywords || [];
-      const additionalKeywords = customKeywords[cat.id] || [];
-      keywordMap[cat.id] = [...new Set([...baseKeywords, ...additionalKeywords])];
-    });
-
-    // Recategorize papers
-    const updatedPapers = papers.map(paper => {
-      const text = `${paper.title} ${paper.abstract || ''}`.toLowerCase();
-      const matchedCategories = [];
-
-      allCategories.forEach(cat => {
-        const keywords = keywordMap[cat.id] || [];
-        let matchCount = 0;
-
-        keywords.forEach(keyword => {
-          if (text.includes(keyword.toLowerCase())) {
-            matchCount++;
-          }
-        });
-
-        // Add category if at least 1 keyword matches
-        if (matchCount >= 1) {
-          matchedCategories.push(cat.id);
-        }
-      });
-
-      return {
-        ...paper,
-        categories: matchedCategories
-      };
-    });
+    // Same categorizer as the pipeline (scripts/categorize-papers.js). A user's rule
+    // replaces the category's own; an empty one switches back to keywords. Curators'
+    // overrides (overrides.json) still apply on top.
+    const updatedPapers = papers.map(paper => ({
+      ...paper,
+      ...categorizeIndexEntry(paper, allCategories, { customKeywords, customRules })
+    }));
 
     setPapers(updatedPapers);
   };
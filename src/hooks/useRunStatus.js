@@ -0,0 +1,26 @@
+import { useState, useEffect } from 'react';
+import { checkSchemaVersion } from './usePapers';
+
+// Loads runs/latest.json; a missing or unreadable report just hides the status panel
+export function useRunStatus() {
+  const [run, setRun] = useState(null);
+
+  useEffect(() => {
+    const loadRun = async () => {
+      try {
+        const response = await fetch(`${import.meta.env.BASE_URL}data/runs/latest.json`);
+        if (!response.ok) return;
+
+        const data = await response.json();
+        checkSchemaVersion(data, 'The run report');
+        setRun(data);
+      } catch (err) {
+        console.error('Error loading run report:', err);
+      }
+    };
+
+    loadRun();
+  }, []);
+
+  return run;
+}
@@ -1,11 +1,23 @@
 import Fuse from 'fuse.js';
 
+// Strongest category confidence of a paper, over the selected categories if any;
+// null for papers categorized before scores were recorded
+export function categoryStrength(paper, selectedCategories) {
+  const scores = (paper.categories || [])
+    .filter(cat => selectedCategories.size === 0 || selectedCategories.has(cat))
+    .map(cat => paper.categoryScores?.[cat])
+    .filter(score => score !== undefined);
+  return scores.length > 0 ? Math.max(...scores) : null;
+}
+
 export function applySearchFilter(papers, filters) {
   const {
     searchQuery,
     sortBy,
     selectedCategories,
+    minStrength = 0,
     selectedYears,
+    selectedQueries,
     viewMode,
     savedlist,
     blocklist
@@ -30,6 +42,13 @@ export function applySearchFilter(papers, filters) {
     );
   }
 
+  // Apply category strength filter (papers without scores are left out while it's on)
+  if (minStrength > 0) {
+    filtered = filtered.filter(paper =>
+      (categoryStrength(paper, selectedCategories) ?? 0) >= minStrength
+    );
+  }
+
   // Apply year filters
   if (selectedYears.size > 0) {
     filtered = filtered.filter(paper =>
@@ -37,6 +56,13 @@ export function applySearchFilter(papers, filters) {
     );
   }
 
+  // Apply "found via" query filters
+  if (selectedQueries?.size > 0) {
+    filtered = filtered.filter(paper =>
+      paper.matchedQueries?.some(id => selectedQueries.has(id))
+    );
+  }
+
   // Apply search query
   if (searchQuery.trim()) {
     const fuse = new Fuse(filtered, {
@@ -59,6 +85,11 @@ export function applySearchFilter(papers, filters) {
     filtered.sort((a, b) => new Date(b.publishedDate) - new Date(a.publishedDate));
   } else if (sortBy === 'date-asc') {
     filtered.sort((a, b) => new Date(a.publishedDate) - new Date(b.publishedDate));
+  } else if (sortBy === 'strength-desc') {
+    filtered.sort((a, b) =>
+      (categoryStrength(b, selectedCategories) ?? -1) - (categoryStrength(a, selectedCategories) ?? -1) ||
+      new Date(b.publishedDate) - new Date(a.publishedDate)
+    );
   }
   // 'relevance' sorting is implicit from Fuse.js results when searching
 
@@ -0,0 +1,53 @@
+/**
+ * Parsing and normalizing arXiv IDs (shared/arxiv-id.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArxivId, normalizeArxivId, arxivAbsUrl, arxivPdfUrl } from '../shared/arxiv-id.js';
+
+test('parses new-style IDs with and without a version', () => {
+  assert.deepEqual(parseArxivId('2301.12345'), { id: '2301.12345', version: null });
+  assert.deepEqual(parseArxivId('2301.12345v12'), { id: '2301.12345', version: 12 });
+  assert.deepEqual(parseArxivId('0704.0001v1'), { id: '0704.0001', version: 1 });
+});
+
+test('parses old-style IDs, dropping the subject class', () => {
+  assert.deepEqual(parseArxivId('hep-th/9901001'), { id: 'hep-th/9901001', version: null });
+  assert.deepEqual(parseArxivId('math.GT/0309136v2'), { id: 'math/0309136', version: 2 });
+  assert.deepEqual(parseArxivId('CS/0112017'), { id: 'cs/0112017', version: null });
+});
+
+test('accepts arXiv: prefixes and abs and pdf URLs', () => {
+  const forms = [
+    ' arXiv:2301.12345v3 ',
+    'https://arxiv.org/abs/2301.12345v3',
+    'http://export.arxiv.org/abs/2301.12345v3?context=cs',
+    'https://arxiv.org/pdf/2301.12345v3.pdf',
+    'https://arxiv.org/pdf/2301.12345v3/'
+  ];
+  for (const form of forms) {
+    assert.deepEqual(parseArxivId(form), { id: '2301.12345', version: 3 }, form);
+  }
+
+  assert.deepEqual(parseArxivId('https://arxiv.org/abs/cs.AI/0112017'), { id: 'cs/0112017', version: null });
+});
+
+test('rejects what is not an arXiv ID', () => {
+  for (const input of ['', '2301.123', '23011.2345', '2301.12345v', 'hep-th/990100', 'https://example.org/abs/2301.12345', null, 2301.12345]) {
+    assert.equal(parseArxivId(input), null, String(input));
+  }
+});
+
+test('normalizes to the unversioned key and falls back to the trimmed input', () => {
+  assert.equal(normalizeArxivId('arXiv:2301.12345v2'), '2301.12345');
+  assert.equal(normalizeArxivId('math.GT/0309136v1'), 'math/0309136');
+  assert.equal(normalizeArxivId(' not-an-id '), 'not-an-id');
+  assert.equal(normalizeArxivId(undefined), '');
+});
+
+test('builds abs and pdf URLs, versioned on request', () => {
+  assert.equal(arxivAbsUrl('2301.12345'), 'https://arxiv.org/abs/2301.12345');
+  assert.equal(arxivAbsUrl('hep-th/9901001', 2), 'https://arxiv.org/abs/hep-th/9901001v2');
+  assert.equal(arxivPdfUrl('2301.12345', 3), 'https://arxiv.org/pdf/2301.12345v3');
+});
@@ -0,0 +1,123 @@
+/**
+ * Backfill date windows (splitDateWindow) and the adaptive split of windows
+ * with more results than the threshold
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { splitDateWindow, fetchPapersForQuery } from '../scripts/fetch-arxiv.js';
+import FetchCheckpoint from '../scripts/utils/checkpoint.js';
+import { mockTransport, searchQueryOf } from './helpers/arxiv-api.js';
+import { fixturePaper } from './helpers/papers.js';
+
+/**
+ * Assert that windows cover a range day by day, without gaps or overlaps
+ * @param {Array} windows - Result of splitDateWindow
+ * @param {Object} range - {startDate, endDate}
+ */
+function assertCovers(windows, range) {
+  assert.equal(windows[0].startDate, range.startDate);
+  assert.equal(windows.at(-1).endDate, range.endDate);
+
+  windows.forEach((window, i) => {
+    assert.ok(window.startDate <= window.endDate, JSON.stringify(window));
+    if (i > 0) {
+      const dayAfter = new Date(Date.parse(`${windows[i - 1].endDate}T00:00:00Z`) + 86400000).toISOString().slice(0, 10);
+      assert.equal(window.startDate, dayAfter);
+    }
+  });
+}
+
+test('splits a range into calendar years, months and 7-day weeks', () => {
+  const years = { startDate: '2024-03-15', endDate: '2026-02-10' };
+  assert.deepEqual(splitDateWindow(years, 'year'), [
+    { startDate: '2024-03-15', endDate: '2024-12-31' },
+    { startDate: '2025-01-01', endDate: '2025-12-31' },
+    { startDate: '2026-01-01', endDate: '2026-02-10' }
+  ]);
+
+  const months = { startDate: '2024-01-20', endDate: '2024-03-05' };
+  assert.deepEqual(splitDateWindow(months, 'month'), [
+    { startDate: '2024-01-20', endDate: '2024-01-31' },
+    { startDate: '2024-02-01', endDate: '2024-02-29' },
+    { startDate: '2024-03-01', endDate: '2024-03-05' }
+  ]);
+
+  const weeks = { startDate: '2026-01-01', endDate: '2026-01-20' };
+  assert.deepEqual(splitDateWindow(weeks, 'week'), [
+    { startDate: '2026-01-01', endDate: '2026-01-07' },
+    { startDate: '2026-01-08', endDate: '2026-01-14' },
+    { startDate: '2026-01-15', endDate: '2026-01-20' }
+  ]);
+
+  for (const [range, granularity] of [[years, 'year'], [months, 'month'], [weeks, 'week']]) {
+    assertCovers(splitDateWindow(range, granularity), range);
+  }
+});
+
+test('a single day is one window at every granularity', () => {
+  const day = { startDate: '2025-12-31', endDate: '2025-12-31' };
+  for (const granularity of ['year', 'month', 'week']) {
+    assert.deepEqual(splitDateWindow(day, granularity), [day]);
+  }
+});
+
+test('windows over the threshold are split into months, then weeks', async () => {
+  const paper = (id, date) => fixturePaper(id, { title: `Language Model ${id}`, publishedDate: `${date}T12:00:00Z` });
+  const papers = [
+    paper('2507.00001', '2025-07-10'),
+    paper('2511.00002', '2025-11-02'),
+    paper('2601.00003', '2026-01-02'),
+    paper('2601.00004', '2026-01-05'),
+    paper('2601.00005', '2026-01-09'),
+    paper('2601.00006', '2026-01-10'),
+    paper('2601.00007', '2026-01-20'),
+    paper('2602.00008', '2026-02-14')
+  ];
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llmpapers-backfill-'));
+  const checkpoint = new FetchCheckpoint(path.join(dir, 'checkpoint.json'));
+  checkpoint.reset({ startDate: '2025-06-01', endDate: '2026-03-31', backfill: true, windowThreshold: 3 });
+
+  const transport = mockTransport(papers);
+  const coverage = [];
+
+  try {
+    const fetched = await fetchPapersForQuery('ti:language', {
+      backfill: true,
+      startDate: '2025-06-01',
+      endDate: '2026-03-31',
+      windowThreshold: 3,
+      checkpoint,
+      transport,
+      onWindow: record => coverage.push(record)
+    });
+
+    assert.deepEqual(fetched.map(p => p.id).sort(), papers.map(p => p.id).sort());
+
+    // 2025 fits; 2026 is split into months and January into weeks
+    assert.deepEqual(coverage.map(r => [r.granularity, r.startDate, r.endDate, r.totalResults, r.complete]), [
+      ['year', '2025-06-01', '2025-12-31', 2, true],
+      ['week', '2026-01-01', '2026-01-07', 2, true],
+      ['week', '2026-01-08', '2026-01-14', 2, true],
+      ['week', '2026-01-15', '2026-01-21', 1, true],
+      ['week', '2026-01-22', '2026-01-28', 0, true],
+      ['week', '2026-01-29', '2026-01-31', 0, true],
+      ['month', '2026-02-01', '2026-02-28', 1, true],
+      ['month', '2026-03-01', '2026-03-31', 0, true]
+    ]);
+
+    assert.equal(checkpoint.getWindow('ti:language', { startDate: '2026-01-01', endDate: '2026-03-31' }).split, true);
+    assert.equal(checkpoint.getWindow('ti:language', { startDate: '2026-01-01', endDate: '2026-01-31' }).split, true);
+    assert.deepEqual(checkpoint.getIncomplete(), []);
+
+    // Empty windows are sized but never paged
+    const paged = transport.urls.filter(url => new URL(url).searchParams.get('max_results') !== '1');
+    assert.ok(paged.every(url => !searchQueryOf(url).includes('202603010000')));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,92 @@
+/**
+ * Incremental index builds (collectIndexPapers in scripts/build-index.js)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { collectIndexPapers } from '../scripts/build-index.js';
+import DataStore, { hashContent } from '../scripts/utils/data-store.js';
+import { overridesById } from '../scripts/utils/overrides.js';
+import { fixturePaper } from './helpers/papers.js';
+
+const inMonth = (id, month, fields = {}) => fixturePaper(id, {
+  publishedDate: `${month}-08T12:00:00Z`,
+  updatedDate: `${month}-08T12:00:00Z`,
+  categories: ['agents'],
+  ...fields
+});
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llmpapers-index-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Build the index entries the way buildAndSaveIndex does
+ * @param {DataStore} store - Paper store
+ * @param {Object|null} previous - Previous index ({papers, meta: {sources}})
+ * @param {Object} inputs - {blocklist: Array of IDs, overrides: Array, entryFormat}
+ * @returns {Promise<Object>} {papers, reused, rebuilt, index: the result as the next build's previous index}
+ */
+async function collect(store, previous, inputs = {}) {
+  const { blocklist = [], overrides = [], entryFormat = 4 } = inputs;
+  const manifest = await store.getManifest();
+  const sources = {
+    entryFormat,
+    blocklist: hashContent(JSON.stringify([...blocklist].sort())),
+    overrides: hashContent(JSON.stringify(overrides)),
+    shards: Object.fromEntries(manifest.shards.map(shard => [shard.month, shard.sha256]))
+  };
+
+  const result = await collectIndexPapers(store, previous, new Set(blocklist), overridesById(overrides), sources);
+  return { ...result, index: { papers: result.papers, meta: { sources } } };
+}
+
+test('only shards that changed since the previous build are read again', async () => {
+  const store = new DataStore({ dataDir: path.join(dir, 'changed') });
+  await store.merge([inMonth('2512.00001', '2025-12'), inMonth('2601.00002', '2026-01')]);
+
+  const first = await collect(store, null);
+  assert.deepEqual(first.reused, []);
+  assert.deepEqual(first.rebuilt, ['2025-12', '2026-01']);
+
+  // Mark the previous entries so reused ones can be told apart from rebuilt ones
+  const previous = { ...first.index, papers: first.index.papers.map(entry => ({ ...entry, title: `${entry.title} (previous)` })) };
+
+  await store.merge([inMonth('2601.00003', '2026-01')]);
+  const second = await collect(store, previous);
+
+  assert.deepEqual(second.reused, ['2025-12']);
+  assert.deepEqual(second.rebuilt, ['2026-01']);
+  assert.deepEqual(second.papers.map(p => [p.id, p.title]), [
+    ['2512.00001', 'Paper 2512.00001 (previous)'],
+    ['2601.00002', 'Paper 2601.00002'],
+    ['2601.00003', 'Paper 2601.00003']
+  ]);
+});
+
+test('a new blocklist, new overrides or a new entry format rebuild every month', async () => {
+  const store = new DataStore({ dataDir: path.join(dir, 'inputs') });
+  await store.merge([inMonth('2512.00001', '2025-12'), inMonth('2601.00002', '2026-01')]);
+  const { index } = await collect(store, null);
+
+  assert.deepEqual((await collect(store, index)).rebuilt, []);
+
+  const blocked = await collect(store, index, { blocklist: ['2512.00001'] });
+  assert.deepEqual(blocked.rebuilt, ['2025-12', '2026-01']);
+  assert.deepEqual(blocked.papers.map(p => p.id), ['2601.00002']);
+
+  const overridden = await collect(store, index, { overrides: [{ id: '2601.00002', add: ['surveys'], remove: ['agents'] }] });
+  assert.deepEqual(overridden.rebuilt, ['2025-12', '2026-01']);
+  assert.deepEqual(overridden.papers.find(p => p.id === '2601.00002').categories, ['surveys']);
+
+  assert.deepEqual((await collect(store, index, { entryFormat: 5 })).rebuilt, ['2025-12', '2026-01']);
+});
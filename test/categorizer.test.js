@@ -0,0 +1,117 @@
+/**
+ * The categorization contract between the pipeline and the site: a paper
+ * categorized by scripts/categorize-papers.js and written to index.json by
+ * build-index must get the same category IDs, order and scores when the site
+ * categorizes its index entry (src/hooks/usePapers.js), overrides included.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { categorizePapers } from '../scripts/categorize-papers.js';
+import { toIndexEntry } from '../scripts/build-index.js';
+import { categoryFields, categorizeIndexEntry } from '../shared/categorizer.js';
+import { fixturePaper } from './helpers/papers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.join(path.dirname(__filename), '..');
+
+// The repo's categories plus one decided by a rule and one with negative keywords
+const CATEGORIES = [
+  ...JSON.parse(fs.readFileSync(path.join(ROOT, 'public', 'data', 'categories.json'), 'utf-8')).categories,
+  {
+    id: 'surveys',
+    name: 'Surveys',
+    keywords: ['survey'],
+    rule: 'title:(survey OR review) OR comment:survey OR arxiv:cs.DL'
+  },
+  {
+    id: 'security',
+    name: 'Security',
+    keywords: ['jailbreak', 'attack', { keyword: 'backdoor', weight: 2 }],
+    negativeKeywords: ['adversarial robustness benchmark'],
+    threshold: 2
+  }
+];
+
+const PAPERS = [
+  fixturePaper('2601.00001', {
+    title: 'Tool-Using LLM Agents for Code Generation',
+    abstract: 'We evaluate autonomous agents that call APIs and write code, and report benchmark results with chain of thought prompting.'
+  }),
+  fixturePaper('2601.00002', {
+    title: 'Retrieval Augmented Generation: Systems and Open Problems',
+    abstract: 'We cover RAG systems, knowledge base construction and retrieval metrics.',
+    comment: 'Survey, 40 pages'
+  }),
+  fixturePaper('2601.00003', {
+    title: 'Backdoor Attacks on Instruction-Tuned Models',
+    abstract: 'A jailbreak and backdoor attack study on instruction following.'
+  }),
+  fixturePaper('2601.00004', {
+    title: 'An Adversarial Robustness Benchmark for Jailbreak Attacks',
+    abstract: 'We release an adversarial robustness benchmark covering backdoor and jailbreak attack settings.'
+  }),
+  fixturePaper('2601.00005', {
+    title: 'Task Decomposition and Plan Generation for Embodied Robots',
+    abstract: 'Robots use language models for task planning; multi-agent coordination is left to future work.',
+    arxivCategories: ['cs.RO', 'cs.DL']
+  }),
+  fixturePaper('2601.00006', {
+    title: 'Inference Hardware for Large Language Models',
+    abstract: 'Challenges and directions for accelerators.'
+  })
+];
+
+const OVERRIDES = new Map([
+  ['2601.00001', { id: '2601.00001', add: ['planning'], remove: ['evaluation'], note: 'fixture' }],
+  ['2601.00006', { id: '2601.00006', add: ['evaluation'], note: 'fixture' }]
+]);
+
+/**
+ * Run the fixtures through the pipeline: categorize, then build the index entries
+ * @returns {Array<Object>} [{stored, entry}]
+ */
+function pipeline() {
+  return categorizePapers(PAPERS, CATEGORIES, { verbose: false })
+    .map(stored => ({ stored, entry: toIndexEntry(stored, OVERRIDES.get(stored.id) || null) }));
+}
+
+test('the fixtures exercise ordering, rules, negative keywords and overrides', () => {
+  const stored = new Map(pipeline().map(({ stored }) => [stored.id, stored]));
+  const order = CATEGORIES.map(c => c.id);
+
+  assert.ok([...stored.values()].some(p => p.categories.some((id, i) => i > 0 && order.indexOf(id) < order.indexOf(p.categories[i - 1]))),
+    'a paper whose categories are not in definition order');
+  assert.ok(stored.get('2601.00002').categories.includes('surveys'));
+  assert.ok(stored.get('2601.00005').categories.includes('surveys'));
+  assert.ok(stored.get('2601.00003').categories.includes('security'));
+  assert.ok(!stored.get('2601.00004').categories.includes('security'));
+  assert.ok(stored.get('2601.00001').categories.includes('evaluation'));
+  assert.deepEqual(stored.get('2601.00006').categories, []);
+});
+
+test('the site categorizes index entries like the pipeline stored the papers', () => {
+  for (const { stored, entry } of pipeline()) {
+    const site = categoryFields(entry, CATEGORIES);
+
+    assert.deepEqual(site.categories, stored.categories, stored.id);
+    assert.equal(JSON.stringify(site.categoryScores), JSON.stringify(stored.categoryScores), stored.id);
+  }
+});
+
+test('the site reproduces the index entry categories, overrides included', () => {
+  for (const { entry } of pipeline()) {
+    const site = categorizeIndexEntry(entry, CATEGORIES);
+
+    assert.deepEqual(site.categories, entry.categories, entry.id);
+    assert.equal(JSON.stringify(site.categoryScores), JSON.stringify(entry.categoryScores), entry.id);
+  }
+
+  const entries = new Map(pipeline().map(({ entry }) => [entry.id, entry]));
+  assert.ok(entries.get('2601.00001').categories.includes('planning'));
+  assert.ok(!entries.get('2601.00001').categories.includes('evaluation'));
+  assert.deepEqual(entries.get('2601.00006').categories, ['evaluation']);
+});
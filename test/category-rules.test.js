@@ -0,0 +1,110 @@
+/**
+ * The category rule language (shared/category-rules.js): parsing, operator
+ * precedence, field scoping, N OF, arxiv: and the positions of syntax errors
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRule, validateRule, evaluateRule, RuleSyntaxError } from '../shared/category-rules.js';
+
+const PAPER = {
+  title: 'Planning Agents for Embodied Robots',
+  abstract: 'Large language models decompose tasks into subgoals and use tools.',
+  comment: 'Survey, 12 pages',
+  arxivCategories: ['cs.RO', 'cs.CL']
+};
+
+/**
+ * Evaluate a rule against PAPER
+ * @param {string} rule - Rule text
+ * @returns {boolean} Whether the rule matched
+ */
+function matches(rule) {
+  return evaluateRule(rule, PAPER).matched;
+}
+
+test('AND binds tighter than OR, and parentheses override it', () => {
+  assert.deepEqual(parseRule('a OR b AND c'), {
+    type: 'or',
+    children: [
+      { type: 'term', field: null, keyword: 'a' },
+      { type: 'and', children: [{ type: 'term', field: null, keyword: 'b' }, { type: 'term', field: null, keyword: 'c' }] }
+    ]
+  });
+  assert.equal(parseRule('(a OR b) AND c').type, 'and');
+
+  assert.equal(matches('planning OR missing AND absent'), true);
+  assert.equal(matches('(planning OR missing) AND absent'), false);
+});
+
+test('NOT negates the next atom and its terms do not count towards the strength', () => {
+  assert.equal(matches('planning AND NOT reinforcement'), true);
+  assert.equal(matches('planning AND NOT robots'), false);
+  assert.equal(matches('NOT NOT planning'), true);
+  assert.equal(matches('NOT planning OR robots'), true);
+
+  assert.deepEqual(evaluateRule('planning AND robots AND NOT reinforcement', PAPER), { matched: true, terms: 2 });
+});
+
+test('N OF needs at least N of its items', () => {
+  assert.equal(matches('2 OF (planning, subgoal, reinforcement)'), true);
+  assert.equal(matches('3 OF (planning, subgoal, reinforcement)'), false);
+  assert.equal(matches('2 OF (reinforcement, title:robots, missing OR tools)'), true);
+  assert.equal(evaluateRule('1 OF (planning, robots, absent)', PAPER).terms, 2);
+});
+
+test('fields scope a term or a group to one part of the paper', () => {
+  assert.equal(matches('title:planning'), true);
+  assert.equal(matches('abstract:planning'), false);
+  assert.equal(matches('title:(subgoal OR robots)'), true);
+  assert.equal(matches('abstract:(planning OR robots)'), false);
+  assert.equal(matches('comment:survey'), true);
+  assert.equal(matches('survey'), false, 'unscoped terms search the title and abstract only');
+});
+
+test('arxiv: matches a category or a whole archive', () => {
+  assert.equal(matches('arxiv:cs.RO'), true);
+  assert.equal(matches('arxiv:cs.ro'), true);
+  assert.equal(matches('arxiv:cs'), true);
+  assert.equal(matches('arxiv:cs.*'), true);
+  assert.equal(matches('arxiv:cs.LG'), false);
+  assert.equal(matches('arxiv:stat'), false);
+});
+
+test('quoted phrases match exactly, like quoted category keywords', () => {
+  assert.equal(matches('"language models"'), true);
+  assert.equal(matches('"language model"'), false);
+  assert.equal(matches('language AND model'), true);
+  assert.equal(matches('"decompose subgoals"~2'), true);
+  assert.equal(matches('"decompose subgoal"~2'), false);
+  assert.deepEqual(parseRule('"tool use"~2'), { type: 'term', field: null, keyword: '"tool use"~2' });
+});
+
+test('syntax errors report where parsing failed', () => {
+  const cases = [
+    ['planning AND', 'Unexpected end of rule', 12],
+    ['(planning OR robots', 'Missing closing parenthesis', 19],
+    ['planning robots', 'Unexpected "robots"', 9],
+    ['planning AND "tool use', 'Unterminated quoted phrase', 13],
+    ['venue:planning', 'Unknown field "venue"', 0],
+    ['4 OF (a, b, c)', '4 OF needs between 1 and 3', 0],
+    ['2 OF a, b', 'Expected "(" after 2 OF', 5],
+    ['2 OF (a, b c)', 'Expected "," or ")" in OF list', 11],
+    ['arxiv:"cs RO"', 'arxiv: takes a category', 6],
+    ['title: AND', 'Expected a word', 7],
+    ['"a b"~2 OR "x"~1', 'keyword ""x"~1": ~1 needs at least two words', 11],
+    ['', 'Empty rule', 0]
+  ];
+
+  for (const [rule, message, position] of cases) {
+    assert.throws(() => parseRule(rule), error => {
+      assert.ok(error instanceof RuleSyntaxError, rule);
+      assert.ok(error.message.startsWith(message), `${rule}: ${error.message}`);
+      assert.equal(error.position, position, rule);
+      return true;
+    });
+  }
+
+  assert.deepEqual(validateRule('planning AND'), { valid: false, error: 'Unexpected end of rule (at position 12)', position: 12 });
+  assert.deepEqual(validateRule('planning'), { valid: true, error: null, position: null });
+});
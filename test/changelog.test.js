@@ -0,0 +1,77 @@
+/**
+ * The per-day changelog of update runs (scripts/utils/changelog.js)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { recordRun, readChangelogDay, summarizeChangelogDay, rebuildChangelogIndex, changelogDir } from '../scripts/utils/changelog.js';
+import { DataWriteError } from '../scripts/utils/safe-write.js';
+
+let dataDir;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'llmpapers-changelog-'));
+});
+
+after(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * An update run as the update scripts record it
+ * @param {Object} papers - {added, updated, removed} paper IDs
+ * @returns {Object} Run
+ */
+function run(papers = {}) {
+  return {
+    script: 'update-incremental',
+    startedAt: '2026-01-09T06:00:00.000Z',
+    finishedAt: '2026-01-09T06:05:00.000Z',
+    parameters: { lookbackDays: 2 },
+    added: [],
+    updated: [],
+    removed: [],
+    ...papers
+  };
+}
+
+test('runs on the same day are appended with their IDs sorted and deduplicated', async () => {
+  const filePath = await recordRun('2026-01-09', run({ added: ['2601.00003', '2601.00001', '2601.00003'], updated: ['2512.00009'] }), { dataDir });
+  await recordRun('2026-01-09', run({ added: ['2601.00002'], updated: ['2512.00009'], removed: ['2601.00001'] }), { dataDir });
+
+  assert.equal(filePath, path.join(changelogDir(dataDir), '2026-01-09.json'));
+
+  const day = await readChangelogDay('2026-01-09', { dataDir });
+  assert.deepEqual(day.runs.map(({ added, updated, removed }) => ({ added, updated, removed })), [
+    { added: ['2601.00001', '2601.00003'], updated: ['2512.00009'], removed: [] },
+    { added: ['2601.00002'], updated: ['2512.00009'], removed: ['2601.00001'] }
+  ]);
+
+  // Papers changed by several runs count once
+  assert.deepEqual(summarizeChangelogDay(day), { date: '2026-01-09', path: '2026-01-09.json', runs: 2, added: 3, updated: 1, removed: 1 });
+  assert.equal(await readChangelogDay('2026-01-10', { dataDir }), null);
+});
+
+test('the index lists every day, newest first', async () => {
+  await recordRun('2026-01-07', run({ added: ['2601.00004'] }), { dataDir });
+  await recordRun('2026-01-10', run(), { dataDir });
+
+  const stored = JSON.parse(await fs.readFile(path.join(changelogDir(dataDir), 'index.json'), 'utf-8'));
+  assert.deepEqual(stored.days.map(day => [day.date, day.runs, day.added]), [
+    ['2026-01-10', 1, 0],
+    ['2026-01-09', 2, 3],
+    ['2026-01-07', 1, 1]
+  ]);
+
+  // Rebuilding from the day files gives the same days
+  await fs.rm(path.join(changelogDir(dataDir), 'index.json'));
+  assert.deepEqual((await rebuildChangelogIndex({ dataDir })).days, stored.days);
+});
+
+test('runs with invalid IDs are not recorded', async () => {
+  await assert.rejects(recordRun('2026-01-11', run({ added: ['not an id'] }), { dataDir }), DataWriteError);
+  assert.equal(await readChangelogDay('2026-01-11', { dataDir }), null);
+});
@@ -0,0 +1,121 @@
+/**
+ * Fetch checkpoints (scripts/utils/checkpoint.js) and resuming a query from one
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import FetchCheckpoint from '../scripts/utils/checkpoint.js';
+import { fetchPapersForQuery } from '../scripts/fetch-arxiv.js';
+import { mockTransport } from './helpers/arxiv-api.js';
+import { fixturePaper } from './helpers/papers.js';
+
+const WINDOW = { startDate: '2026-01-01', endDate: '2026-01-31' };
+const QUERY = 'ti:"language model"';
+
+// 150 matching papers: two pages of 100
+const PAPERS = Array.from({ length: 150 }, (_, i) => fixturePaper(`2601.${String(i + 1).padStart(5, '0')}`, {
+  title: `Language Model Study ${i + 1}`,
+  publishedDate: `2026-01-${String(1 + (i % 28)).padStart(2, '0')}T12:00:00Z`
+}));
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llmpapers-checkpoint-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * A fresh checkpoint for WINDOW in its own file
+ * @param {string} name - File name
+ * @returns {FetchCheckpoint} Checkpoint
+ */
+function newCheckpoint(name) {
+  const checkpoint = new FetchCheckpoint(path.join(dir, name));
+  checkpoint.reset({ ...WINDOW, backfill: false });
+  return checkpoint;
+}
+
+test('progress survives a save and load', async () => {
+  const checkpoint = newCheckpoint('progress.json');
+  await checkpoint.recordPage('q1', WINDOW, { start: 100, totalResults: 150 });
+  await checkpoint.recordSplit('q2', WINDOW, 20000);
+  await checkpoint.completeWindow('q3', WINDOW);
+
+  const loaded = new FetchCheckpoint(checkpoint.filePath);
+  assert.equal(await loaded.load(), true);
+  assert.equal(loaded.state.startDate, WINDOW.startDate);
+  assert.equal(loaded.state.endDate, WINDOW.endDate);
+  assert.deepEqual(loaded.getWindow('q1', WINDOW), { ...WINDOW, start: 100, totalResults: 150, completed: false });
+  assert.equal(loaded.getWindow('q1', { startDate: '2026-02-01', endDate: '2026-02-28' }), null);
+
+  // Split and completed windows are done; only q1 is left
+  assert.deepEqual(loaded.getIncomplete().map(entry => entry.queryKey), ['q1']);
+});
+
+test('failures are recorded until the window makes progress again', async () => {
+  const checkpoint = newCheckpoint('failures.json');
+  await checkpoint.recordFailure('q1', WINDOW, 'HTTP 503');
+
+  assert.deepEqual(checkpoint.getIncomplete(), [{ queryKey: 'q1', ...WINDOW, start: 0, totalResults: null, completed: false, error: 'HTTP 503' }]);
+
+  await checkpoint.recordPage('q1', WINDOW, { start: 100, totalResults: 150 });
+  assert.equal(checkpoint.getWindow('q1', WINDOW).error, undefined);
+});
+
+test('load reports a missing file and rejects other checkpoint versions', async () => {
+  assert.equal(await new FetchCheckpoint(path.join(dir, 'missing.json')).load(), false);
+
+  const filePath = path.join(dir, 'future.json');
+  await fs.writeFile(filePath, JSON.stringify({ version: 99, queries: {} }));
+  await assert.rejects(new FetchCheckpoint(filePath).load(), /Unsupported checkpoint version: 99/);
+
+  const checkpoint = newCheckpoint('removed.json');
+  await checkpoint.save();
+  await checkpoint.remove();
+  await assert.rejects(fs.access(checkpoint.filePath));
+});
+
+test('a query resumes at the saved offset and is skipped once complete', async () => {
+  const checkpoint = newCheckpoint('resume.json');
+  await checkpoint.recordPage(QUERY, WINDOW, { start: 100, totalResults: 150 });
+
+  const transport = mockTransport(PAPERS);
+  const papers = await fetchPapersForQuery(QUERY, { ...WINDOW, checkpoint, transport });
+
+  assert.equal(transport.urls.length, 1);
+  assert.equal(new URL(transport.urls[0]).searchParams.get('start'), '100');
+  assert.equal(papers.length, 50);
+  assert.equal(checkpoint.getWindow(QUERY, WINDOW).completed, true);
+
+  const again = await fetchPapersForQuery(QUERY, { ...WINDOW, checkpoint, transport });
+  assert.deepEqual(again, []);
+  assert.equal(transport.urls.length, 1);
+});
+
+test('a failed page is retried from its offset on resume', async () => {
+  const checkpoint = newCheckpoint('retry.json');
+  const failing = mockTransport(PAPERS, { failWhen: url => new URL(url).searchParams.get('start') === '100' });
+
+  await assert.rejects(
+    fetchPapersForQuery(QUERY, { ...WINDOW, checkpoint, transport: failing }),
+    error => error.papers.length === 100 && error.nextStart === 100
+  );
+  assert.equal(checkpoint.getWindow(QUERY, WINDOW).start, 100);
+  assert.match(checkpoint.getWindow(QUERY, WINDOW).error, /HTTP 400/);
+
+  const resumed = new FetchCheckpoint(checkpoint.filePath);
+  await resumed.load();
+  const transport = mockTransport(PAPERS);
+  const papers = await fetchPapersForQuery(QUERY, { ...WINDOW, checkpoint: resumed, transport });
+
+  assert.deepEqual(transport.urls.map(url => new URL(url).searchParams.get('start')), ['100']);
+  assert.equal(papers.length, 50);
+  assert.deepEqual(resumed.getIncomplete(), []);
+});
@@ -0,0 +1,181 @@
+/**
+ * The data store (scripts/utils/data-store.js) over a temp data directory
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import DataStore, { DATA_DIR, hashContent } from '../scripts/utils/data-store.js';
+import { SCHEMA_VERSION } from '../scripts/utils/migrations.js';
+import { fixturePaper } from './helpers/papers.js';
+
+let root;
+let stores = 0;
+
+before(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'llmpapers-store-'));
+});
+
+after(async () => {
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+/**
+ * A store over a fresh data directory holding a copy of categories.json
+ * @returns {Promise<DataStore>} Store
+ */
+async function newStore() {
+  const dataDir = path.join(root, `data-${++stores}`);
+  await fs.mkdir(dataDir);
+  await fs.copyFile(path.join(DATA_DIR, 'categories.json'), path.join(dataDir, 'categories.json'));
+  return new DataStore({ dataDir });
+}
+
+const inMonth = (id, month, fields = {}) => fixturePaper(id, { publishedDate: `${month}-08T12:00:00Z`, updatedDate: `${month}-08T12:00:00Z`, ...fields });
+
+test('loads the categories of its data directory', async () => {
+  const store = await newStore();
+  const stored = JSON.parse(await fs.readFile(path.join(DATA_DIR, 'categories.json'), 'utf-8'));
+
+  assert.deepEqual((await store.getCategories()).map(c => c.id), stored.categories.map(c => c.id));
+});
+
+test('merged papers can be listed, loaded and found by ID', async () => {
+  const store = await newStore();
+  const result = await store.merge([
+    inMonth('2602.00002', '2026-02'),
+    inMonth('2512.00001', '2025-12'),
+    inMonth('2602.00003', '2026-02')
+  ]);
+
+  assert.equal(result.added, 3);
+  assert.deepEqual(result.addedIds.sort(), ['2512.00001', '2602.00002', '2602.00003']);
+  assert.deepEqual(result.months.map(m => [m.month, m.added, m.written]), [['2026-02', 2, true], ['2025-12', 1, true]]);
+
+  assert.deepEqual(await store.listMonths(), ['2025-12', '2026-02']);
+  assert.deepEqual(await store.listYears(), [2025, 2026]);
+  assert.deepEqual((await store.getAllPapers()).map(p => p.id), ['2512.00001', '2602.00002', '2602.00003']);
+  assert.deepEqual((await store.getYear(2026)).map(p => p.id), ['2602.00002', '2602.00003']);
+  assert.deepEqual([...await store.listIds()].sort(), ['2512.00001', '2602.00002', '2602.00003']);
+
+  assert.equal((await store.getPaper('arXiv:2602.00003v1')).id, '2602.00003');
+  assert.equal(await store.getPaper('2602.99999'), null);
+});
+
+test('merging again updates newer records and leaves the rest as they are', async () => {
+  const store = await newStore();
+  await store.merge([inMonth('2601.00001', '2026-01'), inMonth('2601.00002', '2026-01')]);
+
+  const result = await store.merge([
+    inMonth('2601.00001', '2026-01', { version: 2, updatedDate: '2026-02-01T12:00:00Z', title: 'Revised' }),
+    inMonth('2601.00002', '2026-01')
+  ]);
+
+  assert.equal(result.added, 0);
+  assert.equal(result.updated, 1);
+  assert.equal(result.revised, 1);
+  assert.deepEqual(result.updatedIds, ['2601.00001']);
+  assert.equal((await store.getPaper('2601.00001')).title, 'Revised');
+  assert.equal((await store.getAllPapers()).length, 2);
+});
+
+/**
+ * Read a JSON file of the store
+ * @param {DataStore} store - Store
+ * @param {string} relativePath - Path under papers/
+ * @returns {Promise<Object>} {text, data}
+ */
+async function readStored(store, relativePath) {
+  const text = await fs.readFile(path.join(store.papersDir, relativePath), 'utf-8');
+  return { text, data: JSON.parse(text) };
+}
+
+test('papers are sharded by month and the manifest hashes each shard', async () => {
+  const store = await newStore();
+  await store.merge([inMonth('2512.00001', '2025-12'), inMonth('2601.00002', '2026-01'), inMonth('2601.00003', '2026-01')]);
+
+  assert.equal(store.shardPath('2026-01'), path.join(store.dataDir, 'papers', '2026', '2026-01.json'));
+
+  const shard = await readStored(store, '2026/2026-01.json');
+  assert.deepEqual({ ...shard.data, papers: shard.data.papers.map(p => p.id) },
+    { schemaVersion: SCHEMA_VERSION, month: '2026-01', count: 2, papers: ['2601.00002', '2601.00003'] });
+
+  const { data: manifest } = await readStored(store, 'manifest.json');
+  assert.equal(manifest.totalPapers, 3);
+  assert.deepEqual(manifest.shards.map(({ month, path: shardPath, count }) => [month, shardPath, count]),
+    [['2025-12', '2025/2025-12.json', 1], ['2026-01', '2026/2026-01.json', 2]]);
+  assert.equal(manifest.shards[1].sha256, hashContent(shard.text));
+
+  // A store without manifest.json builds the same one from the shards
+  await fs.rm(store.manifestPath);
+  assert.deepEqual((await new DataStore({ dataDir: store.dataDir }).getManifest()).shards, manifest.shards);
+});
+
+test('unchanged shards are not rewritten', async () => {
+  const store = await newStore();
+  const papers = [inMonth('2601.00001', '2026-01'), inMonth('2602.00002', '2026-02')];
+  await store.merge(papers);
+  const mtime = (await fs.stat(store.shardPath('2026-01'))).mtimeMs;
+  const manifestBefore = await fs.readFile(store.manifestPath, 'utf-8');
+
+  const again = await new DataStore({ dataDir: store.dataDir }).merge(papers);
+  assert.equal(again.written, 0);
+  assert.equal(await store.putMonth('2026-01', await store.getMonth('2026-01')), false);
+
+  assert.equal((await fs.stat(store.shardPath('2026-01'))).mtimeMs, mtime);
+  assert.equal(await fs.readFile(store.manifestPath, 'utf-8'), manifestBefore);
+
+  const changed = await store.merge([inMonth('2602.00003', '2026-02')]);
+  assert.deepEqual(changed.months.map(m => [m.month, m.written]), [['2026-02', true]]);
+  assert.equal((await fs.stat(store.shardPath('2026-01'))).mtimeMs, mtime);
+});
+
+test('an empty month removes its shard, within the drop limit', async () => {
+  const store = await newStore();
+  await store.merge([inMonth('2601.00001', '2026-01'), ...Array.from({ length: 9 }, (_, i) => inMonth(`2602.0000${i}`, '2026-02'))]);
+
+  await assert.rejects(store.putMonth('2026-01', []), /paper count would drop from 1 to 0/);
+  assert.equal(await store.putMonth('2026-01', [], { maxDropPercent: 100 }), true);
+
+  await assert.rejects(fs.access(store.shardPath('2026-01')));
+  assert.deepEqual(await store.listMonths(), ['2026-02']);
+  assert.equal((await readStored(store, 'manifest.json')).data.totalPapers, 9);
+});
+
+test('rebuildManifest picks up shards changed outside the store', async () => {
+  const store = await newStore();
+  await store.merge([inMonth('2601.00001', '2026-01')]);
+
+  const shardPath = store.shardPath('2026-01');
+  const shard = JSON.parse(await fs.readFile(shardPath, 'utf-8'));
+  shard.papers.push(inMonth('2601.00002', '2026-01'));
+  shard.count = 2;
+  await fs.writeFile(shardPath, JSON.stringify(shard, null, 2));
+  await fs.writeFile(path.join(path.dirname(shardPath), 'notes.txt'), 'not a shard');
+
+  const manifest = await store.rebuildManifest();
+  assert.equal(manifest.totalPapers, 2);
+  assert.equal(manifest.shards[0].sha256, hashContent(await fs.readFile(shardPath, 'utf-8')));
+  assert.deepEqual((await readStored(store, 'manifest.json')).data.shards, manifest.shards);
+});
+
+test('a pre-shard year file is read, then split into shards when the year is written', async () => {
+  const store = await newStore();
+  await fs.mkdir(store.papersDir, { recursive: true });
+  await fs.writeFile(path.join(store.papersDir, '2025.json'), JSON.stringify({
+    schemaVersion: SCHEMA_VERSION,
+    year: 2025,
+    papers: [inMonth('2511.00001', '2025-11'), inMonth('2512.00002', '2025-12')]
+  }));
+
+  assert.deepEqual(await store.listMonths(), ['2025-11', '2025-12']);
+  assert.equal((await store.getPaper('2512.00002')).id, '2512.00002');
+
+  await store.merge([inMonth('2512.00003', '2025-12')]);
+
+  await assert.rejects(fs.access(path.join(store.papersDir, '2025.json')));
+  assert.deepEqual((await store.getMonth('2025-12')).map(p => p.id), ['2512.00002', '2512.00003']);
+  assert.deepEqual((await readStored(store, 'manifest.json')).data.shards.map(s => [s.month, s.count]), [['2025-11', 1], ['2025-12', 2]]);
+});
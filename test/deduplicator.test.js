@@ -0,0 +1,135 @@
+/**
+ * Merging fetched papers into stored ones (scripts/utils/deduplicator.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deduplicatePapers, mergePapers, mergeMatchedQueries } from '../scripts/utils/deduplicator.js';
+import { categorizePapers } from '../scripts/categorize-papers.js';
+import { categoryFields } from '../shared/categorizer.js';
+import { fixturePaper } from './helpers/papers.js';
+
+const OLD_CATEGORIES = [
+  { id: 'agents', name: 'Agents', keywords: ['agent'] },
+  { id: 'planning', name: 'Planning', keywords: ['planning'] }
+];
+
+// The same categories after an edit: agents needs a stronger match, reasoning is new
+const NEW_CATEGORIES = [
+  { id: 'agents', name: 'Agents', keywords: ['agent', 'multi-agent'], threshold: 2 },
+  { id: 'planning', name: 'Planning', keywords: ['planning', { keyword: 'plan', weight: 2 }] },
+  { id: 'reasoning', name: 'Reasoning', keywords: ['reasoning'] }
+];
+
+test('a newer version takes its categories and scores from the current engine and keeps manual ones', () => {
+  const [stored] = categorizePapers([fixturePaper('2601.00001', {
+    title: 'Planning with LLM Agents',
+    abstract: 'An agent does planning.'
+  })], OLD_CATEGORIES, { verbose: false });
+  stored.tags.manual = ['surveys'];
+  stored.categories = [...stored.categories, 'surveys'];
+  assert.deepEqual(stored.tags.auto, ['agents', 'planning']);
+
+  const [revised] = categorizePapers([fixturePaper('2601.00001', {
+    version: 2,
+    updatedDate: '2026-02-01T12:00:00Z',
+    title: 'Planning with LLMs',
+    abstract: 'An agent makes a plan with step-by-step reasoning.'
+  })], NEW_CATEGORIES, { verbose: false });
+
+  const { merged, updated } = mergePapers([stored], [revised]);
+  const [paper] = merged;
+  const expected = categoryFields(paper, NEW_CATEGORIES);
+
+  assert.equal(updated, 1);
+  assert.deepEqual(paper.tags, { auto: expected.categories, manual: ['surveys'] });
+  assert.deepEqual(paper.categories, [...expected.categories, 'surveys']);
+  assert.deepEqual(paper.categoryScores, expected.categoryScores);
+  assert.ok(!paper.categories.includes('agents'));
+  assert.ok(paper.categories.includes('reasoning'));
+});
+
+test('refetching the same version leaves the stored categories alone', () => {
+  const [stored] = categorizePapers([fixturePaper('2601.00002', {
+    title: 'LLM Agents',
+    abstract: 'An agent.'
+  })], OLD_CATEGORIES, { verbose: false });
+  const [refetched] = categorizePapers([{ ...stored, matchedQueries: ['llm-agents'] }], NEW_CATEGORIES, { verbose: false });
+
+  const { merged, updated } = mergePapers([stored], [refetched]);
+
+  assert.equal(updated, 0);
+  assert.deepEqual(merged[0].categories, stored.categories);
+  assert.deepEqual(merged[0].categoryScores, stored.categoryScores);
+  assert.deepEqual(merged[0].matchedQueries, ['llm-agents']);
+});
+
+test('matched queries are unioned in first-seen order', () => {
+  assert.deepEqual(mergeMatchedQueries(['llm-agents', 'planning'], ['tool-use', 'llm-agents']), ['llm-agents', 'planning', 'tool-use']);
+  assert.deepEqual(mergeMatchedQueries(undefined, ['planning']), ['planning']);
+  assert.deepEqual(mergeMatchedQueries(['planning']), ['planning']);
+});
+
+test('duplicates within a fetch, versioned or not, add their queries to the first occurrence', () => {
+  const { unique, duplicates } = deduplicatePapers([
+    fixturePaper('2601.00003', { matchedQueries: ['llm-agents'] }),
+    fixturePaper('2601.00004', { matchedQueries: ['planning'] }),
+    fixturePaper('2601.00003v2', { matchedQueries: ['tool-use'] }),
+    fixturePaper('2601.00003', { matchedQueries: ['llm-agents'] })
+  ]);
+
+  assert.deepEqual(unique.map(p => [p.id, p.matchedQueries]), [
+    ['2601.00003', ['llm-agents', 'tool-use']],
+    ['2601.00004', ['planning']]
+  ]);
+  assert.deepEqual(duplicates.map(d => d.id), ['2601.00003v2', '2601.00003']);
+});
+
+test('stored papers found by another query record it without being updated', () => {
+  const stored = fixturePaper('2601.00005', { matchedQueries: ['llm-agents'] });
+
+  const { merged, added, updated } = mergePapers([stored], [
+    fixturePaper('2601.00005', { matchedQueries: ['planning'] }),
+    fixturePaper('2601.00006', { matchedQueries: ['planning'] })
+  ]);
+
+  assert.equal(added, 1);
+  assert.equal(updated, 0);
+  assert.deepEqual(merged.map(p => [p.id, p.matchedQueries]), [
+    ['2601.00005', ['llm-agents', 'planning']],
+    ['2601.00006', ['planning']]
+  ]);
+});
+
+test('a new arXiv version keeps the replaced one in its history', () => {
+  const v1 = fixturePaper('2601.00007', { title: 'Draft', abstract: 'First take.', comment: '8 pages' });
+  const v2 = fixturePaper('2601.00007', { version: 2, updatedDate: '2026-02-01T12:00:00Z', title: 'Final', abstract: 'Second take.' });
+  const v3 = fixturePaper('2601.00007', { version: 3, updatedDate: '2026-03-01T12:00:00Z', title: 'Camera Ready' });
+
+  const first = mergePapers([v1], [v2]);
+  assert.equal(first.revised, 1);
+  assert.deepEqual(first.updatedIds, ['2601.00007']);
+  assert.deepEqual(first.merged[0].versions, [
+    { version: 1, updatedDate: '2026-01-08T12:00:00Z', title: 'Draft', abstract: 'First take.', comment: '8 pages' }
+  ]);
+
+  const second = mergePapers(first.merged, [v3]);
+  assert.equal(second.merged[0].title, 'Camera Ready');
+  assert.deepEqual(second.merged[0].versions.map(v => [v.version, v.title]), [[1, 'Draft'], [2, 'Final']]);
+});
+
+test('a newer date on the same version updates the paper without a history entry', () => {
+  const stored = fixturePaper('2601.00008', { version: 2, title: 'Typo' });
+  const corrected = fixturePaper('2601.00008', { version: 2, updatedDate: '2026-01-09T12:00:00Z', title: 'Fixed' });
+  const older = fixturePaper('2601.00008', { version: 1, updatedDate: '2026-01-01T12:00:00Z', title: 'Old' });
+
+  const { merged, updated, revised } = mergePapers([stored], [corrected]);
+  assert.equal(updated, 1);
+  assert.equal(revised, 0);
+  assert.equal(merged[0].title, 'Fixed');
+  assert.equal(merged[0].versions, undefined);
+
+  const stale = mergePapers(merged, [older]);
+  assert.equal(stale.updated, 0);
+  assert.equal(stale.merged[0].title, 'Fixed');
+});
@@ -0,0 +1,59 @@
+/**
+ * Estimating how many new papers a query would fetch (estimateQuery)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateQuery } from '../scripts/fetch-arxiv.js';
+import { mockTransport } from './helpers/arxiv-api.js';
+import { fixturePaper } from './helpers/papers.js';
+
+const day = (month, d) => `2026-${month}-${String(d).padStart(2, '0')}T12:00:00Z`;
+
+// January: 3 matches; February: 8 matches, 2602.00007 and 2602.00001 already stored
+const PAPERS = [
+  ...[1, 2, 3].map(d => fixturePaper(`2601.0000${d}`, { title: 'Tool Use', publishedDate: day('01', d) })),
+  ...[1, 2, 3, 4, 5, 6, 7, 8].map(d => fixturePaper(`2602.0000${d}`, { title: 'Tool Use', publishedDate: day('02', d) }))
+];
+
+const EXISTING = new Set(['2601.00002', '2602.00007', '2602.00001']);
+
+test('samples each month and extrapolates the new papers where the sample is partial', async () => {
+  const transport = mockTransport(PAPERS);
+  const estimate = await estimateQuery('ti:tool', {
+    startDate: '2026-01-01',
+    endDate: '2026-03-31',
+    sampleSize: 4,
+    existingIds: EXISTING,
+    transport
+  });
+
+  assert.equal(transport.urls.length, 3);
+  assert.deepEqual(estimate.months.map(({ month, totalResults, sampled, existing, sampleNew, estimatedNew, exact }) =>
+    ({ month, totalResults, sampled, existing, sampleNew, estimatedNew, exact })), [
+    // Every match sampled: the count is exact
+    { month: '2026-01', totalResults: 3, sampled: 3, existing: 1, sampleNew: 2, estimatedNew: 2, exact: true },
+    // The newest 4 of 8 sampled, 3 of them new: ~6 of 8 (2602.00001 is outside the sample)
+    { month: '2026-02', totalResults: 8, sampled: 4, existing: 1, sampleNew: 3, estimatedNew: 6, exact: false },
+    { month: '2026-03', totalResults: 0, sampled: 0, existing: 0, sampleNew: 0, estimatedNew: 0, exact: true }
+  ]);
+
+  assert.equal(estimate.totalResults, 11);
+  assert.equal(estimate.sampled, 7);
+  assert.equal(estimate.existing, 2);
+  assert.equal(estimate.estimatedNew, 8);
+  assert.deepEqual(estimate.newIds.sort(), ['2601.00001', '2601.00003', '2602.00005', '2602.00006', '2602.00008']);
+});
+
+test('the estimate covers only the months in the date range', async () => {
+  const estimate = await estimateQuery('ti:tool', {
+    startDate: '2026-02-05',
+    endDate: '2026-02-28',
+    sampleSize: 10,
+    existingIds: new Set(),
+    transport: mockTransport(PAPERS)
+  });
+
+  assert.deepEqual(estimate.months.map(m => [m.startDate, m.endDate, m.totalResults, m.exact]), [['2026-02-05', '2026-02-28', 4, true]]);
+  assert.equal(estimate.estimatedNew, 4);
+});
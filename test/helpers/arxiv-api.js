@@ -0,0 +1,45 @@
+/**
+ * An in-process arXiv API for the fetch tests, answered by the mock server's
+ * query engine (scripts/mock-arxiv-server.js) from a list of fixture papers
+ */
+
+import { answerQuery } from '../../scripts/mock-arxiv-server.js';
+
+/**
+ * Create a transport (see scripts/utils/transport.js) that answers from papers
+ * @param {Array} papers - Papers to serve
+ * @param {Object} options - {failWhen: (url) => boolean answers matching requests with a 400}
+ * @returns {Function} Transport; transport.urls lists the URLs requested, in order
+ */
+export function mockTransport(papers, options = {}) {
+  const { failWhen = () => false } = options;
+
+  const transport = async (url) => {
+    transport.urls.push(url);
+    const { status, body } = failWhen(url)
+      ? { status: 400, body: 'Bad request' }
+      : answerQuery(papers, new URL(url).searchParams);
+
+    return {
+      ok: status === 200,
+      status,
+      statusText: status === 200 ? 'OK' : 'Bad Request',
+      headers: { get: () => null },
+      text: async () => body
+    };
+  };
+
+  // Served from memory like a replay, so the client skips the rate limiter
+  transport.mode = 'replay';
+  transport.urls = [];
+  return transport;
+}
+
+/**
+ * The search_query of a requested URL
+ * @param {string} url - Requested URL
+ * @returns {string} Decoded search query
+ */
+export function searchQueryOf(url) {
+  return new URL(url).searchParams.get('search_query');
+}
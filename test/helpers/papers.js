@@ -0,0 +1,24 @@
+/**
+ * Paper fixtures shared by the tests
+ */
+
+/**
+ * Build a stored-paper fixture as the fetcher would hand it over
+ * @param {string} id - arXiv ID
+ * @param {Object} fields - title, abstract and any fields to override
+ * @returns {Object} Paper
+ */
+export function fixturePaper(id, fields = {}) {
+  return {
+    id,
+    version: 1,
+    title: `Paper ${id}`,
+    abstract: '',
+    authors: [{ name: 'Ada Lovelace' }],
+    publishedDate: '2026-01-08T12:00:00Z',
+    updatedDate: '2026-01-08T12:00:00Z',
+    arxivCategories: ['cs.CL'],
+    matchedQueries: [],
+    ...fields
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * Scratch copies of the repo for tests that run the update scripts against the
+ * recorded arXiv responses in fixtures/arxiv, so public/data is left alone
+ */
+
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+export const ROOT = path.join(path.dirname(__filename), '..', '..');
+
+const CONFIG_FILES = ['categories.json', 'queries.json', 'blocklist.json', 'overrides.json'];
+
+/**
+ * Copy the scripts and the data configuration (no papers) into a scratch directory
+ * @returns {Promise<string>} The scratch repo root
+ */
+export async function createScratchRepo() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llmpapers-replay-'));
+
+  for (const entry of ['scripts', 'shared', 'schemas', 'fixtures', 'package.json']) {
+    await fs.cp(path.join(ROOT, entry), path.join(dir, entry), { recursive: true });
+  }
+  await fs.mkdir(path.join(dir, 'public', 'data'), { recursive: true });
+  for (const file of CONFIG_FILES) {
+    await fs.copyFile(path.join(ROOT, 'public', 'data', file), path.join(dir, 'public', 'data', file));
+  }
+  await fs.symlink(path.join(ROOT, 'node_modules'), path.join(dir, 'node_modules'), 'dir');
+
+  return dir;
+}
+
+/**
+ * Run a script of a scratch repo, replaying recorded responses
+ * @param {string} dir - Scratch repo root
+ * @param {string} script - Path relative to the repo root
+ * @param {Array<string>} args - Arguments
+ * @param {Object} env - Extra environment variables
+ * @returns {Object} spawnSync result
+ */
+export function runScript(dir, script, args = [], env = {}) {
+  // Replay from the scratch repo's fixtures/arxiv unless told otherwise
+  const { ARXIV_FIXTURES_DIR, ARXIV_API_BASE, PARTIAL_FAILURE_EXIT_CODE, ...inherited } = process.env;
+
+  return spawnSync(process.execPath, [path.join(dir, script), ...args], {
+    cwd: dir,
+    env: { ...inherited, ARXIV_TRANSPORT: 'replay', ...env },
+    encoding: 'utf-8',
+    timeout: 120000
+  });
+}
+
+/**
+ * Read a JSON file from a scratch repo's public/data
+ * @param {string} dir - Scratch repo root
+ * @param {string} file - Path relative to public/data
+ * @returns {Promise<Object>} Parsed contents
+ */
+export async function readData(dir, file) {
+  return JSON.parse(await fs.readFile(path.join(dir, 'public', 'data', file), 'utf-8'));
+}
+
+/**
+ * Every paper in a scratch repo's shards
+ * @param {string} dir - Scratch repo root
+ * @returns {Promise<Array>} Stored papers
+ */
+export async function storedPapers(dir) {
+  const manifest = await readData(dir, 'papers/manifest.json');
+  const shards = await Promise.all(manifest.shards.map(shard => readData(dir, `papers/${shard.path}`)));
+  return shards.flatMap(shard => shard.papers);
+}
@@ -0,0 +1,48 @@
+/**
+ * Stemming and keyword matching (shared/keyword-matcher.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stemWord, matchKeywords } from '../shared/keyword-matcher.js';
+
+/**
+ * Assert that every form of a word reduces to the same stem
+ * @param {Array<string>} forms - Word forms, base form first
+ */
+function assertSameStem(forms) {
+  const stems = forms.map(stemWord);
+  assert.deepEqual(stems, forms.map(() => stems[0]), `${forms.join('/')} stem to ${stems.join('/')}`);
+}
+
+test('short words ending in e stem like their plural, -ed and -ing forms', () => {
+  assertSameStem(['use', 'uses', 'used', 'using']);
+  assertSameStem(['age', 'ages', 'aged', 'aging']);
+  assertSameStem(['owe', 'owes', 'owed', 'owing']);
+});
+
+test('plural, -ed and -ing forms of longer words keep agreeing', () => {
+  assertSameStem(['plan', 'plans', 'planned', 'planning']);
+  assertSameStem(['make', 'makes', 'making']);
+  assertSameStem(['case', 'cases']);
+  assertSameStem(['response', 'responses']);
+  assertSameStem(['process', 'processes', 'processed', 'processing']);
+  assertSameStem(['class', 'classes']);
+  assertSameStem(['bus', 'buses']);
+  assertSameStem(['gas', 'gases']);
+  assertSameStem(['study', 'studies']);
+  assertSameStem(['need', 'needs', 'needed']);
+  assertSameStem(['status', 'statuses']);
+});
+
+test('the tool use keyword matches its inflected forms', () => {
+  for (const text of ['tool use', 'Tool uses', 'tools used by agents', 'tool using agents']) {
+    assert.deepEqual(matchKeywords(text, ['tool use']), ['tool use'], text);
+  }
+  assert.deepEqual(matchKeywords('using tools', ['tool use']), []);
+});
+
+test('quoted keywords only match the exact words', () => {
+  assert.deepEqual(matchKeywords('tool use', ['"tool use"']), ['"tool use"']);
+  assert.deepEqual(matchKeywords('tools used', ['"tool use"']), []);
+});
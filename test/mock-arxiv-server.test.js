@@ -0,0 +1,127 @@
+/**
+ * The local mock arXiv API (scripts/mock-arxiv-server.js), over HTTP
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockServer } from '../scripts/mock-arxiv-server.js';
+import { parseArxivXML } from '../scripts/utils/xml-parser.js';
+import { fixturePaper } from './helpers/papers.js';
+
+const PAPERS = [
+  fixturePaper('2601.00001', {
+    title: 'Planning with Language Models',
+    abstract: 'Agents plan.',
+    publishedDate: '2026-01-05T10:00:00Z',
+    updatedDate: '2026-01-05T10:00:00Z'
+  }),
+  fixturePaper('2601.00002', {
+    title: 'Language Model Agents',
+    abstract: 'Tool use for planning.',
+    publishedDate: '2026-01-12T10:00:00Z',
+    updatedDate: '2026-01-12T10:00:00Z',
+    arxivCategories: ['cs.AI']
+  }),
+  fixturePaper('2601.00003', {
+    version: 2,
+    title: 'Robots that Read',
+    abstract: 'A language model drives a robot.',
+    publishedDate: '2026-01-20T10:00:00Z',
+    updatedDate: '2026-02-02T10:00:00Z',
+    arxivCategories: ['cs.RO']
+  }),
+  fixturePaper('2512.00004', {
+    title: 'Language Model Surveys',
+    abstract: 'Older work.',
+    publishedDate: '2025-12-30T10:00:00Z',
+    updatedDate: '2025-12-30T10:00:00Z'
+  })
+];
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = await startMockServer({ port: 0, papers: PAPERS });
+  baseUrl = `http://localhost:${server.address().port}/api/query`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * Query the mock server
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} {status, feed} with the parsed feed for 200 responses
+ */
+async function query(params) {
+  const response = await fetch(`${baseUrl}?${new URLSearchParams({ sortBy: 'submittedDate', sortOrder: 'descending', ...params })}`);
+  const text = await response.text();
+  return { status: response.status, text, feed: response.ok ? parseArxivXML(text) : null };
+}
+
+test('answers fielded queries with AND, OR, ANDNOT and phrases', async () => {
+  const ids = async q => (await query({ search_query: q, max_results: 10 })).feed.entries.map(p => p.id);
+
+  assert.deepEqual(await ids('ti:"language model"'), ['2601.00002', '2512.00004']);
+  assert.deepEqual(await ids('abs:planning OR ti:planning'), ['2601.00002', '2601.00001']);
+  assert.deepEqual(await ids('all:"language model" ANDNOT cat:cs.RO'), ['2601.00002', '2512.00004']);
+  assert.deepEqual(await ids('(ti:robots AND abs:robot) OR cat:cs.AI'), ['2601.00003', '2601.00002']);
+});
+
+test('filters by submittedDate and lastUpdatedDate ranges', async () => {
+  const ids = async q => (await query({ search_query: q, max_results: 10 })).feed.entries.map(p => p.id);
+
+  assert.deepEqual(await ids('all:language AND submittedDate:[202601010000 TO 202601152359]'), ['2601.00002', '2601.00001']);
+  assert.deepEqual(await ids('all:language AND lastUpdatedDate:[202602010000 TO 202602282359]'), ['2601.00003']);
+});
+
+test('pages through the results and reports the total', async () => {
+  const first = await query({ search_query: 'all:language', start: 0, max_results: 2 });
+  const second = await query({ search_query: 'all:language', start: 2, max_results: 2 });
+  const beyond = await query({ search_query: 'all:language', start: 4, max_results: 2 });
+
+  assert.equal(first.feed.totalResults, 4);
+  assert.deepEqual(first.feed.entries.map(p => p.id), ['2601.00003', '2601.00002']);
+  assert.deepEqual(second.feed.entries.map(p => p.id), ['2601.00001', '2512.00004']);
+  assert.deepEqual(beyond.feed.entries, []);
+
+  const ascending = await query({ search_query: 'all:language', max_results: 1, sortOrder: 'ascending' });
+  assert.deepEqual(ascending.feed.entries.map(p => p.id), ['2512.00004']);
+});
+
+test('serves stored papers with their version and categories', async () => {
+  const { feed } = await query({ search_query: 'id:2601.00003', max_results: 1 });
+  const [paper] = feed.entries;
+
+  assert.equal(paper.version, 2);
+  assert.equal(paper.title, 'Robots that Read');
+  assert.deepEqual(paper.arxivCategories, ['cs.RO']);
+});
+
+test('rejects malformed queries and unknown paths', async () => {
+  const bad = await query({ search_query: '(ti:planning' });
+  assert.equal(bad.status, 400);
+  assert.match(bad.text, /parenthesis/i);
+
+  const negative = await query({ search_query: 'ti:planning', start: -1 });
+  assert.equal(negative.status, 400);
+
+  const missing = await fetch(baseUrl.replace('/api/query', '/api/other'));
+  assert.equal(missing.status, 404);
+});
+
+test('answers requests that come too fast with 503 and Retry-After', async () => {
+  const limited = await startMockServer({ port: 0, papers: PAPERS, minIntervalMs: 60000 });
+  const url = `http://localhost:${limited.address().port}/api/query?search_query=ti:planning`;
+
+  try {
+    assert.equal((await fetch(url)).status, 200);
+    const response = await fetch(url);
+    assert.equal(response.status, 503);
+    assert.equal(response.headers.get('retry-after'), '60');
+  } finally {
+    await new Promise(resolve => limited.close(resolve));
+  }
+});
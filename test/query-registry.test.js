@@ -0,0 +1,82 @@
+/**
+ * The query registry (scripts/utils/query-registry.js): validation, loading
+ * and saving queries.json
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { validateQueryRegistry, loadQueries, saveQueries, QueryRegistryError, QUERIES_PATH } from '../scripts/utils/query-registry.js';
+
+/**
+ * A valid query definition
+ * @param {string} id - Query ID
+ * @param {Object} fields - Fields to override
+ * @returns {Object} Query definition
+ */
+function query(id, fields = {}) {
+  return { id, query: `ti:${id}`, description: `Papers about ${id}`, category: 'agents', enabled: true, ...fields };
+}
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llmpapers-queries-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('the stored registry is valid', async () => {
+  const data = JSON.parse(await fs.readFile(QUERIES_PATH, 'utf-8'));
+  assert.deepEqual(validateQueryRegistry(data), []);
+});
+
+test('reports schema problems, duplicate IDs, query syntax and unreal dates', () => {
+  assert.deepEqual(validateQueryRegistry({}), ["must have required property 'queries'"]);
+
+  assert.deepEqual(validateQueryRegistry({
+    queries: [
+      query('planning'),
+      query('planning', { query: 'ti:(planning', startDate: '2026-13-01' }),
+      query('Tool_Use', { enabled: 'yes', extra: 1 })
+    ]
+  }), [
+    'Query Tool_Use: unknown field "extra"',
+    'Query Tool_Use: id must match pattern "^[a-z0-9]+(-[a-z0-9]+)*$"',
+    'Query Tool_Use: enabled must be boolean',
+    'Query planning: duplicate id',
+    'Query planning: Expected a word or "phrase" after ti: (at position 3)',
+    'Query planning: startDate 2026-13-01 is not a real date'
+  ]);
+});
+
+test('saved queries load back, enabled ones by default', async () => {
+  const filePath = path.join(dir, 'queries.json');
+  const queries = [query('planning', { startDate: '2025-01-01' }), query('tool-use', { enabled: false })];
+
+  await saveQueries(queries, { filePath });
+
+  assert.deepEqual(await loadQueries({ filePath }), [queries[0]]);
+  assert.deepEqual(await loadQueries({ filePath, includeDisabled: true }), queries);
+});
+
+test('invalid queries are not saved and an invalid file is not loaded', async () => {
+  const filePath = path.join(dir, 'rejected.json');
+  await saveQueries([query('planning')], { filePath });
+  const before = await fs.readFile(filePath, 'utf-8');
+
+  await assert.rejects(
+    saveQueries([query('planning'), query('planning')], { filePath }),
+    error => error instanceof QueryRegistryError && error.problems.length === 1
+  );
+  assert.equal(await fs.readFile(filePath, 'utf-8'), before);
+
+  await fs.writeFile(filePath, JSON.stringify({ queries: [query('planning', { query: 'ti:' })] }));
+  await assert.rejects(loadQueries({ filePath }), QueryRegistryError);
+
+  await assert.rejects(loadQueries({ filePath: path.join(dir, 'missing.json') }), /Failed to load queries/);
+});
@@ -0,0 +1,87 @@
+/**
+ * Run status, exit codes and runs/latest.json (scripts/utils/run-report.js)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runStatus, runExitCode, buildRunReport, saveRunReport } from '../scripts/utils/run-report.js';
+import { SCHEMA_VERSION } from '../scripts/utils/migrations.js';
+
+/**
+ * A query's line in the fetch summary
+ * @param {string} id - Query ID
+ * @param {string|null} error - Why the query failed, if it did
+ * @returns {Object} Summary entry
+ */
+function query(id, error = null) {
+  return { id, description: `Query ${id}`, fetched: error ? 0 : 10, newPapers: error ? 0 : 4, requests: 1, retries: error ? 3 : 0, failed: Boolean(error), error };
+}
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llmpapers-run-report-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('a run fails only when every query fails or it was aborted', () => {
+  assert.equal(runStatus([query('a'), query('b')]), 'success');
+  assert.equal(runStatus([query('a'), query('b', 'HTTP 503')]), 'partial');
+  assert.equal(runStatus([query('a', 'HTTP 503'), query('b', 'HTTP 503')]), 'failed');
+  assert.equal(runStatus([query('a')], new Error('Disk full')), 'failed');
+  assert.equal(runStatus([]), 'success');
+});
+
+test('partial runs exit with the configured code', () => {
+  assert.equal(runExitCode('success'), 0);
+  assert.equal(runExitCode('partial', { partialFailureExitCode: 2 }), 2);
+  assert.equal(runExitCode('partial', { partialFailureExitCode: 0 }), 0);
+  assert.equal(runExitCode('failed', { partialFailureExitCode: 0 }), 1);
+});
+
+test('the report records the window, counts and failed queries', () => {
+  const startedAt = new Date(Date.now() - 5000).toISOString();
+  const report = buildRunReport({
+    script: 'update-incremental',
+    startedAt,
+    startDate: '2026-01-08',
+    endDate: '2026-01-09',
+    summary: [query('a'), query('b', 'HTTP 503')],
+    fetched: 10,
+    added: 4,
+    updated: 1
+  });
+
+  assert.equal(report.schemaVersion, SCHEMA_VERSION);
+  assert.equal(report.status, 'partial');
+  assert.ok(report.durationMs >= 5000);
+  assert.deepEqual(report.window, { startDate: '2026-01-08', endDate: '2026-01-09' });
+  assert.deepEqual(report.papers, { fetched: 10, added: 4, updated: 1 });
+  assert.deepEqual(report.queries[1], query('b', 'HTTP 503'));
+  assert.equal(report.error, null);
+
+  assert.equal(buildRunReport({ script: 'update-full', startedAt, error: new Error('Disk full') }).error, 'Disk full');
+});
+
+test('saved reports remember the last successful run', async () => {
+  const filePath = path.join(dir, 'runs', 'latest.json');
+  const run = (script, summary) => buildRunReport({ script, startedAt: new Date().toISOString(), startDate: '2026-01-08', endDate: '2026-01-09', summary });
+
+  const first = await saveRunReport(run('update-incremental', [query('a', 'HTTP 503')]), { filePath });
+  assert.equal(first.lastSuccess, null);
+
+  const success = await saveRunReport(run('update-incremental', [query('a')]), { filePath });
+  assert.deepEqual(success.lastSuccess, { script: 'update-incremental', finishedAt: success.finishedAt, window: success.window });
+
+  // Carried over through later failures
+  await saveRunReport(run('update-full', [query('a', 'HTTP 503')]), { filePath });
+  const failedAgain = await saveRunReport(run('update-full', [query('a', 'HTTP 503')]), { filePath });
+  assert.deepEqual(failedAgain.lastSuccess, success.lastSuccess);
+  assert.deepEqual(JSON.parse(await fs.readFile(filePath, 'utf-8')), failedAgain);
+});
@@ -0,0 +1,95 @@
+/**
+ * Validated, atomic writes of data files and the paper drop guard
+ * (scripts/utils/safe-write.js)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { writeJsonAtomic, checkPaperDrop, DataWriteError } from '../scripts/utils/safe-write.js';
+
+const countPapers = data => data.papers.length;
+const papers = n => ({ papers: Array.from({ length: n }, (_, i) => ({ id: `2601.${String(i).padStart(5, '0')}` })) });
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llmpapers-safe-write-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Files left in dir apart from the targets, i.e. stray temp files
+ * @returns {Promise<Array<string>>} Hidden file names
+ */
+async function tempFiles() {
+  return (await fs.readdir(dir, { recursive: true })).filter(name => path.basename(name).startsWith('.'));
+}
+
+test('writes the JSON it returns and creates missing directories', async () => {
+  const filePath = path.join(dir, 'nested', 'papers.json');
+  const json = await writeJsonAtomic(filePath, papers(2));
+
+  assert.equal(await fs.readFile(filePath, 'utf-8'), json);
+  assert.deepEqual(JSON.parse(json), papers(2));
+  assert.deepEqual(await tempFiles(), []);
+});
+
+test('invalid data is not written', async () => {
+  const filePath = path.join(dir, 'invalid.json');
+  const problems = Array.from({ length: 12 }, (_, i) => `problem ${i + 1}`);
+
+  await assert.rejects(writeJsonAtomic(filePath, papers(1), { validate: () => problems }), error => {
+    assert.ok(error instanceof DataWriteError);
+    assert.deepEqual(error.problems, problems);
+    assert.match(error.message, /^Refusing to write invalid invalid\.json:\n {2}problem 1\n/);
+    assert.match(error.message, /problem 10\n {2}\.\.\. and 2 more$/);
+    return true;
+  });
+  await assert.rejects(fs.access(filePath));
+});
+
+test('the drop guard allows drops up to the limit', () => {
+  assert.doesNotThrow(() => checkPaperDrop('papers.json', 10, 9, 10));
+  assert.doesNotThrow(() => checkPaperDrop('papers.json', 10, 12, 10));
+  assert.doesNotThrow(() => checkPaperDrop('papers.json', 0, 0, 10));
+  assert.throws(
+    () => checkPaperDrop('papers.json', 10, 8, 10),
+    /paper count would drop from 10 to 8 \(20\.0%, limit 10%\)/
+  );
+  assert.doesNotThrow(() => checkPaperDrop('papers.json', 10, 8, 25));
+});
+
+test('a write that drops too many papers leaves the file alone unless the limit is raised', async () => {
+  const filePath = path.join(dir, 'guarded.json');
+  await writeJsonAtomic(filePath, papers(10));
+
+  await assert.rejects(writeJsonAtomic(filePath, papers(5), { countPapers, maxDropPercent: 10 }), DataWriteError);
+  assert.equal(countPapers(JSON.parse(await fs.readFile(filePath, 'utf-8'))), 10);
+
+  await writeJsonAtomic(filePath, papers(5), { countPapers, maxDropPercent: 50 });
+  assert.equal(countPapers(JSON.parse(await fs.readFile(filePath, 'utf-8'))), 5);
+});
+
+test('a corrupt file is replaced without tripping the drop guard', async () => {
+  const filePath = path.join(dir, 'corrupt.json');
+  await fs.writeFile(filePath, '{"papers": [');
+
+  await writeJsonAtomic(filePath, papers(1), { countPapers, maxDropPercent: 0 });
+  assert.deepEqual(JSON.parse(await fs.readFile(filePath, 'utf-8')), papers(1));
+});
+
+test('a failed rename removes the temp file and keeps what was there', async () => {
+  const filePath = path.join(dir, 'occupied.json');
+  await fs.mkdir(filePath);
+  await fs.writeFile(path.join(filePath, 'keep'), 'kept');
+
+  await assert.rejects(writeJsonAtomic(filePath, papers(1)), error => error.code === 'EISDIR' || error.code === 'ENOTEMPTY');
+  assert.equal(await fs.readFile(path.join(filePath, 'keep'), 'utf-8'), 'kept');
+  assert.deepEqual(await tempFiles(), []);
+});
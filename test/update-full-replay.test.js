@@ -0,0 +1,108 @@
+/**
+ * Replays the recorded arXiv responses through update-full with one query's
+ * responses missing, and checks the exit codes, the checkpoint and --resume.
+ *
+ * A full update of 2026-01-08 to 2026-01-09 requests the same URLs as the
+ * incremental run the fixtures were recorded from.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createScratchRepo, runScript, readData } from './helpers/scratch-repo.js';
+
+const RUN_ARGS = ['--start-date=2026-01-08', '--end-date=2026-01-09'];
+
+let workDir;
+let partialFixturesDir;
+let checkpointPath;
+
+before(async () => {
+  workDir = await createScratchRepo();
+  checkpointPath = path.join(workDir, '.cache', 'checkpoint.json');
+
+  // Every recording except the planning query's
+  const fixturesDir = path.join(workDir, 'fixtures', 'arxiv');
+  partialFixturesDir = path.join(workDir, 'partial-fixtures');
+  await fs.mkdir(partialFixturesDir);
+  for (const file of await fs.readdir(fixturesDir)) {
+    const fixture = JSON.parse(await fs.readFile(path.join(fixturesDir, file), 'utf-8'));
+    if (!fixture.key.includes('ti%3Aplanning')) {
+      await fs.copyFile(path.join(fixturesDir, file), path.join(partialFixturesDir, file));
+    }
+  }
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Run update-full with the scratch checkpoint
+ * @param {Array<string>} args - Extra arguments
+ * @param {Object} env - Extra environment variables
+ * @returns {Object} spawnSync result
+ */
+function updateFull(args = [], env = {}) {
+  return runScript(workDir, 'scripts/update-full.js', [...RUN_ARGS, `--checkpoint=${checkpointPath}`, ...args], env);
+}
+
+/**
+ * Read the scratch checkpoint, or null once it was removed
+ * @returns {Promise<Object|null>} Checkpoint state
+ */
+async function readCheckpoint() {
+  try {
+    return JSON.parse(await fs.readFile(checkpointPath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+test('a partial run exits with the partial-failure code and keeps the checkpoint', async () => {
+  const result = updateFull([], { ARXIV_FIXTURES_DIR: partialFixturesDir });
+  assert.equal(result.status, 2, result.stdout + result.stderr);
+  assert.match(result.stdout, /Re-run with --resume/);
+
+  const report = await readData(workDir, 'runs/latest.json');
+  assert.equal(report.status, 'partial');
+  assert.deepEqual(report.queries.filter(q => q.failed).map(q => q.id), ['planning']);
+
+  const checkpoint = await readCheckpoint();
+  const failedWindows = Object.values(checkpoint.queries).flatMap(q => Object.values(q.windows)).filter(w => w.error);
+  assert.equal(failedWindows.length, 1);
+  assert.match(failedWindows[0].error, /No recorded response/);
+});
+
+test('the partial-failure code can be overridden', async () => {
+  const fromFlag = updateFull(['--partial-failure-exit-code=0'], { ARXIV_FIXTURES_DIR: partialFixturesDir });
+  assert.equal(fromFlag.status, 0, fromFlag.stdout + fromFlag.stderr);
+
+  const fromEnv = updateFull([], { ARXIV_FIXTURES_DIR: partialFixturesDir, PARTIAL_FAILURE_EXIT_CODE: '3' });
+  assert.equal(fromEnv.status, 3, fromEnv.stdout + fromEnv.stderr);
+  assert.ok(await readCheckpoint());
+});
+
+test('--resume finishes the failed query and removes the checkpoint', async () => {
+  const result = updateFull(['--resume']);
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+  assert.match(result.stdout, /Resuming from checkpoint/);
+
+  const report = await readData(workDir, 'runs/latest.json');
+  assert.equal(report.status, 'success');
+  assert.equal(await readCheckpoint(), null);
+});
+
+test('a run where every query failed exits 1', async () => {
+  const emptyDir = path.join(workDir, 'no-fixtures');
+  await fs.mkdir(emptyDir);
+
+  const result = updateFull(['--partial-failure-exit-code=0'], { ARXIV_FIXTURES_DIR: emptyDir });
+  assert.equal(result.status, 1, result.stdout + result.stderr);
+
+  const report = await readData(workDir, 'runs/latest.json');
+  assert.equal(report.status, 'failed');
+  assert.ok(await readCheckpoint());
+});
@@ -0,0 +1,77 @@
+/**
+ * Replays the recorded arXiv responses in fixtures/arxiv through
+ * update-incremental, offline, in a scratch copy of the repo so public/data
+ * is left alone.
+ *
+ * The fixtures cover --end-date=2026-01-09 --lookback-days=1. Re-record them with:
+ *   ARXIV_TRANSPORT=record npm run fetch:incremental -- --end-date=2026-01-09 --lookback-days=1
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createScratchRepo, runScript, readData, storedPapers } from './helpers/scratch-repo.js';
+
+const RUN_ARGS = ['--end-date=2026-01-09', '--lookback-days=1'];
+
+let workDir;
+
+before(async () => {
+  workDir = await createScratchRepo();
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test('replays a recorded incremental update into empty data', async () => {
+  const result = runScript(workDir, 'scripts/update-incremental.js', RUN_ARGS);
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+
+  const report = await readData(workDir, 'runs/latest.json');
+  assert.equal(report.status, 'success');
+  assert.deepEqual(report.window, { startDate: '2026-01-08', endDate: '2026-01-09' });
+  assert.ok(report.queries.length > 0);
+  assert.ok(report.queries.every(q => !q.failed && q.requests > 0));
+
+  const papers = await storedPapers(workDir);
+  assert.ok(papers.length > 0);
+  assert.equal(report.papers.fetched, papers.length);
+  assert.equal(report.papers.added, papers.length);
+  assert.equal(new Set(papers.map(p => p.id)).size, papers.length);
+
+  const index = await readData(workDir, 'index.json');
+  assert.equal(index.meta.totalPapers, papers.length);
+  assert.deepEqual(index.papers.map(p => p.id).sort(), papers.map(p => p.id).sort());
+
+  const validation = runScript(workDir, 'scripts/validate-data.js');
+  assert.equal(validation.status, 0, validation.stdout + validation.stderr);
+});
+
+test('replaying the same responses again adds nothing', async () => {
+  const stored = await storedPapers(workDir);
+
+  const result = runScript(workDir, 'scripts/update-incremental.js', RUN_ARGS);
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+
+  const report = await readData(workDir, 'runs/latest.json');
+  assert.equal(report.status, 'success');
+  assert.equal(report.papers.added, 0);
+  assert.equal(report.papers.updated, 0);
+  assert.deepEqual(await storedPapers(workDir), stored);
+});
+
+test('fails every query when a response was never recorded', async () => {
+  const emptyDir = path.join(workDir, 'no-fixtures');
+  await fs.mkdir(emptyDir);
+
+  const result = runScript(workDir, 'scripts/update-incremental.js', RUN_ARGS, { ARXIV_FIXTURES_DIR: emptyDir });
+  assert.equal(result.status, 1);
+  assert.match(result.stdout + result.stderr, /No recorded response for/);
+
+  const report = await readData(workDir, 'runs/latest.json');
+  assert.equal(report.status, 'failed');
+  assert.ok(report.queries.every(q => q.failed && /No recorded response/.test(q.error)));
+  assert.equal(report.papers.fetched, 0);
+});